@@ -12,6 +12,11 @@ var MEDIA_PLAYER_STATE_ALIASES = {  // player state aliases for youtube player a
     '5': 'video cued'
 };
 var MINIMUM_WAIT_BETWEEN_NOTIFIES_MS = 20; // don't notify bg page more than this often
+var PAGE_STATE_MAX_TEXT_LENGTH = 100000;   // form text beyond this much is not kept across hibernation
+var PAGE_EXCERPT_MAX_LENGTH = 1000;        // how much of the page's text to send for its hibernation snapshot
+
+// Input types whose values are never kept across hibernation
+var PAGE_STATE_SKIPPED_INPUT_TYPES = ['password', 'hidden', 'file', 'submit', 'button', 'reset', 'image'];
 
 
 ///////////////////////////////////////////////////////////
@@ -37,6 +42,9 @@ var notifyTimeout;
 // window.addEventListener('popstate', onLocationOrHistoryChanged);
 // window.addEventListener('DOMContentLoaded', onDOMContentLoaded);
 
+// Sidewise asks for a page's scroll position and form text when hibernating it and gives them back on waking
+chrome.runtime.onMessage.addListener(onRuntimeMessage);
+
 function onDOMContentLoaded() {
     log('onDOMContentLoaded');
     // setUpTitleObserver();
@@ -96,6 +104,20 @@ function connectPort() {
 // Event handlers
 ///////////////////////////////////////////////////////////
 
+// messages sent by Sidewise with chrome.tabs.sendMessage
+function onRuntimeMessage(msg, sender, sendResponse) {
+    log('runtime message', msg.op, msg);
+    switch (msg.op) {
+        case 'getPageState':
+            sendResponse({ state: getPageState(), excerpt: getPageExcerpt() });
+            break;
+        case 'restorePageState':
+            restorePageState(msg.state);
+            sendResponse({ restored: true });
+            break;
+    }
+}
+
 // notify sidewise whenever location/history change is detected
 function onLocationOrHistoryChanged(evt) {
     log(evt.type, evt);
@@ -142,6 +164,108 @@ function sendPageDetails(details) {
 }
 
 
+///////////////////////////////////////////////////////////
+// Page state kept across hibernation
+///////////////////////////////////////////////////////////
+
+// Returns the page's scroll position and the form fields the user has changed as
+// { url, scrollX, scrollY, fields: [{ key, value }|{ key, checked }] }
+function getPageState() {
+    var fields = [];
+    var textLength = 0;
+
+    getPageStateFormFields().forEach(function(field) {
+        var elem = field.elem;
+        if (elem.type == 'checkbox' || elem.type == 'radio') {
+            if (elem.checked != elem.defaultChecked) {
+                fields.push({ key: field.key, checked: elem.checked });
+            }
+            return;
+        }
+        if (elem.value == elem.defaultValue || textLength + elem.value.length > PAGE_STATE_MAX_TEXT_LENGTH) {
+            return;
+        }
+        textLength += elem.value.length;
+        fields.push({ key: field.key, value: elem.value });
+    });
+
+    return { url: document.location.href, scrollX: window.scrollX, scrollY: window.scrollY, fields: fields };
+}
+
+// Returns the start of the page's visible text with its whitespace collapsed
+function getPageExcerpt() {
+    if (!document.body) {
+        return '';
+    }
+    return document.body.innerText.replace(/\s+/g, ' ').trim().substring(0, PAGE_EXCERPT_MAX_LENGTH);
+}
+
+// Put back a state returned by getPageState() after the page was reloaded
+function restorePageState(state) {
+    if (!state) {
+        return;
+    }
+
+    var elemsByKey = {};
+    getPageStateFormFields().forEach(function(field) {
+        elemsByKey[field.key] = field.elem;
+    });
+
+    state.fields.forEach(function(field) {
+        var elem = elemsByKey[field.key];
+        if (!elem) {
+            log('Form field is gone, not restoring it', field.key);
+            return;
+        }
+        if (field.checked !== undefined) {
+            elem.checked = field.checked;
+        }
+        else {
+            elem.value = field.value;
+        }
+        // let the page's own scripts know the field changed
+        elem.dispatchEvent(new Event('input', { bubbles: true }));
+        elem.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+
+    window.scrollTo(state.scrollX, state.scrollY);
+}
+
+// Returns the page's inputs and textareas whose values may be kept, as [{ key, elem }]. A field's
+// key identifies it again after a reload: its id, else its name and position among fields of
+// that name, else its position among all such fields.
+function getPageStateFormFields() {
+    var fields = [];
+    var nameCounts = {};
+    var elems = document.querySelectorAll('input, textarea');
+
+    for (var i = 0; i < elems.length; i++) {
+        var elem = elems[i];
+        if (elem.tagName == 'INPUT' && PAGE_STATE_SKIPPED_INPUT_TYPES.indexOf(elem.type) > -1) {
+            continue;
+        }
+        if (/^cc-/.test(elem.autocomplete)) {
+            // leave credit card details alone too
+            continue;
+        }
+
+        var key;
+        if (elem.id) {
+            key = '#' + elem.id;
+        }
+        else if (elem.name) {
+            nameCounts[elem.name] = (nameCounts[elem.name] || 0) + 1;
+            key = elem.tagName + '[' + elem.name + ']' + nameCounts[elem.name];
+        }
+        else {
+            key = elem.tagName + ':' + i;
+        }
+        fields.push({ key: key, elem: elem });
+    }
+    return fields;
+}
+
+
 ///////////////////////////////////////////////////////////
 // Session GUID generation and acquisition
 ///////////////////////////////////////////////////////////
@@ -8,6 +8,13 @@ var recentlyClosedGroupList = [];
 var recentlyClosedGroupListLastCount = 0;
 var recentlyClosedGroupWaitIteration = 0;
 var ghostTree;
+var treeSnapshots;
+var idleHibernator;
+var memoryHibernator;
+var activityFeed;
+var pageSnapshots;
+var workspaces;
+var snoozeScheduler;
 var sidebarHandler;
 var paneCatalog;
 var focusTracker;
@@ -17,6 +24,8 @@ var browserIsClosed = false;
 var firstTimeInstallTabId;
 var allowSavingPageTree = true;
 var denyingSavingPageTreeForMs;
+var pageTreeReady = false;          // true once the page tree holds the tabs open at startup; see whenPageTreeReady()
+var pageTreeReadyListeners = [];
 
 ///////////////////////////////////////////////////////////
 // Initialization
@@ -31,6 +40,15 @@ function onLoad()
         // Early initialization
         settings = new Settings();
         tree = new PageTree(PageTreeCallbackProxy, onPageTreeModifiedDelayed);
+        tree.journal = new TreeJournal(tree);
+        tree.changeLog = new TreeChangeLog(tree, 'pageTree');
+        treeSnapshots = new TreeSnapshotStore(tree);
+        idleHibernator = new IdleHibernator(tree);
+        memoryHibernator = new MemoryPressureHibernator(tree, idleHibernator);
+        activityFeed = new ActivityFeed();
+        pageSnapshots = new PageSnapshotStore(tree);
+        workspaces = new WorkspaceStore(tree);
+        snoozeScheduler = new SnoozeScheduler(tree);
 
         recentlyClosedTree = new UiDataTree(
             RecentlyClosedTreeCallbackProxy,
@@ -83,14 +101,16 @@ async function onPageTreeModifiedDelayed() {
         log('Browser is closed, will not save page tree!');
         return;
     }
-    if (!allowSavingPageTree) {
+    if (!allowSavingPageTree || settings.cipher.isLocked()) {
         // log('Page tree saving currently not allowed, retry in ' + DENIED_SAVE_TREE_RETRY_MS + 'ms');
         TimeoutManager.reset('retryOnPageTreeModifiedDelayed', onPageTreeModifiedDelayed, config.DENIED_SAVE_TREE_RETRY_MS);
         return;
     }
     if (tree.lastModified != tree.lastSaved) {
-        await savePageTree(tree, 'pageTree', true);
-        tree.lastSaved = tree.lastModified;
+        // only the nodes changed since the last save are written, with a full checkpoint now and then
+        var lastModified = tree.lastModified;
+        await tree.changeLog.save();
+        tree.lastSaved = lastModified;
     }
     tree.onModifiedDelayedWaitMs = config.TREE_ONMODIFIED_DELAY_AFTER_STARTUP_MS;
 }
@@ -110,9 +130,21 @@ async function postLoad(focusedWin) {
     paneCatalog = new SidebarPaneCatalog();
     paneCatalog.loadState();
 
+    monitorInfo = new MonitorInfo();
+
     registerEventHandlers();
     injectContentScriptInExistingTabs('content_script.js');
 
+    await settings.cipher.load();
+    var sidebarOpened = false;
+    if (settings.cipher.isLocked()) {
+        // stored trees can't be loaded until the passphrase is given, which the sidebar asks for
+        log('Stored data is encrypted, waiting for it to be unlocked');
+        openSidebarOnStartup();
+        sidebarOpened = true;
+        await settings.cipher.waitForUnlock();
+    }
+
     await loadAndPopulateTree(recentlyClosedTree, 'recentlyClosedTree', config.PAGETREE_NODE_TYPES);
     recentlyClosedTree.removeZeroChildTopNodes();
     var first = recentlyClosedTree.root.children[0];
@@ -127,10 +159,10 @@ async function postLoad(focusedWin) {
         // Write out an additional backup copy of the tree data backup. This gives us one more possible
         // rollback point in case of subsequent tree data corruption. We don't block on this operation
         // because it is OK for it to just happen in the background asynchronously.
-        settings.saveData('backupPageTreeLastSession', backup);
+        saveVersionedData('backupPageTreeLastSession', backup);
     }
 
-    var storedPageTree = await loadTreeData('pageTree');
+    var storedPageTree = await tree.changeLog.load();
     var loadIt = false;
     if (storedPageTree.length > 0) {
         log('Have stored tree data');
@@ -149,7 +181,7 @@ async function postLoad(focusedWin) {
     if (!loadIt) {
         // first time population of page tree
         log('--- first time population of page tree ---');
-        populatePages();
+        populatePages(undefined, setPageTreeReady);
     }
     else {
         // load stored page tree and associate tabs to existing page nodes
@@ -178,19 +210,30 @@ async function postLoad(focusedWin) {
     // save a backup of pageTree periodically
     setInterval(backupPageTree, config.SAVE_TREE_BACKUP_EVERY_MS);
 
-    reportEvent('sidewise', 'loaded');
+    // take rotating point-in-time snapshots of pageTree
+    await treeSnapshots.loadIndex();
+    setTimeout(function() { treeSnapshots.takeDueSnapshots(); }, config.TREE_SNAPSHOT_INITIAL_CHECK_AFTER_MS);
+    setInterval(function() { treeSnapshots.takeDueSnapshots(); }, config.TREE_SNAPSHOT_CHECK_EVERY_MS);
 
-    monitorInfo = new MonitorInfo();
+    // snapshots of hibernated pages for their tooltips and filter box searches
+    await pageSnapshots.load();
 
-    if (monitorInfo.isKnown()) {
-        createSidebarOnStartup();
-    }
-    else {
-        // We don't know monitor metrics, so obtain them, save them, then create sidebar on startup
-        monitorInfo.retrieveMonitorMetrics(function() {
-            monitorInfo.saveToSettings();
-            createSidebarOnStartup();
-        });
+    // named sets of windows to switch between
+    await workspaces.load();
+
+    // hibernate pages left idle for too long or when memory runs short, when the user has turned that on,
+    // telling them about it in the activity feed
+    await activityFeed.load();
+    idleHibernator.start();
+    memoryHibernator.start();
+
+    // wake snoozed pages when their time comes, once the page tree is ready
+    snoozeScheduler.start();
+
+    reportEvent('sidewise', 'loaded');
+
+    if (!sidebarOpened) {
+        openSidebarOnStartup();
     }
 }
 
@@ -205,6 +248,19 @@ function registerEventHandlers() {
     registerRuntimeEvents();
 }
 
+function openSidebarOnStartup() {
+    if (monitorInfo.isKnown()) {
+        createSidebarOnStartup();
+    }
+    else {
+        // We don't know monitor metrics, so obtain them, save them, then create sidebar on startup
+        monitorInfo.retrieveMonitorMetrics(function() {
+            monitorInfo.saveToSettings();
+            createSidebarOnStartup();
+        });
+    }
+}
+
 function createSidebarOnStartup() {
     if (!settings.get('openSidebarOnStartup')) {
         return;
@@ -240,6 +296,11 @@ async function savePageTree(tree, settingName, excludeIncognitoNodes, force) {
         return;
     }
 
+    if (settings.cipher.isLocked() && settings.cipher.isEncryptedKey(settingName)) {
+        log(`Not saving tree "${settingName}": stored data is locked`);
+        return;
+    }
+
     log('--- saving tree to ' + settingName + ' ---');
 
     var saveTree = clone(tree.tree, ['parent', 'root', 'hostTree', 'chromeId']);
@@ -253,7 +314,7 @@ async function savePageTree(tree, settingName, excludeIncognitoNodes, force) {
         return;
 	}
 
-    await settings.saveData(settingName, saveTree);
+    await saveVersionedData(settingName, saveTree);
     tree.lastSaved = tree.lastModified;
 }
 
@@ -269,7 +330,6 @@ async function backupPageTree(force) {
         return;
     }
 
-    // TODO save N backup copies also, i.e. save up to 1 per day for preceding 30 days
     // TODO save recently closed & ghost trees too
     await savePageTree(tree, 'backupPageTree', true, true);
     log('Backup of page tree saved');
@@ -295,9 +355,9 @@ async function loadAndPopulateTree(treeObject, settingName, casts) {
     treeObject.loadTree(await loadTreeData(settingName), casts);
 }
 
-// loads tree data from persistent storage
+// loads tree data from persistent storage, upgrading it to the current schema version
 async function loadTreeData(settingName) {
-    return await settings.loadData(settingName, []);
+    return await loadVersionedData(settingName, []);
 }
 
 // loads the provided tree data into the tree object and prepares it
@@ -410,6 +470,27 @@ function loadPageTreeFromLocalStorage(storedPageTree) {
 }
 
 function PageTreeCallbackProxy(methodName, args) {
+    if (methodName == 'batch') {
+        // a committed transaction of tree; handle each of its ops here, but send them on to the sidebar
+        // together so it can apply them all at once
+        args.ops = args.ops.filter(function(e) { return handlePageTreeCallback(e.op, e.args); });
+        if (args.ops.length == 0) {
+            return;
+        }
+    }
+    else if (!handlePageTreeCallback(methodName, args)) {
+        return;
+    }
+
+    var pagesWindow = sidebarHandler.sidebarPanes['pages'];
+    if (pagesWindow) {
+        pagesWindow.PageTreeCallbackProxyListener.call(pagesWindow, methodName, args);
+    }
+}
+
+// Keep the ghost tree, recently closed tree, etc. up to date with a tree operation. Returns false if the
+// sidebar should not be told about it.
+function handlePageTreeCallback(methodName, args) {
     log(methodName, args);
 
     var node = args.element;
@@ -457,7 +538,7 @@ function PageTreeCallbackProxy(methodName, args) {
     if (methodName == 'move' && args.callbackBlocked) {
         // TODO change callbackBlocked/blockCallback to a callbackData arg that we pass in as-needed by callers
         // and gets passed into callbackProxy; eventually add this arg to all UiDataTree methods that do callbacking
-        return;
+        return false;
     }
 
     // add removed nodes to recently closed tree, excluding incognito, empty-url, and chrome*://* tabs
@@ -507,10 +588,7 @@ function PageTreeCallbackProxy(methodName, args) {
         setTimeout(function() { fixPinnedUnpinnedTabOrder(node); }, 0);
     }
 
-    var pagesWindow = sidebarHandler.sidebarPanes['pages'];
-    if (pagesWindow) {
-        pagesWindow.PageTreeCallbackProxyListener.call(pagesWindow, methodName, args);
-    }
+    return true;
 }
 
 function RecentlyClosedTreeCallbackProxy(methodName, args) {
@@ -661,22 +739,30 @@ function addNodeToRecentlyClosedTree(node, addDescendants) {
     }
 }
 
-function restoreNode(closedNodeMatcher, addDescendants) {
+// Restore the node matching closedNodeMatcher from the recently closed tree to the page tree.
+// If keepHibernated is true, leave the restored node hibernated rather than reopening its tab.
+// Returns the restored node.
+function restoreNode(closedNodeMatcher, addDescendants, keepHibernated) {
     var closedNode = recentlyClosedTree.getNode(closedNodeMatcher);
     if (!closedNode) {
         throw new Error('Could not find requested node to restore in rctree', closedNodeMatcher);
     }
     var wakes = 0;
     var wasHibernated = closedNode.hibernated;
+    var restored;
     closedNode.hibernated = true;
     restoreNodeFromRecentlyClosedTree(closedNode, addDescendants, function(restoredNode) {
-        if (!wasHibernated) {
+        if (!restored) {
+            restored = restoredNode;
+        }
+        if (!wasHibernated && !keepHibernated) {
             wakes++;
             tree.awakenPageNodes([restoredNode], restoredNode.topParent(), wakes == 1);
         }
         recentlyClosedTree.removeNode(closedNode);
         recentlyClosedTree.removeZeroChildTopNodes();
     });
+    return restored;
 }
 
 // Find insert position by looking for another ghost node that
@@ -995,45 +1081,74 @@ function addMissingNodesToGhostTree(fromTree, asAlive) {
     ghostTree.rebuildIndexes(); // addNode doesn't index existing descendants
 }
 
-function populatePages(incognito)
+// Call fn once the page tree holds the tabs which were open at startup, or at once if it already does:
+// after the first association run ends, or first time population of the tree
+function whenPageTreeReady(fn) {
+    if (pageTreeReady) {
+        fn();
+        return;
+    }
+    pageTreeReadyListeners.push(fn);
+}
+
+function setPageTreeReady() {
+    if (pageTreeReady) {
+        return;
+    }
+    log('Page tree is ready');
+    pageTreeReady = true;
+    var listeners = pageTreeReadyListeners;
+    pageTreeReadyListeners = [];
+    listeners.forEach(function(fn) { fn(); });
+}
+
+// Add the windows and tabs which aren't in the tree yet, only the incognito or only the normal ones
+// when incognito is given; onPopulated() is called once they have been added
+function populatePages(incognito, onPopulated)
 {
     chrome.windows.getAll({ populate: true }, function(windows) {
         var numWindows = windows.length;
         var s = '';
         var tabsToQuery = [];
 
-        for (var i = 0; i < numWindows; i++) {
-            var win = windows[i];
+        // send all the windows and tabs to the sidebar in one go
+        tree.transaction(function() {
+            for (var i = 0; i < numWindows; i++) {
+                var win = windows[i];
 
-            // Obey incognito condition, if present
-            if (incognito === true && !win.incognito) continue;
-            if (incognito === false && win.incognito) continue;
+                // Obey incognito condition, if present
+                if (incognito === true && !win.incognito) continue;
+                if (incognito === false && win.incognito) continue;
 
-            var tabs = win.tabs;
-            var numTabs = tabs.length;
-            log('Populating tabs from window', 'windowId', win.id, 'number of tabs', numTabs);
+                var tabs = win.tabs;
+                var numTabs = tabs.length;
+                log('Populating tabs from window', 'windowId', win.id, 'number of tabs', numTabs);
 
-            if (win.id == sidebarHandler.windowId) {
-                // ignore sidebar
-                continue;
-            }
+                if (win.id == sidebarHandler.windowId) {
+                    // ignore sidebar
+                    continue;
+                }
 
-            var winNode = tree.getNode(['chromeId', win.id]);
-            if (!winNode) {
-                winNode = new WindowNode(win);
-                tree.addNode(winNode);
-            }
+                var winNode = tree.getNode(['chromeId', win.id]);
+                if (!winNode) {
+                    winNode = new WindowNode(win);
+                    tree.addNode(winNode);
+                }
 
-            for (var j = 0; j < numTabs; j++) {
-                var tab = tabs[j];
-                log('Populating', tab.id, tab.title, tab.url, tab);
-                var pageNode = tree.getNode(['chromeId', tab.id]);
-                if (!pageNode) {
-                    tree.addNode(new PageNode(tab), winNode);
+                for (var j = 0; j < numTabs; j++) {
+                    var tab = tabs[j];
+                    log('Populating', tab.id, tab.title, tab.url, tab);
+                    var pageNode = tree.getNode(['chromeId', tab.id]);
+                    if (!pageNode) {
+                        tree.addNode(new PageNode(tab), winNode);
+                    }
+                    tabsToQuery.push(tab);
                 }
-                tabsToQuery.push(tab);
-            }
 
+            }
+        });
+        if (onPopulated) {
+            onPopulated();
         }
         setTimeout(function() { findTabParents(tabsToQuery); }, 1500); // give content scripts a moment to get going
     });
@@ -0,0 +1,84 @@
+///////////////////////////////////////////////////////////
+// ActivityFeed class
+///////////////////////////////////////////////////////////
+
+/**
+  * @class
+  * A log of things Sidewise did on its own, such as hibernating pages, shown in the sidebar's
+  * activity pane so that users can see why their tabs went to sleep.
+  *
+  * Entries are of the form { at, kind, args, pages: [{ id, title, url, favicon }] }, newest first.
+  * An entry's text is the 'activity_' + kind message filled in with args. At most
+  * config.ACTIVITY_FEED_MAX_ENTRIES entries are kept; they are stored under 'activityFeed'.
+  *
+  * @constructor
+  */
+var ActivityFeed = function()
+{
+    this.entries = [];
+};
+
+ActivityFeed.prototype = {
+
+    ///////////////////////////////////////////////////////////
+    // Loading and saving
+    ///////////////////////////////////////////////////////////
+
+    load: async function() {
+        this.entries = await settings.loadData('activityFeed', []);
+    },
+
+    save: function() {
+        var self = this;
+        TimeoutManager.reset('saveActivityFeed', function() {
+            settings.saveData('activityFeed', self.entries);
+        }, config.ACTIVITY_FEED_SAVE_DELAY_MS);
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Entries
+    ///////////////////////////////////////////////////////////
+
+    // Add an entry of the given kind about pages, an array of PageNodes, and show it in the activity pane
+    add: function(kind, args, pages) {
+        var entry = {
+            at: Date.now(),
+            kind: kind,
+            args: args || [],
+            pages: (pages || []).map(function(e) {
+                return { id: e.id, title: e.label || e.title, url: e.url, favicon: e.favicon };
+            })
+        };
+        log('Activity', getActivityFeedEntryText(entry), entry.pages.map(function(e) { return e.id; }));
+
+        this.entries.unshift(entry);
+        this.entries.splice(config.ACTIVITY_FEED_MAX_ENTRIES);
+        this.save();
+
+        var activityWindow = sidebarHandler.sidebarPanes['activity'];
+        if (activityWindow) {
+            try {
+                activityWindow.onActivityFeedEntryAdded(entry);
+            }
+            catch (ex) {
+                // pane was closed or is still loading
+            }
+        }
+        return entry;
+    },
+
+    clear: function() {
+        this.entries = [];
+        this.save();
+    }
+};
+
+
+///////////////////////////////////////////////////////////
+// Helpers
+///////////////////////////////////////////////////////////
+
+function getActivityFeedEntryText(entry) {
+    return getMessage('activity_' + entry.kind, entry.args);
+}
@@ -16,6 +16,9 @@ var DataTree = function(indexKeys) {
     this.lastModified = null;
     this.onModified = null;
     this.indexes = {};
+    this.journal = null; // optional TreeJournal which records node operations for undo/redo
+    this.journalSuspended = 0;
+    this.changeLog = null; // optional TreeChangeLog which saves the tree incrementally; fed by onModified
 
     if (!indexKeys) {
         indexKeys = [];
@@ -275,7 +278,11 @@ DataTree.prototype = {
             this.indexNode(node);
         }
 
-        this.updateLastModified();
+        this.recordJournalEntry(function(position) {
+            return { op: 'add', node: node, position: position(node) };
+        });
+
+        this.updateLastModified([node.parent].concat(this.filter(function(e) { return true; }, [node])));
         return [node, parent, beforeSibling];
     },
 
@@ -308,6 +315,23 @@ DataTree.prototype = {
             throw new Error('updateNode could not find a matching node to update');
         }
 
+        this.recordJournalEntry(function() {
+            var before = {};
+            var after = {};
+            var changed = false;
+            for (var key in details) {
+                if (node[key] !== details[key]) {
+                    before[key] = node[key];
+                    after[key] = details[key];
+                    changed = true;
+                }
+            }
+            if (!changed) {
+                return;
+            }
+            return { op: 'update', nodeId: node.id, before: before, after: after };
+        });
+
         if (!skipIndexing) {
             this.updateIndexForNode(node, details);
         }
@@ -318,7 +342,7 @@ DataTree.prototype = {
         }
 
         if (!blockUpdateLastModified) {
-            this.updateLastModified();
+            this.updateLastModified([node]);
         }
 
         return node;
@@ -334,6 +358,18 @@ DataTree.prototype = {
             throw new Error('Could not find requested element to remove matching ' + matcher.toString());
         }
 
+        this.recordJournalEntry(function(position) {
+            return {
+                op: 'remove',
+                node: node,
+                position: position(node),
+                removeChildren: removeChildren || false,
+                childIds: removeChildren ? [] : node.children.map(function(e) { return e.id; })
+            };
+        });
+
+        var parent = node.parent;
+
         if (removeChildren) {
             // remove all children
             node.siblings().splice(node.siblingIndex(), 1);
@@ -353,7 +389,7 @@ DataTree.prototype = {
             this.deindexNode(node);
         }
 
-        this.updateLastModified();
+        this.updateLastModified([parent]);
         return node;
     },
 
@@ -377,17 +413,32 @@ DataTree.prototype = {
             }
         }
 
+        var fromPosition = this.getJournalPosition(moving);
+        var childIds = keepChildren ? [] : moving.children.map(function(e) { return e.id; });
+
         var r;
-        if (keepChildren) {
-            this.removeNode(moving, true, true);
-            r = this.addNode(moving, parent, beforeSiblingMatcher, true);
+        this.journalSuspended++;
+        try {
+            if (keepChildren) {
+                this.removeNode(moving, true, true);
+                r = this.addNode(moving, parent, beforeSiblingMatcher, true);
+            }
+            else {
+                this.removeNode(moving, false, true);
+                moving.children = []; // remove all of its children
+                r = this.addNode(moving, parent, beforeSiblingMatcher, true);
+            }
         }
-        else {
-            this.removeNode(moving, false, true);
-            moving.children = []; // remove all of its children
-            r = this.addNode(moving, parent, beforeSiblingMatcher, true);
+        finally {
+            this.journalSuspended--;
         }
-        this.updateLastModified();
+
+        this.recordJournalEntry(function(position) {
+            return { op: 'move', nodeId: moving.id, from: fromPosition, to: position(moving),
+                keepChildren: keepChildren || false, childIds: childIds };
+        });
+
+        this.updateLastModified([moving]);
         return r;
     },
 
@@ -398,17 +449,34 @@ DataTree.prototype = {
             throw new Error('Could not find node matching movingMatcher');
         }
 
-        if (keepChildren) {
-            this.removeNode(moving, true, true);
+        var fromPosition = this.getJournalPosition(moving);
+        var childIds = keepChildren ? [] : moving.children.map(function(e) { return e.id; });
+
+        var r;
+        this.journalSuspended++;
+        try {
+            if (keepChildren) {
+                this.removeNode(moving, true, true);
+            }
+            else {
+                this.removeNode(moving, false, true);
+                moving.children = []; // remove all of its children
+            }
+
+            var rel = this.getNodeRel(relation, toMatcher);
+            r = this.addNode(moving, rel.parent, rel.following, true);
         }
-        else {
-            this.removeNode(moving, false, true);
-            moving.children = []; // remove all of its children
+        finally {
+            this.journalSuspended--;
         }
 
-        var rel = this.getNodeRel(relation, toMatcher);
-        this.updateLastModified();
-        return this.addNode(moving, rel.parent, rel.following, true);
+        this.recordJournalEntry(function(position) {
+            return { op: 'move', nodeId: moving.id, from: fromPosition, to: position(moving),
+                keepChildren: keepChildren || false, childIds: childIds };
+        });
+
+        this.updateLastModified([moving]);
+        return r;
     },
 
     // Merge the node matching fromNodeMatcher and all its children into the node matching toNodeMatcher.
@@ -429,6 +497,18 @@ DataTree.prototype = {
         var fromId = fromNodeEx.node.id;
         var toId = toNode.id;
 
+        this.recordJournalEntry(function(position) {
+            return {
+                op: 'merge',
+                node: fromNodeEx.node,
+                position: position(fromNodeEx.node),
+                toId: toId,
+                childIds: fromNodeEx.node.children.map(function(e) { return e.id; })
+            };
+        });
+
+        var fromParent = fromNodeEx.node.parent;
+
         // Update parents of children about to be moved
         fromNodeEx.node.children.forEach(function(e) { e.parent = toNode; });
 
@@ -438,6 +518,8 @@ DataTree.prototype = {
         // Remove fromNode from tree
         fromNodeEx.siblings.splice(fromNodeEx.index, 1);
 
+        this.updateLastModified([fromParent, toNode]);
+
         return { fromId: fromId, toId: toId };
     },
 
@@ -483,6 +565,10 @@ DataTree.prototype = {
         this.rebuildIndexes();
         this.rebuildParents();
         this.lastModified = Date.now();
+
+        if (this.journal) {
+            this.journal.clear();
+        }
     },
 
     // rebuild .parent relations
@@ -559,6 +645,16 @@ DataTree.prototype = {
         }, [], inArray);
     },
 
+    /**
+      * Returns the nodes matching queryText, a query in the syntax described by TreeQuery.
+      * Throws an Error if queryText can't be parsed.
+      * @example tree.query('domain:github.com hibernated:true age>7d');
+      */
+    query: function(queryText)
+    {
+        return new TreeQuery(queryText).run(this);
+    },
+
     groupBy: function(groupByFn, inArray)
     {
         return this.reduce(function(l, e) {
@@ -786,6 +882,43 @@ DataTree.prototype = {
         }
     },
 
+    /////////////////////////////////////////////////////
+    // Undo journal
+    /////////////////////////////////////////////////////
+
+    // Record a node operation into this.journal, if one is attached. entryFn is only called when
+    // recording will actually happen; it is passed getJournalPosition() and should return the entry
+    // to record, or undefined to record nothing. Operations performed internally by other
+    // operations, e.g. the remove+add pair that makes up a move, are not recorded separately.
+    recordJournalEntry: function(entryFn) {
+        if (!this.journal || this.journalSuspended > 0) {
+            return;
+        }
+        var self = this;
+        var entry = entryFn(function(node) { return self.getJournalPosition(node); });
+        if (entry) {
+            this.journal.record(entry);
+        }
+    },
+
+    // Returns the position of node in the tree as { parentId, beforeSiblingId }, where parentId is
+    // undefined for top level nodes and beforeSiblingId is the id of the node following node, if any.
+    getJournalPosition: function(node) {
+        var following = node.afterSibling();
+        return {
+            parentId: node.parent && !node.parent.isRoot ? node.parent.id : undefined,
+            beforeSiblingId: following ? following.id : undefined
+        };
+    },
+
+    // Tell this.changeLog, if one is attached, that modifiedNodes need saving; see updateLastModified().
+    // Subclasses call this from their onModified handlers.
+    markNodesDirty: function(modifiedNodes) {
+        if (this.changeLog) {
+            this.changeLog.markDirty(modifiedNodes);
+        }
+    },
+
     /////////////////////////////////////////////////////
     // Miscellaneous
     /////////////////////////////////////////////////////
@@ -813,6 +946,9 @@ DataTree.prototype = {
             last[e] = {};
             return last;
         }, {});
+        if (this.journal) {
+            this.journal.clear();
+        }
         this.updateLastModified();
     },
 
@@ -823,10 +959,12 @@ DataTree.prototype = {
     },
 
     // Updates this.lastModified and calls this.onModified, if set.
-    updateLastModified: function() {
+    // modifiedNodes lists the nodes whose properties or children changed (the root node stands for the
+    // top level); omit it when any node may have changed.
+    updateLastModified: function(modifiedNodes) {
         this.lastModified = Date.now();
         if (this.onModified) {
-            this.onModified();
+            this.onModified(modifiedNodes);
         }
     },
 
@@ -0,0 +1,174 @@
+///////////////////////////////////////////////////////////
+// IdleHibernator class
+///////////////////////////////////////////////////////////
+
+/**
+  * @class
+  * Hibernates awake pages of a PageTree which have not been focused for a while.
+  *
+  * How long a page may sit idle is the autoHibernate_idleMinutes setting unless a rule for its domain
+  * in autoHibernate_domainRules says otherwise, e.g. "youtube.com=5, mail.google.com=never". Pages which
+  * canHibernate() refuses are never hibernated; MemoryPressureHibernator abides by that too.
+  *
+  * Pages are stamped with .lastFocused by onTabActivated(); a page's idle time counts from then,
+  * falling back on its .createdOn.
+  *
+  * @param pageTree The PageTree whose pages to hibernate.
+  * @constructor
+  */
+var IdleHibernator = function(pageTree)
+{
+    this.tree = pageTree;
+    this.activeTabIds = {};         // { windowId: tabId } of the focused tab in each window
+    this.checkInterval = undefined;
+};
+
+IdleHibernator.prototype = {
+
+    ///////////////////////////////////////////////////////////
+    // Scheduling
+    ///////////////////////////////////////////////////////////
+
+    start: function() {
+        var self = this;
+        chrome.tabs.query({ active: true }, function(tabs) {
+            self.setActiveTabs(tabs);
+        });
+        this.checkInterval = setInterval(function() { self.check(); }, config.AUTO_HIBERNATE_CHECK_EVERY_MS);
+    },
+
+    stop: function() {
+        clearInterval(this.checkInterval);
+        this.checkInterval = undefined;
+    },
+
+    // Hibernate the pages whose idle time is up
+    check: function() {
+        var self = this;
+        if (!settings.get('autoHibernate_enabled') || browserIsClosed) {
+            return;
+        }
+
+        chrome.tabs.query({ active: true }, function(tabs) {
+            self.setActiveTabs(tabs);
+
+            var now = Date.now();
+            var due = self.tree.filter(function(e) {
+                var hibernateAt = self.getHibernateAt(e);
+                return hibernateAt !== undefined && hibernateAt <= now;
+            });
+            if (due.length == 0) {
+                return;
+            }
+
+            log('Hibernating idle pages', due.map(function(e) { return e.id; }));
+            self.tree.hibernatePages(due.map(function(e) { return e.chromeId; }));
+            activityFeed.add('idleHibernate', [due.length.toString()], due);
+        });
+    },
+
+    setActiveTabs: function(tabs) {
+        var activeTabIds = {};
+        tabs.forEach(function(tab) { activeTabIds[tab.windowId] = tab.id; });
+        this.activeTabIds = activeTabIds;
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Focus tracking
+    ///////////////////////////////////////////////////////////
+
+    // Record that tabId was focused in windowId
+    onTabActivated: function(tabId, windowId) {
+        var now = Date.now();
+        var previousTabId = this.activeTabIds[windowId];
+        this.activeTabIds[windowId] = tabId;
+
+        // a page is not idle while it is focused, so its idle time counts from when it loses focus
+        var self = this;
+        [previousTabId, tabId].forEach(function(id) {
+            var page = id && self.tree.getNode(['chromeId', id]);
+            if (page) {
+                self.tree.updatePage(page, { lastFocused: now });
+            }
+        });
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Rules
+    ///////////////////////////////////////////////////////////
+
+    // Returns when node is due to be hibernated, or undefined if it won't be
+    getHibernateAt: function(node) {
+        if (!settings.get('autoHibernate_enabled') || !this.canHibernate(node)) {
+            return undefined;
+        }
+
+        var idleMs = this.getIdleLimitMs(node.url);
+        if (idleMs === undefined) {
+            return undefined;
+        }
+        return (node.lastFocused || node.createdOn || Date.now()) + idleMs;
+    },
+
+    // True when node is an awake page which may be hibernated automatically: not pinned, playing media,
+    // incognito, the focused page of its window, or on a domain in autoHibernate_whitelist
+    canHibernate: function(node) {
+        if (!(node instanceof PageNode)
+            || node.hibernated
+            || !node.chromeId
+            || node.pinned
+            || node.incognito
+            || node.mediaState == 'playing')
+        {
+            return false;
+        }
+
+        for (var windowId in this.activeTabIds) {
+            if (this.activeTabIds[windowId] == node.chromeId) {
+                return false;
+            }
+        }
+
+        return !parseAutoHibernateDomainList(settings.get('autoHibernate_whitelist'))
+            .some(function(domain) { return urlMatchesDomain(node.url, domain); });
+    },
+
+    // Returns how long a page at url may be idle before it is hibernated, or undefined if never
+    getIdleLimitMs: function(url) {
+        // the rule for the most specific domain wins
+        var rule = parseAutoHibernateDomainRules(settings.get('autoHibernate_domainRules'))
+            .filter(function(r) { return urlMatchesDomain(url, r.domain); })
+            .sort(function(a, b) { return b.domain.length - a.domain.length; })[0];
+
+        var minutes = rule ? rule.minutes : settings.get('autoHibernate_idleMinutes');
+        if (minutes === undefined || !(minutes > 0)) {
+            return undefined;
+        }
+        return minutes * MINUTE_MS;
+    }
+};
+
+
+///////////////////////////////////////////////////////////
+// Helpers
+///////////////////////////////////////////////////////////
+
+// Parse a list of domains separated by commas or spaces
+function parseAutoHibernateDomainList(text) {
+    return (text || '').split(/[\s,]+/).filter(function(e) { return e.length > 0; });
+}
+
+// Parse rules of the form domain=never or domain=minutes, e.g. "youtube.com=5, mail.google.com=never",
+// into [{ domain, minutes }] where minutes is undefined for never. Malformed rules are skipped.
+function parseAutoHibernateDomainRules(text) {
+    return parseAutoHibernateDomainList(text).map(function(e) {
+        var m = e.match(/^([^=]+)=(never|(\d+)\s*(?:m|min|mins|minutes)?)$/i);
+        if (!m) {
+            log('Skipping malformed auto hibernation rule', e);
+            return undefined;
+        }
+        return { domain: m[1], minutes: m[3] === undefined ? undefined : parseInt(m[3]) };
+    }).filter(function(e) { return e !== undefined; });
+}
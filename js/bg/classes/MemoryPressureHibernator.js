@@ -0,0 +1,123 @@
+///////////////////////////////////////////////////////////
+// MemoryPressureHibernator class
+///////////////////////////////////////////////////////////
+
+/**
+  * @class
+  * Hibernates the least recently focused awake pages of a PageTree when too many pages are awake
+  * or Sidewise's own memory use grows too large.
+  *
+  * The budget is the memoryHibernate_maxAwakePages and memoryHibernate_maxHeapMB settings, either
+  * of which is off when 0. Going over the awake pages budget hibernates just enough pages to get back
+  * under it. The heap size reported by performance.memory can't tell us how much each page takes up,
+  * so going over the heap budget hibernates config.MEMORY_HIBERNATE_HEAP_BATCH_SIZE pages per check
+  * until memory use is back under it. Hibernating pages only sometimes frees memory in Sidewise itself,
+  * so once a round has not lowered the heap size no more rounds are done for it until it drops again.
+  *
+  * Only pages IdleHibernator.canHibernate() allows are hibernated. Each round of hibernation is
+  * recorded in the activity feed along with why it happened.
+  *
+  * @param pageTree The PageTree whose pages to hibernate.
+  * @param idleHibernator The IdleHibernator which knows which pages may be hibernated.
+  * @constructor
+  */
+var MemoryPressureHibernator = function(pageTree, idleHibernator)
+{
+    this.tree = pageTree;
+    this.idleHibernator = idleHibernator;
+    this.checkInterval = undefined;
+    this.lastHeapRoundMB = undefined;   // heap size when we last hibernated pages for being over the heap budget
+};
+
+MemoryPressureHibernator.prototype = {
+
+    ///////////////////////////////////////////////////////////
+    // Scheduling
+    ///////////////////////////////////////////////////////////
+
+    start: function() {
+        var self = this;
+        this.checkInterval = setInterval(function() { self.check(); }, config.MEMORY_HIBERNATE_CHECK_EVERY_MS);
+    },
+
+    stop: function() {
+        clearInterval(this.checkInterval);
+        this.checkInterval = undefined;
+    },
+
+    // Hibernate the least recently focused pages if we are over budget
+    check: function() {
+        var self = this;
+        if (!settings.get('memoryHibernate_enabled') || browserIsClosed) {
+            return;
+        }
+
+        chrome.tabs.query({ active: true }, function(tabs) {
+            self.idleHibernator.setActiveTabs(tabs);
+
+            var awake = self.tree.filter(function(e) { return e instanceof PageNode && !e.hibernated && e.chromeId; });
+            var overage = self.getOverage(awake.length);
+            if (!overage) {
+                return;
+            }
+
+            var hibernating = awake
+                .filter(function(e) { return self.idleHibernator.canHibernate(e); })
+                .sort(function(a, b) { return getLastFocusedTime(a) - getLastFocusedTime(b); })
+                .slice(0, overage.count);
+
+            if (hibernating.length == 0) {
+                log('Over memory budget but no pages can be hibernated', overage);
+                return;
+            }
+
+            log('Hibernating least recently used pages', overage, hibernating.map(function(e) { return e.id; }));
+            self.tree.hibernatePages(hibernating.map(function(e) { return e.chromeId; }));
+            activityFeed.add(overage.kind, [hibernating.length.toString()].concat(overage.args), hibernating);
+        });
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Budget
+    ///////////////////////////////////////////////////////////
+
+    // Returns { kind, args, count } saying why and by how many pages we are over budget, or undefined
+    // when we are within it. The awake pages budget is checked first as it tells us how many to hibernate.
+    getOverage: function(awakeCount) {
+        var maxAwake = settings.get('memoryHibernate_maxAwakePages');
+        if (maxAwake > 0 && awakeCount > maxAwake) {
+            return {
+                kind: 'memoryHibernate_awakePages',
+                args: [awakeCount.toString(), maxAwake.toString()],
+                count: awakeCount - maxAwake
+            };
+        }
+
+        var maxHeapMB = settings.get('memoryHibernate_maxHeapMB');
+        var heapMB = this.getHeapMB();
+        if (maxHeapMB > 0 && heapMB !== undefined && heapMB > maxHeapMB) {
+            if (this.lastHeapRoundMB !== undefined && heapMB >= this.lastHeapRoundMB) {
+                log('Hibernating pages did not lower the heap size, not hibernating more for it', heapMB, this.lastHeapRoundMB);
+                return undefined;
+            }
+            this.lastHeapRoundMB = heapMB;
+            return {
+                kind: 'memoryHibernate_heap',
+                args: [Math.round(heapMB).toString(), maxHeapMB.toString()],
+                count: config.MEMORY_HIBERNATE_HEAP_BATCH_SIZE
+            };
+        }
+
+        this.lastHeapRoundMB = undefined;
+        return undefined;
+    },
+
+    // Returns the JS heap size in use by Sidewise in MB, or undefined if Chrome doesn't tell us
+    getHeapMB: function() {
+        if (!performance.memory) {
+            return undefined;
+        }
+        return performance.memory.usedJSHeapSize / (1024 * 1024);
+    }
+};
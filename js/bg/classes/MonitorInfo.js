@@ -49,6 +49,42 @@ MonitorInfo.prototype = {
         return this.monitors[0];
     },
 
+    // Returns the monitor which the center of rect, an object like { left, top, width, height }, is on,
+    // or undefined if monitors haven't been detected
+    getMonitorFromRect: function(rect) {
+        if (!this.isKnown()) {
+            return undefined;
+        }
+        var x = rect.left + rect.width / 2;
+        var y = rect.top + rect.height / 2;
+        for (var i = 0; i < this.monitors.length; i++) {
+            var monitor = this.monitors[i];
+            if (x >= monitor.left && x < monitor.left + monitor.width && y >= monitor.top && y < monitor.top + monitor.height) {
+                return monitor;
+            }
+        }
+        return this.getMonitorFromLeftCoord(x);
+    },
+
+    // Returns the detected monitor with the same position and size as bounds, or undefined if there is none
+    findMonitor: function(bounds) {
+        return this.monitors.filter(function(e) {
+            return e.left == bounds.left && e.top == bounds.top && e.width == bounds.width && e.height == bounds.height;
+        })[0];
+    },
+
+    // Returns rect, which was on fromMonitor, moved to the same spot on toMonitor and shrunk as needed to fit it
+    fitRectToMonitor: function(rect, fromMonitor, toMonitor) {
+        var width = Math.min(rect.width, toMonitor.availWidth);
+        var height = Math.min(rect.height, toMonitor.availHeight);
+        return {
+            left: toMonitor.left + Math.max(0, Math.min(rect.left - fromMonitor.left, toMonitor.availWidth - width)),
+            top: toMonitor.top + Math.max(0, Math.min(rect.top - fromMonitor.top, toMonitor.availHeight - height)),
+            width: width,
+            height: height
+        };
+    },
+
     ///////////////////////////////////////////////////////////
     // Main UI entry point for monitor detection routine
     ///////////////////////////////////////////////////////////
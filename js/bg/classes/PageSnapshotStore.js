@@ -0,0 +1,200 @@
+///////////////////////////////////////////////////////////
+// PageSnapshotStore class
+///////////////////////////////////////////////////////////
+
+/**
+  * @class
+  * Keeps a snapshot of each page as it was when it was hibernated: a text excerpt of the page and,
+  * when the page was the focused tab of its window, a reduced thumbnail of it. Snapshots are shown in
+  * hibernated pages' tooltips, and their excerpts are searched by the sidebar's filter box.
+  *
+  * The index of snapshots is stored under 'pageSnapshotIndex' with entries of the form
+  * { url, capturedAt, excerpt, hasThumbnail } keyed by page node id; thumbnails are stored under
+  * 'pageSnapshotThumbnail_' + node id and only loaded when asked for. At most
+  * config.PAGE_SNAPSHOT_MAX_COUNT snapshots are kept, the oldest being dropped first, and snapshots
+  * of pages no longer in the host tree are dropped on load.
+  *
+  * @param hostTree The PageTree whose pages to keep snapshots of.
+  * @constructor
+  */
+var PageSnapshotStore = function(hostTree)
+{
+    this.hostTree = hostTree;
+    this.index = {};
+    this.thumbnails = {};       // { nodeId: thumbnail data url } of thumbnails loaded so far
+};
+
+PageSnapshotStore.prototype = {
+
+    ///////////////////////////////////////////////////////////
+    // Loading and saving
+    ///////////////////////////////////////////////////////////
+
+    load: async function() {
+        this.index = await settings.loadData('pageSnapshotIndex', {});
+
+        var self = this;
+        var gone = Object.keys(this.index).filter(function(id) { return !self.hostTree.getNode(id); });
+        if (gone.length > 0) {
+            log('Dropping page snapshots of pages no longer in the tree', gone.length);
+            await this.remove(gone);
+        }
+    },
+
+    saveIndex: async function() {
+        await settings.saveData('pageSnapshotIndex', this.index);
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Capturing
+    ///////////////////////////////////////////////////////////
+
+    // Capture a snapshot of page, whose tab is tabId, from excerpt and a thumbnail of the tab if it is
+    // the focused tab of its window. Calls onDone() once captured, whether or not that succeeded.
+    capture: function(page, tabId, excerpt, onDone) {
+        if (page.incognito) {
+            onDone();
+            return;
+        }
+
+        var self = this;
+        this.captureThumbnail(tabId, function(thumbnail) {
+            if (!excerpt && !thumbnail) {
+                onDone();
+                return;
+            }
+            self.set(page.id, page.url, excerpt, thumbnail)
+                .catch(function(ex) { console.error('Could not save page snapshot', ex); })
+                .then(onDone);
+        });
+    },
+
+    // Calls onDone(thumbnail) with a reduced jpeg data url of the visible part of tabId, or
+    // onDone(undefined) if the tab isn't showing
+    captureThumbnail: function(tabId, onDone) {
+        chrome.tabs.get(tabId, function(tab) {
+            if (chrome.runtime.lastError || !tab || !tab.active) {
+                onDone(undefined);
+                return;
+            }
+            chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg' }, function(dataUrl) {
+                if (chrome.runtime.lastError || !dataUrl) {
+                    log('Could not capture page thumbnail', tabId, chrome.runtime.lastError);
+                    onDone(undefined);
+                    return;
+                }
+                reducePageThumbnail(dataUrl, onDone);
+            });
+        });
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Snapshot storage and retrieval
+    ///////////////////////////////////////////////////////////
+
+    set: async function(nodeId, url, excerpt, thumbnail) {
+        this.index[nodeId] = {
+            url: url,
+            capturedAt: Date.now(),
+            excerpt: excerpt || '',
+            hasThumbnail: !!thumbnail
+        };
+
+        if (thumbnail) {
+            this.thumbnails[nodeId] = thumbnail;
+            await settings.saveData('pageSnapshotThumbnail_' + nodeId, thumbnail);
+        }
+        else if (this.thumbnails[nodeId]) {
+            delete this.thumbnails[nodeId];
+            await settings.removeData('pageSnapshotThumbnail_' + nodeId);
+        }
+
+        await this.trim();
+        await this.saveIndex();
+    },
+
+    // Returns the snapshot index entry of nodeId, or undefined
+    get: function(nodeId) {
+        return this.index[nodeId];
+    },
+
+    // Returns a promise of nodeId's thumbnail data url, or of undefined if it has none
+    getThumbnail: async function(nodeId) {
+        var entry = this.index[nodeId];
+        if (!entry || !entry.hasThumbnail) {
+            return undefined;
+        }
+        if (!this.thumbnails[nodeId]) {
+            this.thumbnails[nodeId] = await settings.loadData('pageSnapshotThumbnail_' + nodeId);
+        }
+        return this.thumbnails[nodeId];
+    },
+
+    // Remove the snapshots of the given node ids
+    remove: async function(nodeIds) {
+        var self = this;
+        nodeIds.forEach(function(id) {
+            delete self.index[id];
+            delete self.thumbnails[id];
+        });
+        await settings.removeData(nodeIds.map(function(id) { return 'pageSnapshotThumbnail_' + id; }));
+        await this.saveIndex();
+    },
+
+    // Drop the oldest snapshots beyond config.PAGE_SNAPSHOT_MAX_COUNT
+    trim: async function() {
+        var self = this;
+        var ids = Object.keys(this.index);
+        if (ids.length <= config.PAGE_SNAPSHOT_MAX_COUNT) {
+            return;
+        }
+        ids.sort(function(a, b) { return self.index[b].capturedAt - self.index[a].capturedAt; });
+        await this.remove(ids.slice(config.PAGE_SNAPSHOT_MAX_COUNT));
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Searching
+    ///////////////////////////////////////////////////////////
+
+    // Returns the ids of the nodes whose excerpt contains each of the space separated words in text
+    findByText: function(text) {
+        var words = text.toLowerCase().split(' ').filter(function(e) { return e.length > 0; });
+        if (words.length == 0) {
+            return [];
+        }
+
+        var ids = [];
+        for (var id in this.index) {
+            var excerpt = this.index[id].excerpt.toLowerCase();
+            if (words.every(function(word) { return excerpt.indexOf(word) > -1; })) {
+                ids.push(id);
+            }
+        }
+        return ids;
+    }
+};
+
+
+///////////////////////////////////////////////////////////
+// Helpers
+///////////////////////////////////////////////////////////
+
+// Scale a captured tab image down to config.PAGE_SNAPSHOT_THUMBNAIL_WIDTH and call onDone(thumbnail)
+// with it as a jpeg data url, or onDone(undefined) if the image can't be read
+function reducePageThumbnail(dataUrl, onDone) {
+    var img = new Image();
+    img.onload = function() {
+        var canvas = document.createElement('canvas');
+        canvas.width = Math.min(config.PAGE_SNAPSHOT_THUMBNAIL_WIDTH, img.width);
+        canvas.height = Math.round(img.height * canvas.width / img.width);
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        onDone(canvas.toDataURL('image/jpeg', config.PAGE_SNAPSHOT_THUMBNAIL_QUALITY));
+    };
+    img.onerror = function() {
+        onDone(undefined);
+    };
+    img.src = dataUrl;
+}
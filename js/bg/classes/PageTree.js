@@ -10,6 +10,25 @@ var PAGETREE_ONMODIFIED_STARTUP_DURATION_MS = 20000;
 var CONFORM_TAB_INDEX_DELAY_MS = 5500;
 var CONFORM_ALL_TAB_INDEX_DELAY_MS = 5000;
 
+// Node properties PageTree keeps an index of for getNode([key, value]) lookups
+var PAGETREE_INDEX_KEYS = ['id', 'chromeId', 'hibernated'];
+
+// Values nodes can be ordered by with sortChildren()
+var PAGETREE_SORT_KEYS = {
+    title: function(node) { return (node.label || node.title || '').toLowerCase(); },
+    domain: function(node) {
+        var parts = node.url ? splitUrl(node.url) : undefined;
+        if (!parts || !parts.domain) {
+            // no url, or one splitUrl() can't make out; these go by their whole url
+            return (node.url || '').toLowerCase();
+        }
+        return (parts.domain + '/' + (parts.host || '')).toLowerCase();
+    },
+    url: function(node) { return (node.url || '').toLowerCase(); },
+    created: function(node) { return node.createdOn || 0; },
+    focused: function(node) { return getLastFocusedTime(node); }
+};
+
 ///////////////////////////////////////////////////////////
 // PageTree class
 ///////////////////////////////////////////////////////////
@@ -28,7 +47,7 @@ var PageTree = function(callbackProxyFn, onModifiedDelayed)
     // Initialization
     ///////////////////////////////////////////////////////////
 
-    this.$base(['id', 'chromeId']);
+    this.$base(PAGETREE_INDEX_KEYS.slice());
     this.callbackProxyFn = callbackProxyFn; // callback proxy function for page/window functions
     this.focusedTabId = null;
     this.lastFocusedTabId = null;
@@ -36,6 +55,8 @@ var PageTree = function(callbackProxyFn, onModifiedDelayed)
     this.onModified = this._onPageTreeModified;
     this.awakeningPages = [];
     this.onModifiedDelayed = onModifiedDelayed;
+    this.transactionDepth = 0;
+    this.transactionStats = { batches: 0, ops: 0, coalesced: 0 };
 
     // Set startup onModifiedDelay duration
     this.onModifiedDelayedWaitMs = PAGETREE_ONMODIFIED_DELAY_ON_STARTUP_MS;
@@ -323,6 +344,154 @@ PageTree.prototype = {
         return r;
     },
 
+    // Reorder the children of the node matching parentMatcher by key, one of PAGETREE_SORT_KEYS, also
+    // reordering the children of every node below it when recursive is true. Pinned pages stay ahead of
+    // unpinned ones. Chrome's tab order is then conformed to the new order.
+    sortChildren: function(parentMatcher, key, descending, recursive)
+    {
+        var parent = this.getNode(parentMatcher);
+        if (!parent) {
+            throw new Error('Could not find node to sort children of');
+        }
+
+        this.sortChildrenBy(parent, PAGETREE_SORT_KEYS[key], descending, recursive);
+        this.conformChromeTabIndexForNodeArray(parent.children, true);
+    },
+
+    sortChildrenBy: function(parent, valueFn, descending, recursive)
+    {
+        var sorted = parent.children.slice().sort(function(a, b) {
+            if (!a.pinned != !b.pinned) {
+                return a.pinned ? -1 : 1;
+            }
+            var aValue = valueFn(a);
+            var bValue = valueFn(b);
+            var r = typeof(aValue) == 'string' ? aValue.localeCompare(bValue) : aValue - bValue;
+            return descending ? -r : r;
+        });
+
+        var self = this;
+        var changed = sorted.some(function(e, i) { return e !== parent.children[i]; });
+        if (changed) {
+            // appending each child in turn leaves them in sorted order
+            sorted.forEach(function(e) { self.moveNode(e, parent, undefined, true); });
+        }
+
+        if (recursive) {
+            sorted.forEach(function(e) {
+                if (e.children.length > 0) {
+                    self.sortChildrenBy(e, valueFn, descending, true);
+                }
+            });
+        }
+    },
+
+    // Put the pages below the window or folder matching parentMatcher into new folders named after their
+    // domain, the folder with the most pages first. Pages are moved along with their children, so a page's
+    // descendants end up in the folder of its domain. Pinned pages are left alone.
+    //
+    // The structure below the node before grouping is stored on it as .domainGroups so that
+    // ungroupByDomain() can put it back. Returns the new folders.
+    groupByDomain: function(parentMatcher)
+    {
+        var parent = this.getNode(parentMatcher);
+        if (!parent) {
+            throw new Error('Could not find node to group by domain');
+        }
+
+        // the topmost pages below parent, e.g. pages in subfolders; their children come along with them
+        var self = this;
+        var groups = {};
+        var collect = function(nodes) {
+            nodes.forEach(function(e) {
+                if (!(e instanceof PageNode)) {
+                    // snoozed pages stay put away until they wake
+                    if (!e.snoozeFolder) {
+                        collect(e.children);
+                    }
+                    return;
+                }
+                var parts = e.url && splitUrl(e.url);
+                if (e.pinned || !parts || !parts.domain) {
+                    return;
+                }
+                var domain = parts.domain.toLowerCase();
+                if (!groups[domain]) {
+                    groups[domain] = { domain: domain, pages: [], count: 0 };
+                }
+                groups[domain].pages.push(e);
+                groups[domain].count += 1 + self.filter(function(d) { return d instanceof PageNode; }, e.children).length;
+            });
+        };
+        collect(parent.children);
+
+        var sorted = Object.keys(groups)
+            .map(function(domain) { return groups[domain]; })
+            .sort(function(a, b) { return b.count - a.count || a.domain.localeCompare(b.domain); });
+
+        if (sorted.length == 0) {
+            return [];
+        }
+
+        var structure = this.filter(function(e) { return true; }, parent.children)
+            .map(function(e) { return [e.id, e.parent.id]; });
+
+        var folders = [];
+        var previous;
+        sorted.forEach(function(group) {
+            var folder = new FolderNode(group.domain);
+            if (previous) {
+                self.addNodeRel(folder, 'after', previous);
+            }
+            else {
+                self.addNodeRel(folder, 'prepend', parent);
+            }
+            group.pages.forEach(function(e) { self.moveNode(e, folder, undefined, true); });
+            folders.push(folder);
+            previous = folder;
+        });
+
+        this.updateNode(parent, {
+            domainGroups: { folderIds: folders.map(function(e) { return e.id; }), structure: structure }
+        });
+        this.conformChromeTabIndexForNodeArray(parent.children, true);
+        return folders;
+    },
+
+    // Undo groupByDomain() on the node matching parentMatcher: put the nodes below it back where they
+    // were before grouping and remove the domain folders. Nodes which have since been closed or moved
+    // out from under the node are left alone; pages added to the domain folders since take their place.
+    ungroupByDomain: function(parentMatcher)
+    {
+        var parent = this.getNode(parentMatcher);
+        if (!parent || !parent.domainGroups) {
+            throw new Error('Could not find grouped node to ungroup');
+        }
+
+        // re-appending every node to its old parent in tree order restores the old order too
+        var self = this;
+        parent.domainGroups.structure.forEach(function(entry) {
+            var node = self.getNode(entry[0]);
+            if (!node || node.parents().indexOf(parent) == -1) {
+                return;
+            }
+            var oldParent = self.getNode(entry[1]);
+            if (!oldParent || (oldParent !== parent && oldParent.parents().indexOf(parent) == -1)) {
+                oldParent = parent;
+            }
+            self.moveNode(node, oldParent, undefined, true);
+        });
+
+        parent.domainGroups.folderIds.forEach(function(id) {
+            if (self.getNode(id)) {
+                self.removeNode(id);
+            }
+        });
+
+        this.updateNode(parent, { domainGroups: null });
+        this.conformChromeTabIndexForNodeArray(parent.children, true);
+    },
+
     expandNode: function(matcher)
     {
         var node = this.getNode(matcher);
@@ -336,6 +505,7 @@ PageTree.prototype = {
         }
 
         node.collapsed = false;
+        this.markNodesDirty([node]);
         this.callbackProxyFn('expand', { id: node.id });
     },
 
@@ -352,6 +522,7 @@ PageTree.prototype = {
         }
 
         node.collapsed = true;
+        this.markNodesDirty([node]);
         this.callbackProxyFn('collapse', { id: node.id });
     },
 
@@ -407,22 +578,43 @@ PageTree.prototype = {
         };
     },
 
-    // hibernate a single page
+    // hibernate a single page, keeping its scroll position and changed form fields
+    // in .pageState for when it is awoken, and a snapshot of it in pageSnapshots
     hibernatePage: function(tabId, skipLastTabCheck)
     {
+        var self = this;
+        getPageState(tabId, function(pageState, excerpt) {
+            var page = self.getNode(['chromeId', tabId]);
+            if (!page) {
+                return;
+            }
+            pageSnapshots.capture(page, tabId, excerpt, function() {
+                self.hibernatePageWithState(tabId, skipLastTabCheck, pageState);
+            });
+        });
+    },
+
+    hibernatePageWithState: function(tabId, skipLastTabCheck, pageState)
+    {
+        if (!this.getNode(['chromeId', tabId])) {
+            // the tab was closed or hibernated while we waited for its state
+            return;
+        }
+
         var page = this.updatePage(['chromeId', tabId], {
             hibernated: true,
             restorable: false,
             chromeId: null,
             status: 'complete',
             mediaState: null,
-            mediaTime: null });
+            mediaTime: null,
+            pageState: pageState || null });
 
         var self = this;
         function removeAfterHibernate() {
             chrome.tabs.remove(tabId);
             tree.removeFromTabIndex(page);
-            self.updateLastModified();
+            self.updateLastModified([page]);
         }
 
         if (skipLastTabCheck) {
@@ -457,6 +649,7 @@ PageTree.prototype = {
 
         var windows = {};
         var cnt = 0;
+        var awakening = [];
 
         // build a hash of {windowNodeId: { windowNode, pageNodes: [pageNode, ..] }, ..}
         for (var i = pageNodeIds.length - 1; i >= 0; i--) {
@@ -471,6 +664,7 @@ PageTree.prototype = {
                 cnt++;
             }
             windows[topParent.id].pageNodes.push(found.node);
+            awakening.push(found.node);
         };
 
         // awaken pages in groups by their window nodes
@@ -484,7 +678,7 @@ PageTree.prototype = {
             i++;
         }
 
-        this.updateLastModified();
+        this.updateLastModified(awakening);
     },
 
 
@@ -513,7 +707,7 @@ PageTree.prototype = {
         }, winNode.children).reverse();
 
         this.awakenPageNodes(awakening, winNode);
-        this.updateLastModified();
+        this.updateLastModified([winNode].concat(awakening));
     },
 
     // hibernate a window node and all its children
@@ -556,7 +750,7 @@ PageTree.prototype = {
             _hibernateWindowTabs();
         });
 
-        this.updateLastModified();
+        this.updateLastModified([winNode].concat(hibernating));
     },
 
 
@@ -564,6 +758,25 @@ PageTree.prototype = {
     // Hibernation control
     ///////////////////////////////////////////////////////////
 
+    // Returns the { left, top, width, height } to create a Chrome window at for awakening windowNode:
+    // where the window last was according to windowNode.geometry, moved onto the primary monitor when the
+    // monitor it was on is no longer connected, or where new windows go when its geometry isn't known
+    getAwakenedWindowMetrics: function(windowNode) {
+        var geometry = windowNode.geometry;
+        if (!geometry) {
+            return sidebarHandler.getIdealNewWindowMetrics();
+        }
+
+        var metrics = { left: geometry.left, top: geometry.top, width: geometry.width, height: geometry.height };
+        if (!geometry.monitor || !monitorInfo.isKnown() || monitorInfo.findMonitor(geometry.monitor)) {
+            return metrics;
+        }
+
+        var primary = monitorInfo.monitors.filter(function(e) { return e.primaryMonitor; })[0] || monitorInfo.monitors[0];
+        log('Monitor of window is gone, moving it to the primary monitor', windowNode.id, geometry.monitor, primary);
+        return monitorInfo.fitRectToMonitor(metrics, geometry.monitor, primary);
+    },
+
     awakenPageNodes: function(nodes, existingWindowNode, activateAfter) {
         var self = this;
         var urls = nodes.map(function(e) { return e.url; });
@@ -571,7 +784,8 @@ PageTree.prototype = {
 
         if (existingWindowNode.hibernated) {
             // need a new Chrome window to load tabs into
-            var newWinMetrics = sidebarHandler.getIdealNewWindowMetrics();
+            var newWinMetrics = this.getAwakenedWindowMetrics(existingWindowNode);
+            var newWinState = existingWindowNode.geometry && existingWindowNode.geometry.state;
             var newWinCreateDetails = clone(newWinMetrics);
             newWinCreateDetails.type = 'normal';
             newWinCreateDetails.url = urls;
@@ -610,7 +824,12 @@ PageTree.prototype = {
                     });
                 }
 
-                chrome.windows.update(win.id, newWinMetrics);
+                chrome.windows.update(win.id, newWinMetrics, function() {
+                    // the window is being woken to be used, so it is not put back minimized
+                    if (newWinState == 'maximized' || newWinState == 'fullscreen') {
+                        chrome.windows.update(win.id, { state: newWinState });
+                    }
+                });
 
                 var newWinNode = self.getNode(['chromeId', win.id]);
                 log(newWinNode);
@@ -831,7 +1050,9 @@ PageTree.prototype = {
         }
 
         this.rebuildPageNodeWindowIds(function() {
-            self.reorganizeTreeByTabIndex();
+            self.transaction(function() {
+                self.reorganizeTreeByTabIndex();
+            });
             self.rebuildTabIndex();
             self.conformAllChromeTabIndexes(true);
         });
@@ -1036,8 +1257,14 @@ PageTree.prototype = {
     clear: function() {
         this.root = new DataTreeRootNode(this);
         this.tree = this.root.children;
-        this.indexes = {'id': {}, 'chromeId': {}};
+        this.indexes = PAGETREE_INDEX_KEYS.reduce(function(last, e) {
+            last[e] = {};
+            return last;
+        }, {});
         this.tabIndexes = {};
+        if (this.journal) {
+            this.journal.clear();
+        }
         this.updateLastModified();
     },
 
@@ -1090,7 +1317,9 @@ PageTree.prototype = {
     // Handles onModified event for DataTree, updating a timer and calling
     // this.onModifiedDelayed after the timeout; prevents executing
     // this.onModifiedDelayed every time tree is updated
-    _onPageTreeModified: function() {
+    _onPageTreeModified: function(modifiedNodes) {
+        this.markNodesDirty(modifiedNodes);
+
         if (!this.onModifiedDelayed) {
             return;
         }
@@ -1113,6 +1342,16 @@ PageTree.prototype = {
     },
 
 
+    ///////////////////////////////////////////////////////////
+    // Transactions, as in UiDataTree
+    ///////////////////////////////////////////////////////////
+
+    beginTransaction: UiDataTree.prototype.beginTransaction,
+    commitTransaction: UiDataTree.prototype.commitTransaction,
+    transaction: UiDataTree.prototype.transaction,
+    queueTransactionOp: UiDataTree.prototype.queueTransactionOp,
+
+
     ///////////////////////////////////////////////////////////
     // Matchers, to be passed into .getNode(), et al.
     ///////////////////////////////////////////////////////////
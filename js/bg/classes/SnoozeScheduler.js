@@ -0,0 +1,233 @@
+///////////////////////////////////////////////////////////
+// Constants
+///////////////////////////////////////////////////////////
+
+// Name of the chrome.alarms alarm set for the next snoozed page's wake time
+var SNOOZE_ALARM_NAME = 'snooze';
+
+
+///////////////////////////////////////////////////////////
+// SnoozeScheduler class
+///////////////////////////////////////////////////////////
+
+/**
+  * @class
+  * Snoozes pages of a PageTree: hibernates them and puts them away in a "Snoozed" folder of their
+  * window until their wake time comes, then wakes them and puts them back where they were.
+  *
+  * Snoozed pages are stamped with .snoozedUntil, the time to wake them, and .snoozedFrom, the
+  * { parentId, beforeSiblingId } position they were snoozed from; each window's Snoozed folder has
+  * .snoozeFolder set. A single chrome.alarms alarm is kept set for the earliest wake time. Snoozed pages
+  * live in the page tree like other hibernated pages, so they last as long as its nodes do; the alarm is
+  * left alone until the tree is ready after startup (see whenPageTreeReady()), when wake times which
+  * passed in the meantime are caught up with.
+  *
+  * @param pageTree The PageTree whose pages to snooze.
+  * @constructor
+  */
+var SnoozeScheduler = function(pageTree)
+{
+    this.tree = pageTree;
+};
+
+SnoozeScheduler.prototype = {
+
+    ///////////////////////////////////////////////////////////
+    // Scheduling
+    ///////////////////////////////////////////////////////////
+
+    start: function() {
+        var self = this;
+        chrome.alarms.onAlarm.addListener(function(alarm) {
+            if (alarm.name == SNOOZE_ALARM_NAME) {
+                self.wakeDue();
+            }
+        });
+        whenPageTreeReady(function() { self.wakeDue(); });
+    },
+
+    // Set the alarm for the earliest wake time of the snoozed pages, or clear it if there are none
+    schedule: function() {
+        if (!pageTreeReady) {
+            // the tree may not hold all the snoozed pages yet; wakeDue() runs once it does
+            return;
+        }
+
+        var next = this.getSnoozedPages().reduce(function(earliest, e) {
+            return earliest === undefined || e.snoozedUntil < earliest ? e.snoozedUntil : earliest;
+        }, undefined);
+
+        if (next === undefined) {
+            chrome.alarms.clear(SNOOZE_ALARM_NAME);
+            return;
+        }
+        // wake times which passed while we were busy get caught up with right away
+        chrome.alarms.create(SNOOZE_ALARM_NAME, { when: Math.max(next, Date.now() + SECOND_MS) });
+    },
+
+    // Wake the snoozed pages whose wake time has come, then schedule the next wake time
+    wakeDue: function() {
+        if (!pageTreeReady) {
+            return;
+        }
+
+        var now = Date.now();
+        var due = this.getSnoozedPages().filter(function(e) { return e.snoozedUntil <= now; });
+
+        if (due.length > 0) {
+            log('Waking snoozed pages', due.map(function(e) { return e.id; }));
+            this.wake(due);
+            activityFeed.add('snoozeWake', [due.length.toString()], due);
+        }
+        this.schedule();
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Snoozing and waking
+    ///////////////////////////////////////////////////////////
+
+    // Hibernate pages, an array of PageNodes, and put them in their window's Snoozed folder until wakeAt.
+    // Their children stay behind in their place. Pages which are already snoozed just get the new wake time.
+    snooze: function(pages, wakeAt) {
+        var self = this;
+        var hibernating = [];
+
+        pages.forEach(function(page) {
+            if (page.snoozedUntil) {
+                self.tree.updateNode(page, { snoozedUntil: wakeAt });
+                return;
+            }
+
+            var windowNode = page.topParent();
+            if (!(windowNode instanceof WindowNode)) {
+                return;
+            }
+
+            // when the page leaves, its first child takes its place
+            var next = page.children[0] || page.afterSibling();
+            self.tree.updateNode(page, {
+                snoozedUntil: wakeAt,
+                snoozedFrom: { parentId: page.parent.id, beforeSiblingId: next ? next.id : null }
+            });
+            self.tree.moveNode(page, self.getSnoozeFolder(windowNode, true), undefined, false);
+
+            if (!page.hibernated && page.chromeId) {
+                hibernating.push(page.chromeId);
+            }
+        });
+
+        if (hibernating.length > 0) {
+            this.tree.hibernatePages(hibernating);
+        }
+        this.schedule();
+    },
+
+    // Wake pages, an array of snoozed PageNodes, and put them back where they were snoozed from. Pages whose
+    // old parent is gone go just after their Snoozed folder, which is removed once empty.
+    wake: function(pages) {
+        var self = this;
+        var waking = [];
+
+        pages.forEach(function(page) {
+            var from = page.snoozedFrom || {};
+            var folder = page.parent;
+            self.tree.updateNode(page, { snoozedUntil: null, snoozedFrom: null });
+
+            var parent = from.parentId && self.tree.getNode(from.parentId);
+            if (parent && parent !== folder && !parent.snoozeFolder
+                && (parent instanceof WindowNode || parent.topParent() instanceof WindowNode))
+            {
+                var before = from.beforeSiblingId && self.tree.getNode(from.beforeSiblingId);
+                self.tree.moveNode(page, parent, before && before.parent === parent ? before : undefined, true);
+            }
+            else if (folder.snoozeFolder) {
+                self.tree.moveNodeRel(page, 'after', folder, true);
+            }
+
+            if (folder.snoozeFolder && folder.children.length == 0 && self.tree.getNode(folder.id)) {
+                self.tree.removeNode(folder);
+            }
+
+            if (page.hibernated) {
+                waking.push(page.id);
+            }
+        });
+
+        if (waking.length > 0) {
+            this.tree.awakenPages(waking, false);
+        }
+        this.schedule();
+    },
+
+    getSnoozedPages: function() {
+        return this.tree.filter(function(e) { return e instanceof PageNode && e.snoozedUntil; });
+    },
+
+    // Returns the Snoozed folder of windowNode, creating it at the end of the window if create is true
+    getSnoozeFolder: function(windowNode, create) {
+        var folder = windowNode.children.filter(function(e) { return e.snoozeFolder; })[0];
+        if (folder || !create) {
+            return folder;
+        }
+
+        folder = new FolderNode(getMessage('text_SnoozedFolder'));
+        folder.snoozeFolder = true;
+        folder.collapsed = true;
+        this.tree.addNode(folder, windowNode);
+        return folder;
+    }
+};
+
+
+///////////////////////////////////////////////////////////
+// Helpers
+///////////////////////////////////////////////////////////
+
+// Returns the time text says to snooze until, or undefined if text can't be read or is in the past. text is
+// one of:
+//   later                  config.SNOOZE_LATER_TODAY_HOURS from now
+//   tomorrow               tomorrow at config.SNOOZE_MORNING_HOUR
+//   nextweek               next Monday at config.SNOOZE_MORNING_HOUR
+//   30m, 2h, 3d            that many minutes, hours or days from now
+//   14:30                  today at that time, or tomorrow if it has passed
+//   2026-10-20 [14:30]     that date at that time, or at config.SNOOZE_MORNING_HOUR
+function parseSnoozeTime(text, now) {
+    now = now || Date.now();
+    text = text.trim().toLowerCase().replace(/\s+/g, ' ');
+
+    var date = new Date(now);
+    var m;
+    var wakeAt;
+
+    if (text == 'later') {
+        wakeAt = now + config.SNOOZE_LATER_TODAY_HOURS * HOUR_MS;
+    }
+    else if (text == 'tomorrow') {
+        wakeAt = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1, config.SNOOZE_MORNING_HOUR).getTime();
+    }
+    else if (text == 'nextweek' || text == 'next week') {
+        var daysToMonday = (8 - date.getDay()) % 7 || 7;
+        wakeAt = new Date(date.getFullYear(), date.getMonth(), date.getDate() + daysToMonday, config.SNOOZE_MORNING_HOUR).getTime();
+    }
+    else if (m = text.match(/^(\d+) ?(m|min|mins|minutes?|h|hours?|d|days?)$/)) {
+        var unitMs = { m: MINUTE_MS, h: HOUR_MS, d: DAY_MS }[m[2][0]];
+        wakeAt = now + parseInt(m[1]) * unitMs;
+    }
+    else if (m = text.match(/^(\d{1,2}):(\d{2})$/)) {
+        wakeAt = new Date(date.getFullYear(), date.getMonth(), date.getDate(), parseInt(m[1]), parseInt(m[2])).getTime();
+        if (wakeAt <= now) {
+            wakeAt += DAY_MS;
+        }
+    }
+    else if (m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?: (\d{1,2}):(\d{2}))?$/)) {
+        wakeAt = new Date(parseInt(m[1]), parseInt(m[2]) - 1, parseInt(m[3]),
+            m[4] === undefined ? config.SNOOZE_MORNING_HOUR : parseInt(m[4]),
+            m[5] === undefined ? 0 : parseInt(m[5])).getTime();
+    }
+
+    if (wakeAt === undefined || isNaN(wakeAt) || wakeAt <= now) {
+        return undefined;
+    }
+    return wakeAt;
+}
@@ -0,0 +1,341 @@
+///////////////////////////////////////////////////////////
+// TreeChangeLog class
+///////////////////////////////////////////////////////////
+
+/**
+  * @class
+  * Saves a tree incrementally. Rather than writing out the whole tree on every save, each save
+  * appends an entry holding just the nodes changed since the previous save to a change log.
+  * Every so often the whole tree is written out as a compacted checkpoint under storageKey and
+  * the log entries it supersedes are dropped.
+  *
+  * The host tree reports changed nodes by passing them to DataTree.markNodesDirty(), which its
+  * onModified handler does for every node operation.
+  *
+  * Storage layout:
+  *   storageKey:                 the checkpoint, as versioned tree data; see wrapStoredData()
+  *   storageKey + 'Checkpoint':  { seq, savedAt }, seq being that of the last log entry the checkpoint includes
+  *   storageKey + 'Log_' + seq:  log entries { seq, savedAt, schemaVersion, nodes, topIds }, where nodes holds
+  *                               each changed node without its children but with their ids as .childIds, and
+  *                               topIds is the ids of the top level nodes if those changed
+  *
+  * @param hostTree The tree to save; assign the change log to hostTree.changeLog.
+  * @param storageKey The key the tree's checkpoint is stored under.
+  * @constructor
+  */
+var TreeChangeLog = function(hostTree, storageKey)
+{
+    this.hostTree = hostTree;
+    this.storageKey = storageKey;
+    this.checkpointSeq = 0;     // seq of the last log entry included in the stored checkpoint
+    this.lastSeq = 0;           // seq of the last log entry written
+    this.lastCheckpointAt = 0;
+    this.dirtyIds = {};         // ids of nodes whose properties or children changed since the last save
+    this.topDirty = false;      // whether the top level nodes changed since the last save
+    this.allDirty = true;       // the stored tree is not known to match hostTree, so write a checkpoint next
+    this.disabled = false;      // saving is stopped for good; see disable()
+    this.saving = Promise.resolve();
+};
+
+TreeChangeLog.prototype = {
+
+    ///////////////////////////////////////////////////////////
+    // Dirty tracking
+    ///////////////////////////////////////////////////////////
+
+    // Record that modifiedNodes need saving. When modifiedNodes is omitted, the next save writes a checkpoint.
+    markDirty: function(modifiedNodes) {
+        if (!modifiedNodes) {
+            this.allDirty = true;
+            return;
+        }
+        for (var i = 0; i < modifiedNodes.length; i++) {
+            var node = modifiedNodes[i];
+            if (!node) {
+                continue;
+            }
+            if (node.isRoot) {
+                this.topDirty = true;
+                continue;
+            }
+            this.dirtyIds[node.id] = true;
+        }
+    },
+
+    isDirty: function() {
+        return this.allDirty || this.topDirty || Object.keys(this.dirtyIds).length > 0;
+    },
+
+    clearDirty: function() {
+        this.dirtyIds = {};
+        this.topDirty = false;
+        this.allDirty = false;
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Saving
+    ///////////////////////////////////////////////////////////
+
+    // Save the changes made since the last save, as a log entry or, when one is due or forceCheckpoint
+    // is true, a checkpoint. Saves are performed one at a time in the order requested.
+    save: function(forceCheckpoint) {
+        var self = this;
+        if (this.disabled) {
+            return this.saving;
+        }
+        this.saving = this.saving.then(function() {
+            if (self.disabled) {
+                return;
+            }
+            if (forceCheckpoint || self.isCheckpointDue()) {
+                return self.writeCheckpoint();
+            }
+            return self.writeLogEntry();
+        }).catch(function(ex) {
+            console.error('Saving ' + self.storageKey + ' failed', ex);
+            self.allDirty = true;
+        });
+        return this.saving;
+    },
+
+    // Stop saving the host tree, e.g. because what is stored is about to be replaced ahead of a restart.
+    // Returns a promise which resolves once any save under way has finished.
+    disable: function() {
+        this.disabled = true;
+        return this.saving;
+    },
+
+    isCheckpointDue: function() {
+        return this.allDirty
+            || this.lastSeq - this.checkpointSeq >= config.TREE_CHANGELOG_CHECKPOINT_AFTER_ENTRIES
+            || Date.now() - this.lastCheckpointAt >= config.TREE_CHANGELOG_CHECKPOINT_EVERY_MS;
+    },
+
+    // Write out the whole host tree as a checkpoint and drop the log entries it supersedes
+    writeCheckpoint: async function() {
+        var saveTree = clone(this.hostTree.tree, ['parent', 'root', 'hostTree', 'chromeId']);
+        saveTree = saveTree.filter(function(e) { return !e.incognito; });
+
+        if (saveTree.length == 0) {
+            console.error('Did not save tree checkpoint because it is empty!');
+            return;
+        }
+
+        await this.storeCheckpoint(saveTree);
+    },
+
+    // Replace what is stored with treeData, e.g. when restoring a backup, so that no logged changes
+    // get replayed onto it on the next load. Saving is disabled first so the host tree cannot overwrite
+    // treeData before the restart which should follow. Resolves to whether treeData was stored.
+    replaceCheckpoint: function(treeData) {
+        var self = this;
+        this.disable();
+        this.saving = this.saving.then(async function() {
+            await self.storeCheckpoint(treeData);
+            await self.removeLogEntriesAfter(self.checkpointSeq);
+            return true;
+        }).catch(function(ex) {
+            console.error('Replacing ' + self.storageKey + ' checkpoint failed', ex);
+            self.allDirty = true;
+            return false;
+        });
+        return this.saving;
+    },
+
+    // Store treeData as the checkpoint, superseding every log entry written so far
+    storeCheckpoint: async function(treeData) {
+        var fromSeq = this.checkpointSeq;
+        var toSeq = this.lastSeq;
+        var savedAt = Date.now();
+
+        // changes made while the write is underway go into the next save
+        this.clearDirty();
+
+        var items = {};
+        items[this.storageKey] = wrapStoredData(treeData);
+        items[this.storageKey + 'Checkpoint'] = { seq: toSeq, savedAt: savedAt };
+        await settings.saveDataItems(items);
+
+        this.checkpointSeq = toSeq;
+        this.lastCheckpointAt = savedAt;
+        log('Saved ' + this.storageKey + ' checkpoint including log entries up to ' + toSeq);
+
+        var obsoleteKeys = [];
+        for (var seq = fromSeq + 1; seq <= toSeq; seq++) {
+            obsoleteKeys.push(this.getLogEntryKey(seq));
+        }
+        if (obsoleteKeys.length > 0) {
+            await settings.removeData(obsoleteKeys);
+        }
+    },
+
+    // Append the nodes changed since the last save to the log
+    writeLogEntry: async function() {
+        var self = this;
+        var entry = { seq: this.lastSeq + 1, savedAt: Date.now(), schemaVersion: config.STORAGE_SCHEMA_VERSION, nodes: [] };
+
+        if (this.topDirty) {
+            entry.topIds = this.hostTree.tree
+                .filter(function(e) { return !e.incognito; })
+                .map(function(e) { return e.id; });
+
+            if (entry.topIds.length == 0) {
+                // like checkpoints, never record an empty tree
+                console.error('Did not log empty top level of tree');
+                delete entry.topIds;
+            }
+        }
+
+        for (var id in this.dirtyIds) {
+            var node = this.hostTree.getNode(id);
+            if (!node || node.incognito) {
+                // since removed; dropping it from its parent's childIds is what removes it from storage
+                continue;
+            }
+            entry.nodes.push(this.getLogNodeRecord(node));
+        }
+
+        this.clearDirty();
+
+        if (entry.nodes.length == 0 && !entry.topIds) {
+            return;
+        }
+
+        this.lastSeq = entry.seq;
+        await settings.saveData(this.getLogEntryKey(entry.seq), entry);
+    },
+
+    // Returns node's properties as stored in a log entry
+    getLogNodeRecord: function(node) {
+        var record = clone(node, ['parent', 'root', 'hostTree', 'chromeId', 'children']);
+        record.childIds = node.children
+            .filter(function(e) { return !e.incognito; })
+            .map(function(e) { return e.id; });
+        return record;
+    },
+
+    getLogEntryKey: function(seq) {
+        return this.storageKey + 'Log_' + seq;
+    },
+
+    // Remove every stored log entry with a seq above seq, including ones left behind by a tree which
+    // was since replaced; pass 0 to remove them all
+    removeLogEntriesAfter: async function(seq) {
+        var prefix = this.storageKey + 'Log_';
+        var keys = (await settings.getDataKeys()).filter(function(key) {
+            return key.indexOf(prefix) == 0 && parseInt(key.substring(prefix.length)) > seq;
+        });
+        if (keys.length > 0) {
+            await settings.removeData(keys);
+        }
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Loading
+    ///////////////////////////////////////////////////////////
+
+    // Load the stored checkpoint and replay the log entries written after it. Returns the resulting
+    // tree data, upgraded to the current schema version, or [] if nothing is stored. Entries which do not
+    // continue the checkpoint, e.g. because they were logged for a tree that was since imported over,
+    // are dropped rather than replayed.
+    load: async function() {
+        var stored = await settings.loadData(this.storageKey);
+        var checkpoint = await settings.loadData(this.storageKey + 'Checkpoint', { seq: 0, savedAt: 0 });
+
+        var entries = [];
+        var seq = checkpoint.seq;
+        while (true) {
+            var entry = await settings.loadData(this.getLogEntryKey(seq + 1));
+            if (!entry) {
+                break;
+            }
+            if (entry.seq != seq + 1 || entry.savedAt < checkpoint.savedAt) {
+                console.error('Dropping ' + this.storageKey + ' log entries from ' + (seq + 1) + ' on which do not continue its checkpoint');
+                await this.removeLogEntriesAfter(seq);
+                break;
+            }
+            entries.push(entry);
+            seq++;
+        }
+
+        this.checkpointSeq = checkpoint.seq;
+        this.lastSeq = seq;
+        this.lastCheckpointAt = checkpoint.savedAt;
+
+        if (stored === undefined && entries.length == 0) {
+            return [];
+        }
+
+        // replay onto the checkpoint, then upgrade the result from the oldest version involved
+        var fromVersion = entries.reduce(function(version, e) {
+            return Math.min(version, e.schemaVersion || 0);
+        }, getStoredSchemaVersion(stored));
+        var treeData = replayTreeChangeLog(getStoredDataContent(stored) || [], entries);
+
+        var result = upgradeStoredData(this.storageKey, treeData, fromVersion);
+        if (result.quarantined.length > 0) {
+            console.error('Quarantined ' + result.quarantined.length + ' stored node(s) of ' + this.storageKey + ' which failed migration or validation');
+            await quarantineStoredData(result.quarantined);
+        }
+
+        log('Loaded ' + this.storageKey + ' checkpoint ' + checkpoint.seq + ' and replayed ' + entries.length + ' log entries');
+        return result.data || [];
+    }
+};
+
+
+///////////////////////////////////////////////////////////
+// Replaying
+///////////////////////////////////////////////////////////
+
+// Apply change log entries to the nested tree data of a checkpoint, returning the resulting nested tree data.
+// Nodes no longer reachable from the top level after the entries are applied are dropped.
+function replayTreeChangeLog(checkpointData, entries) {
+    var records = {};
+    var topIds = [];
+
+    var _flatten = function(nodes) {
+        return nodes.map(function(node) {
+            var record = {};
+            for (var k in node) {
+                if (k != 'children') {
+                    record[k] = node[k];
+                }
+            }
+            record.childIds = _flatten(node.children || []);
+            records[node.id] = record;
+            return node.id;
+        });
+    };
+    topIds = _flatten(Array.isArray(checkpointData) ? checkpointData : []);
+
+    entries.forEach(function(entry) {
+        (entry.nodes || []).forEach(function(record) {
+            records[record.id] = record;
+        });
+        if (entry.topIds) {
+            topIds = entry.topIds;
+        }
+    });
+
+    var placed = {};
+    var _build = function(ids) {
+        return ids.filter(function(id) {
+            // a node can only appear once; the first placement wins
+            return records[id] && !placed[id] && (placed[id] = true);
+        }).map(function(id) {
+            var record = records[id];
+            var node = {};
+            for (var k in record) {
+                if (k != 'childIds') {
+                    node[k] = record[k];
+                }
+            }
+            node.children = _build(record.childIds || []);
+            return node;
+        });
+    };
+    return _build(topIds);
+}
@@ -0,0 +1,395 @@
+///////////////////////////////////////////////////////////
+// TreeJournal class
+///////////////////////////////////////////////////////////
+
+/**
+  * @class
+  * Records the node operations performed on a PageTree so they can be undone and redone.
+  *
+  * The host tree reports each add/remove/move/update/merge via DataTree.recordJournalEntry().
+  * Operations occurring within config.UNDO_JOURNAL_STEP_GROUPING_MS of each other are grouped
+  * into a single step, so e.g. a "Close branch" is undone in one go.
+  *
+  * @param hostTree The PageTree whose operations are recorded; assign the journal to hostTree.journal.
+  * @param maxSteps Maximum number of undoable steps to remember.
+  * @constructor
+  */
+var TreeJournal = function(hostTree, maxSteps)
+{
+    this.hostTree = hostTree;
+    this.maxSteps = maxSteps || config.UNDO_JOURNAL_MAX_STEPS;
+    this.undoSteps = [];
+    this.redoSteps = [];
+    this.openStep = null;
+    this.replaying = false;
+    this.replayWakingIds = {};  // ids of pages woken by replay() whose tab creation Chrome has yet to report
+    this.replayTabIds = {};     // ids of tabs closed by replay() whose removal Chrome has yet to report
+};
+
+TreeJournal.prototype = {
+
+    ///////////////////////////////////////////////////////////
+    // Recording
+    ///////////////////////////////////////////////////////////
+
+    // Add entry to the currently open step, opening a new step if needed
+    record: function(entry) {
+        if (this.replaying) {
+            return;
+        }
+
+        if (entry.op == 'update') {
+            entry = this.filterUpdateEntry(entry);
+            if (!entry) {
+                return;
+            }
+        }
+
+        if (!this.openStep) {
+            this.openStep = [];
+        }
+        this.openStep.push(entry);
+
+        var self = this;
+        TimeoutManager.reset('closeTreeJournalStep_' + this.hostTree.name, function() {
+            self.closeStep();
+        }, config.UNDO_JOURNAL_STEP_GROUPING_MS);
+    },
+
+    // Drop the keys of an update entry which only reflect Chrome's tab state
+    filterUpdateEntry: function(entry) {
+        var before = {};
+        var after = {};
+        var changed = false;
+        for (var key in entry.after) {
+            if (config.UNDO_JOURNAL_IGNORED_UPDATE_KEYS.indexOf(key) > -1) {
+                continue;
+            }
+            before[key] = entry.before[key];
+            after[key] = entry.after[key];
+            changed = true;
+        }
+        if (!changed) {
+            return undefined;
+        }
+        return { op: 'update', nodeId: entry.nodeId, before: before, after: after };
+    },
+
+    // Push the currently open step onto the undo stack; a new step invalidates any redoable steps
+    closeStep: function() {
+        TimeoutManager.clear('closeTreeJournalStep_' + this.hostTree.name);
+        if (!this.openStep) {
+            return;
+        }
+        this.undoSteps.push(this.openStep);
+        this.openStep = null;
+        if (this.undoSteps.length > this.maxSteps) {
+            this.undoSteps.shift();
+        }
+        this.redoSteps = [];
+    },
+
+    clear: function() {
+        TimeoutManager.clear('closeTreeJournalStep_' + this.hostTree.name);
+        this.openStep = null;
+        this.undoSteps = [];
+        this.redoSteps = [];
+        this.replayWakingIds = {};
+        this.replayTabIds = {};
+    },
+
+    // Run fn without recording the tree operations it performs
+    runUnrecorded: function(fn) {
+        var wasReplaying = this.replaying;
+        this.replaying = true;
+        try {
+            return fn();
+        }
+        finally {
+            this.replaying = wasReplaying;
+        }
+    },
+
+    // Returns whether Chrome reporting a tab created for the page with id pageId is the result of
+    // replay() waking that page, in which case the tree operations made for it should not be recorded
+    isReplayTabCreation: function(pageId) {
+        if (!this.replayWakingIds[pageId]) {
+            return false;
+        }
+        delete this.replayWakingIds[pageId];
+        return true;
+    },
+
+    // Returns whether Chrome reporting the removal of the tab with id tabId is the result of
+    // replay() closing that tab, in which case the tree operations made for it should not be recorded
+    isReplayTabRemoval: function(tabId) {
+        if (!this.replayTabIds[tabId]) {
+            return false;
+        }
+        delete this.replayTabIds[tabId];
+        return true;
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Undo/redo
+    ///////////////////////////////////////////////////////////
+
+    canUndo: function() {
+        return this.openStep !== null || this.undoSteps.length > 0;
+    },
+
+    canRedo: function() {
+        return this.openStep === null && this.redoSteps.length > 0;
+    },
+
+    // Undo the most recent step. Returns false if there was nothing to undo.
+    undo: function() {
+        this.closeStep();
+        var step = this.undoSteps.pop();
+        if (!step) {
+            return false;
+        }
+        log('undoing journal step', step);
+        this.replay(step, true);
+        this.redoSteps.push(step);
+        return true;
+    },
+
+    // Redo the most recently undone step. Returns false if there was nothing to redo.
+    redo: function() {
+        if (this.openStep) {
+            // something happened since the last undo, so there is nothing to redo
+            return false;
+        }
+        var step = this.redoSteps.pop();
+        if (!step) {
+            return false;
+        }
+        log('redoing journal step', step);
+        this.replay(step, false);
+        this.undoSteps.push(step);
+        return true;
+    },
+
+    // Perform the inverse (undoing=true) or original operation of each entry in step
+    replay: function(step, undoing) {
+        var entries = undoing ? step.slice().reverse() : step;
+        var context = { waking: [] };
+
+        this.replaying = true;
+        try {
+            for (var i = 0; i < entries.length; i++) {
+                var entry = entries[i];
+                try {
+                    switch (entry.op) {
+                        case 'add':
+                            if (undoing) {
+                                entry.node = this.detachNode(entry.node.id, true);
+                            }
+                            else {
+                                entry.node = this.reinsertNode(entry.node, entry.position, context);
+                            }
+                            break;
+                        case 'remove':
+                            if (undoing) {
+                                entry.node = this.reinsertNode(entry.node, entry.position, context);
+                                this.adoptChildren(entry.node, entry.childIds);
+                            }
+                            else {
+                                entry.node = this.detachNode(entry.node.id, entry.removeChildren);
+                            }
+                            break;
+                        case 'move':
+                            var moving = this.hostTree.getNode(entry.nodeId);
+                            if (undoing) {
+                                this.placeNode(moving, entry.from);
+                                this.adoptChildren(moving, entry.childIds);
+                            }
+                            else {
+                                this.placeNode(moving, entry.to, entry.keepChildren);
+                            }
+                            break;
+                        case 'update':
+                            this.hostTree.updateNode(entry.nodeId, undoing ? entry.before : entry.after);
+                            break;
+                        case 'merge':
+                            if (undoing) {
+                                entry.node = this.reinsertNode(entry.node, entry.position, context);
+                                this.adoptChildren(entry.node, entry.childIds);
+                            }
+                            else {
+                                this.hostTree.mergeNodes(entry.node.id, entry.toId);
+                            }
+                            break;
+                    }
+                }
+                catch (ex) {
+                    log('Could not replay journal entry', entry.op, entry, ex);
+                }
+            }
+        }
+        finally {
+            this.replaying = false;
+        }
+
+        var self = this;
+        var waking = context.waking.filter(function(e) { return self.hostTree.getNode(e); });
+        if (waking.length > 0) {
+            // Chrome will shortly report the tabs created for these; see isReplayTabCreation()
+            waking.forEach(function(e) { self.replayWakingIds[e] = true; });
+            this.hostTree.awakenPages(waking, false);
+        }
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Replay helpers
+    ///////////////////////////////////////////////////////////
+
+    // Put a node that is no longer in the tree back at position. Nodes still present in the recently
+    // closed tree are reopened through restoreNode(). Pages which had an open tab are queued in
+    // context.waking to be woken once the whole step has been replayed. Returns the node now in the tree.
+    reinsertNode: function(node, position, context) {
+        var restored;
+
+        if (!(node instanceof WindowNode) && recentlyClosedTree.getNode(node.id)) {
+            restored = restoreNode(node.id, false, true);
+            this.placeNode(restored, position);
+        }
+        else {
+            // Clone the node so the journal's copy isn't shared with the tree
+            restored = clone(node, ['root', 'parent', 'children']);
+            restored.__proto__ = config.PAGETREE_NODE_TYPES[restored.elemType].prototype;
+            restored.children = [];
+
+            if (restored instanceof PageNode && !restored.hibernated) {
+                restored.hibernated = true;
+                restored.chromeId = null;
+                restored.status = 'complete';
+                restored.mediaState = null;
+                restored.mediaTime = null;
+            }
+            else if (restored instanceof WindowNode && !restored.hibernated) {
+                restored.hibernated = true;
+                restored.restorable = false;
+                restored.title = getMessage('text_hibernatedWindow');
+                restored.chromeId = null;
+            }
+
+            var rel = this.getRelativePosition(position);
+            this.hostTree.addNodeRel(restored, rel.relation, rel.to);
+        }
+
+        if (node instanceof PageNode && !node.hibernated) {
+            context.waking.push(restored.id);
+        }
+
+        // nodes removed together with their descendants get those descendants back too
+        for (var i = 0; i < node.children.length; i++) {
+            var child = node.children[i];
+            if (!this.hostTree.getNode(child.id)) {
+                this.reinsertNode(child, { parentId: restored.id }, context);
+            }
+        }
+
+        return restored;
+    },
+
+    // Remove the node with the given id from the tree, closing the tabs of any awake pages removed
+    detachNode: function(id, removeChildren) {
+        var node = this.hostTree.getNode(id);
+        if (!node) {
+            throw new Error('Could not find node to detach ' + id);
+        }
+
+        var removing = [node];
+        if (removeChildren) {
+            removing = removing.concat(this.hostTree.filter(function(e) { return true; }, node.children));
+        }
+
+        var removed = this.hostTree.removeNode(node, removeChildren);
+
+        var self = this;
+        removing.forEach(function(e) {
+            if (e instanceof PageNode && e.isTab() && e.chromeId) {
+                // Chrome will shortly report the removal; see isReplayTabRemoval()
+                self.replayTabIds[e.chromeId] = true;
+                chrome.tabs.remove(e.chromeId);
+            }
+        });
+
+        return removed;
+    },
+
+    // Move an existing node to position
+    placeNode: function(node, position, keepChildren) {
+        if (keepChildren === undefined) {
+            keepChildren = true;
+        }
+
+        var rel = this.getRelativePosition(position);
+        if (!rel.to) {
+            // top level append
+            var last = this.hostTree.root.children[this.hostTree.root.children.length - 1];
+            if (last === node) {
+                return;
+            }
+            this.hostTree.moveNodeRel(node, 'after', last, keepChildren);
+        }
+        else {
+            this.hostTree.moveNodeRel(node, rel.relation, rel.to, keepChildren);
+        }
+
+        this.conformTabWindow(node);
+    },
+
+    // Move the nodes with the given ids back under parent, e.g. after re-adding a node which
+    // had its children spliced into its old spot when it was removed
+    adoptChildren: function(parent, childIds) {
+        for (var i = 0; i < childIds.length; i++) {
+            var child = this.hostTree.getNode(childIds[i]);
+            if (!child) {
+                continue;
+            }
+            this.hostTree.moveNodeRel(child, 'append', parent, true);
+            this.conformTabWindow(child);
+        }
+    },
+
+    // If node is an awake page that now sits under a different Chrome window, move its tab there
+    conformTabWindow: function(node) {
+        if (!(node instanceof PageNode) || !node.isTab() || !node.chromeId) {
+            return;
+        }
+        var win = node.topParent();
+        if (!(win instanceof WindowNode) || win.hibernated || !win.chromeId || win.chromeId == node.windowId) {
+            return;
+        }
+        expectingTabMoves.push(node.chromeId);
+        chrome.tabs.move(node.chromeId, { windowId: win.chromeId, index: -1 });
+    },
+
+    // Turn a journaled { parentId, beforeSiblingId } position into a { relation, to } pair for
+    // addNodeRel()/moveNodeRel(); to is undefined for the end of the top level
+    getRelativePosition: function(position) {
+        var parent = position.parentId ? this.hostTree.getNode(position.parentId) : undefined;
+        var before = position.beforeSiblingId ? this.hostTree.getNode(position.beforeSiblingId) : undefined;
+
+        if (position.parentId && !parent) {
+            throw new Error('Could not find journaled parent ' + position.parentId);
+        }
+
+        if (before && before.parent === (parent || this.hostTree.root)) {
+            return { relation: 'before', to: before };
+        }
+
+        if (parent) {
+            return { relation: 'append', to: parent };
+        }
+
+        return { relation: 'append', to: undefined };
+    }
+};
+
+extendClass(TreeJournal, Object, TreeJournal.prototype);
@@ -0,0 +1,268 @@
+///////////////////////////////////////////////////////////
+// Constants
+///////////////////////////////////////////////////////////
+
+// Fields usable in queries as field:value, or for fields with a compare function as field>value and
+// field<value. indexKey names the DataTree index which can supply the nodes matching field:value.
+var TREE_QUERY_FIELDS = {
+    domain: {
+        matchFn: function(node, value) { return urlMatchesDomain(node.url, value); }
+    },
+    label: {
+        matchFn: function(node, value) { return containsText(node.label, value); }
+    },
+    title: {
+        matchFn: function(node, value) { return containsText(node.title, value); }
+    },
+    url: {
+        matchFn: function(node, value) { return containsText(node.url, value); }
+    },
+    type: {
+        matchFn: function(node, value) { return node.elemType == value.toLowerCase(); }
+    },
+    id: {
+        indexKey: 'id',
+        matchFn: function(node, value) { return node.id == value; }
+    },
+    hibernated: {
+        indexKey: 'hibernated',
+        parseFn: parseQueryBoolean,
+        matchFn: function(node, value) { return node.elemType == 'page' && !!node.hibernated == value; }
+    },
+    highlighted: {
+        parseFn: parseQueryBoolean,
+        matchFn: function(node, value) { return !!node.highlighted == value; }
+    },
+    pinned: {
+        parseFn: parseQueryBoolean,
+        matchFn: function(node, value) { return node.elemType == 'page' && !!node.pinned == value; }
+    },
+    under: {
+        // the term's ancestors are looked up when the query is planned; see getPlan()
+        matchFn: function(node, value, term) {
+            return node.parents().some(function(p) { return term.ancestors.indexOf(p) > -1; });
+        }
+    },
+    age: {
+        parseFn: parseQueryDuration,
+        matchFn: function(node, value) { return getQueryAgeMs(node) >= value; },
+        compareFn: function(node, value, op) {
+            var age = getQueryAgeMs(node);
+            return op == '>' ? age > value : age < value;
+        }
+    }
+};
+
+// Units usable in durations such as age>7d
+var TREE_QUERY_DURATION_UNITS = { s: SECOND_MS, m: MINUTE_MS, h: HOUR_MS, d: DAY_MS, w: WEEK_MS };
+
+// Matches one term of a query: an optional '-' negation, an optional field name and operator, and a bare or quoted value
+var TREE_QUERY_TERM_REGEX = /(-?)(?:([a-zA-Z]+)([:<>]))?(?:"([^"]*)"?|(\S+))/g;
+
+
+///////////////////////////////////////////////////////////
+// TreeQuery class
+///////////////////////////////////////////////////////////
+
+/**
+  * @class
+  * A parsed query for finding nodes in a DataTree, such as:
+  *     domain:github.com hibernated:true label:"todo" under:"Research" age>7d
+  *
+  * Terms are separated by spaces and all must match. A term is field:value, field>value or field<value
+  * (see TREE_QUERY_FIELDS), or plain text which must appear in a node's title, label or url. Values
+  * containing spaces can be double quoted; a leading '-' negates a term.
+  *
+  * Run the query with DataTree.query(). It is first turned into a plan which takes its candidate
+  * nodes from a DataTree index or the subtrees matching an under: term where possible, rather than
+  * scanning the whole tree.
+  *
+  * @param queryText The query to parse. Throws an Error if it can't be parsed.
+  * @constructor
+  */
+var TreeQuery = function(queryText)
+{
+    this.queryText = queryText;
+    this.terms = this.parse(queryText);
+};
+
+TreeQuery.prototype = {
+
+    ///////////////////////////////////////////////////////////
+    // Parsing
+    ///////////////////////////////////////////////////////////
+
+    // Returns the terms of queryText as [{ field, op, value, negate }], field being undefined for plain text terms
+    parse: function(queryText) {
+        var terms = [];
+        var m;
+        TREE_QUERY_TERM_REGEX.lastIndex = 0;
+
+        while ((m = TREE_QUERY_TERM_REGEX.exec(queryText)) !== null) {
+            var field = m[2] && m[2].toLowerCase();
+            var op = m[3];
+            var value = m[4] !== undefined ? m[4] : m[5];
+
+            if (field && !TREE_QUERY_FIELDS[field]) {
+                // not a field we know, so treat the whole thing as text, e.g. a pasted url
+                value = m[2] + m[3] + value;
+                field = undefined;
+                op = undefined;
+            }
+
+            if (!field) {
+                if (value.length > 0) {
+                    terms.push({ field: undefined, op: undefined, value: value, negate: m[1] == '-' });
+                }
+                continue;
+            }
+
+            var fieldDef = TREE_QUERY_FIELDS[field];
+            if (op != ':' && !fieldDef.compareFn) {
+                throw new Error('Field ' + field + ' can only be used as ' + field + ':value');
+            }
+
+            terms.push({
+                field: field,
+                op: op,
+                value: fieldDef.parseFn ? fieldDef.parseFn(value, field) : value,
+                negate: m[1] == '-'
+            });
+        }
+
+        return terms;
+    },
+
+    // True when the query uses any fields, as opposed to being just plain text
+    hasFields: function() {
+        return this.terms.some(function(term) { return term.field !== undefined; });
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Planning and running
+    ///////////////////////////////////////////////////////////
+
+    // Returns how the query would be run against dataTree: { source, filters }. source says where the
+    // candidate nodes come from: { kind: 'index', key, value }, { kind: 'under', term } or { kind: 'scan' }.
+    // filters are the terms each candidate is then tested against. under: terms get .ancestors, the nodes
+    // whose label or title equals the term's value.
+    getPlan: function(dataTree) {
+        var filters = this.terms.map(function(term) {
+            if (term.field != 'under') {
+                return term;
+            }
+            var value = term.value.toLowerCase();
+            var planned = {};
+            copyObjectProps(term, planned);
+            planned.ancestors = dataTree.filter(function(e) {
+                return (e.label && e.label.toLowerCase() == value) || (e.title && e.title.toLowerCase() == value);
+            });
+            return planned;
+        });
+
+        var indexed = firstElem(filters, function(term) {
+            var indexKey = TREE_QUERY_FIELDS[term.field] && TREE_QUERY_FIELDS[term.field].indexKey;
+            return !term.negate && term.op == ':' && indexKey && dataTree.indexes[indexKey];
+        });
+        if (indexed) {
+            // the term stays among the filters too, as a field may match less than its index holds
+            return { source: { kind: 'index', key: TREE_QUERY_FIELDS[indexed.field].indexKey, value: indexed.value }, filters: filters };
+        }
+
+        var under = firstElem(filters, function(term) {
+            return term.field == 'under' && !term.negate;
+        });
+        if (under) {
+            return { source: { kind: 'under', term: under }, filters: filters.filter(function(e) { return e !== under; }) };
+        }
+
+        return { source: { kind: 'scan' }, filters: filters };
+    },
+
+    // Returns the nodes of dataTree matching the query. Nodes come in tree order except when
+    // the plan takes them from an index, in which case they come in index order.
+    run: function(dataTree) {
+        var plan = this.getPlan(dataTree);
+        var candidates;
+
+        switch (plan.source.kind) {
+            case 'index':
+                candidates = (dataTree.indexes[plan.source.key][plan.source.value] || []).slice();
+                break;
+            case 'under':
+                var ancestors = plan.source.term.ancestors;
+                candidates = ancestors.filter(function(e) {
+                    // skip ancestors within other ancestors, whose subtrees are already included
+                    return !e.parents().some(function(p) { return ancestors.indexOf(p) > -1; });
+                }).reduce(function(nodes, ancestor) {
+                    return nodes.concat(dataTree.filter(function(e) { return true; }, ancestor.children));
+                }, []);
+                break;
+            default:
+                candidates = dataTree.filter(function(e) { return true; });
+        }
+
+        return candidates.filter(function(node) {
+            return plan.filters.every(function(term) {
+                return matchTreeQueryTerm(node, term) != term.negate;
+            });
+        });
+    }
+};
+
+
+///////////////////////////////////////////////////////////
+// Helpers
+///////////////////////////////////////////////////////////
+
+function matchTreeQueryTerm(node, term) {
+    if (!term.field) {
+        return containsText(node.title, term.value) || containsText(node.label, term.value) || containsText(node.url, term.value);
+    }
+
+    var fieldDef = TREE_QUERY_FIELDS[term.field];
+    if (term.op == ':') {
+        return fieldDef.matchFn(node, term.value, term);
+    }
+    return fieldDef.compareFn(node, term.value, term.op);
+}
+
+// True when queryText uses any query fields, as opposed to being plain text; malformed queries count as queries
+function isTreeQuery(queryText) {
+    try {
+        return new TreeQuery(queryText).hasFields();
+    }
+    catch (ex) {
+        return true;
+    }
+}
+
+// Case insensitive substring test
+function containsText(text, value) {
+    return !!text && text.toLowerCase().indexOf(value.toLowerCase()) > -1;
+}
+
+function parseQueryBoolean(value, field) {
+    value = value.toLowerCase();
+    if (value == 'true' || value == 'yes') {
+        return true;
+    }
+    if (value == 'false' || value == 'no') {
+        return false;
+    }
+    throw new Error('Expected true or false for ' + field + ', got ' + value);
+}
+
+// Parse a duration such as 7d or 90m into ms
+function parseQueryDuration(value, field) {
+    var m = value.toLowerCase().match(/^(\d+(?:\.\d+)?)([smhdw]?)$/);
+    if (!m) {
+        throw new Error('Expected a duration such as 7d for ' + field + ', got ' + value);
+    }
+    return parseFloat(m[1]) * TREE_QUERY_DURATION_UNITS[m[2] || 'd'];
+}
+
+function getQueryAgeMs(node) {
+    return node.createdOn ? Date.now() - node.createdOn : 0;
+}
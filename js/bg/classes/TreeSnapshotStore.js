@@ -0,0 +1,221 @@
+///////////////////////////////////////////////////////////
+// TreeSnapshotStore class
+///////////////////////////////////////////////////////////
+
+/**
+  * @class
+  * Keeps rotating point-in-time snapshots of a PageTree in chrome.storage.local.
+  *
+  * Snapshots are taken per generation (hourly, daily, weekly; see config.TREE_SNAPSHOT_GENERATIONS).
+  * A single snapshot may belong to several generations at once, in which case its tree data is only
+  * stored once; the data is removed when the snapshot no longer belongs to any generation.
+  *
+  * The list of snapshots is stored under 'treeSnapshotIndex' with entries of the form
+  * { id, takenAt, generations: [...], windowCount, pageCount }; each snapshot's tree data is
+  * stored under 'treeSnapshot_' + id as versioned data; see saveVersionedData().
+  *
+  * @param hostTree The PageTree to take snapshots of.
+  * @constructor
+  */
+var TreeSnapshotStore = function(hostTree)
+{
+    this.hostTree = hostTree;
+    this.index = [];
+};
+
+TreeSnapshotStore.prototype = {
+
+    ///////////////////////////////////////////////////////////
+    // Snapshot taking
+    ///////////////////////////////////////////////////////////
+
+    loadIndex: async function() {
+        this.index = await settings.loadData('treeSnapshotIndex', []);
+    },
+
+    // Take a snapshot if one is due for any generation, then drop snapshots beyond each generation's retention count
+    takeDueSnapshots: async function() {
+        if (browserIsClosed) {
+            log('Skipped taking tree snapshot because browser is closed');
+            return;
+        }
+
+        var now = Date.now();
+        var self = this;
+        var due = config.TREE_SNAPSHOT_GENERATIONS.filter(function(generation) {
+            if (settings.get(generation.keepSetting, 0) <= 0) {
+                // generation turned off; a snapshot for it would only be pruned straight away
+                return false;
+            }
+            var latest = self.getSnapshots(generation.name)[0];
+            return !latest || now - latest.takenAt >= generation.periodMs;
+        });
+
+        if (due.length > 0) {
+            await this.takeSnapshot(due.map(function(e) { return e.name; }));
+        }
+
+        await this.prune();
+    },
+
+    // Save a snapshot of the host tree as belonging to the given generations
+    takeSnapshot: async function(generations) {
+        var count = this.hostTree.reduce(function(last, e) { return last + 1; }, 0);
+        if (count < config.MIN_NODES_TO_BACKUP_TREE) {
+            log('Skipped taking tree snapshot due to too few nodes (' + count + ')');
+            return undefined;
+        }
+
+        var data = clone(this.hostTree.tree, ['parent', 'root', 'hostTree', 'chromeId']);
+        data = data.filter(function(e) { return !e.incognito; });
+
+        var entry = {
+            id: generateGuid(),
+            takenAt: Date.now(),
+            generations: generations,
+            windowCount: data.length,
+            pageCount: this.hostTree.filter(function(e) { return e instanceof PageNode && !e.incognito; }).length
+        };
+
+        await saveVersionedData('treeSnapshot_' + entry.id, data);
+        this.index.unshift(entry);
+        await this.saveIndex();
+
+        log('Took tree snapshot', entry);
+        return entry;
+    },
+
+    // Remove each generation's snapshots exceeding that generation's retention count
+    prune: async function() {
+        var self = this;
+        var changed = false;
+
+        config.TREE_SNAPSHOT_GENERATIONS.forEach(function(generation) {
+            var keep = Math.max(0, settings.get(generation.keepSetting, 0));
+            self.getSnapshots(generation.name).slice(keep).forEach(function(entry) {
+                entry.generations.splice(entry.generations.indexOf(generation.name), 1);
+                changed = true;
+            });
+        });
+
+        if (!changed) {
+            return;
+        }
+
+        var expired = this.index.filter(function(e) { return e.generations.length == 0; });
+        for (var i = 0; i < expired.length; i++) {
+            await settings.removeData('treeSnapshot_' + expired[i].id);
+            log('Removed expired tree snapshot', expired[i]);
+        }
+
+        this.index = this.index.filter(function(e) { return e.generations.length > 0; });
+        await this.saveIndex();
+    },
+
+    saveIndex: async function() {
+        await settings.saveData('treeSnapshotIndex', this.index);
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Snapshot retrieval
+    ///////////////////////////////////////////////////////////
+
+    // Returns the snapshot index entries, newest first, optionally only those of the given generation
+    getSnapshots: function(generation) {
+        var snapshots = this.index.slice();
+        if (generation) {
+            snapshots = snapshots.filter(function(e) { return e.generations.indexOf(generation) > -1; });
+        }
+        return snapshots.sort(function(a, b) { return b.takenAt - a.takenAt; });
+    },
+
+    // Returns a new DataTree holding the given snapshot's nodes, upgraded to the current schema version,
+    // or undefined if the snapshot is gone
+    loadSnapshotTree: async function(snapshotId) {
+        var data = await loadVersionedData('treeSnapshot_' + snapshotId);
+        if (!data) {
+            return undefined;
+        }
+        var snapshotTree = new DataTree();
+        snapshotTree.loadTree(data, config.PAGETREE_NODE_TYPES);
+        return snapshotTree;
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Restoring
+    ///////////////////////////////////////////////////////////
+
+    // Copy the given nodes of snapshotTree, together with their descendants, into the host tree as hibernated
+    // nodes with fresh ids. Windows are appended as hibernated windows; pages and folders are gathered
+    // together under one new hibernated window. Returns the top level nodes added to the host tree.
+    restoreNodes: function(snapshotTree, nodeIds, windowLabel) {
+        var nodes = nodeIds.map(function(id) { return snapshotTree.getNode(id); });
+
+        // skip nodes which come along anyway as a descendant of another restored node
+        nodes = nodes.filter(function(node) {
+            return node && !node.parents().some(function(p) { return nodes.indexOf(p) > -1; });
+        });
+
+        var restored = [];
+        var branchWindow;
+
+        for (var i = 0; i < nodes.length; i++) {
+            var node = nodes[i];
+
+            if (node instanceof WindowNode) {
+                restored.push(this.restoreBranch(node, undefined));
+                continue;
+            }
+
+            if (!(node instanceof PageNode || node instanceof FolderNode)) {
+                continue;
+            }
+
+            if (!branchWindow) {
+                branchWindow = new WindowNode();
+                branchWindow.title = getMessage('text_hibernatedWindow');
+                branchWindow.label = windowLabel || '';
+                this.hostTree.addNode(branchWindow);
+                restored.push(branchWindow);
+            }
+            this.restoreBranch(node, branchWindow);
+        }
+
+        return restored;
+    },
+
+    // Add a hibernated copy of node and its descendants under parent
+    restoreBranch: function(node, parent) {
+        var copy = clone(node, ['root', 'parent', 'children', 'hostTree']);
+        copy.__proto__ = config.PAGETREE_NODE_TYPES[copy.elemType].prototype;
+        copy.children = [];
+        copy.UUID = generateGuid();
+        copy.id = copy.id.charAt(0) + copy.UUID;
+        copy.chromeId = null;
+        copy.hibernated = true;
+        copy.restorable = false;
+
+        if (copy instanceof PageNode) {
+            copy.windowId = null;
+            copy.openerTabId = null;
+            copy.index = null;
+            copy.status = 'complete';
+            copy.mediaState = null;
+            copy.mediaTime = null;
+        }
+        else if (copy instanceof WindowNode) {
+            copy.title = getMessage('text_hibernatedWindow');
+        }
+
+        this.hostTree.addNode(copy, parent);
+
+        for (var i = 0; i < node.children.length; i++) {
+            this.restoreBranch(node.children[i], copy);
+        }
+        return copy;
+    }
+};
+
+extendClass(TreeSnapshotStore, Object, TreeSnapshotStore.prototype);
@@ -7,8 +7,10 @@
   * Adds callback-calling to DataTree's node manipulation functions.
   * Adds node collapsed-state management.
   * Adds immediate and delayed onModified callbacks.
+  * Adds transactions, which send the callbacks of many node manipulations together as one 'batch' callback.
   *
-  * @param callbackProxyFn Called after node manipulation operations such as .addNode().
+  * @param callbackProxyFn Called after node manipulation operations such as .addNode(), and with
+  *                        ('batch', { ops: [{ op, args }], coalesced }) when a transaction is committed.
   * @constructor
   * @extends DataTree
   */
@@ -26,6 +28,9 @@ var UiDataTree = function(callbackProxyFn, onModified, onModifiedDelayed, initia
     this.onModifiedDelayed = onModifiedDelayed;
     this.onModifiedTimer = null;
 
+    this.transactionDepth = 0;
+    this.transactionStats = { batches: 0, ops: 0, coalesced: 0 };
+
     // Set startup onModifiedDelay duration
     this.onModifiedDelayedWaitMs = initialDelayMs;
 
@@ -187,6 +192,7 @@ UiDataTree.prototype = {
         }
 
         node.collapsed = false;
+        this.markNodesDirty([node]);
         this.callbackProxyFn('expand', { id: node.id });
     },
 
@@ -203,6 +209,7 @@ UiDataTree.prototype = {
         }
 
         node.collapsed = true;
+        this.markNodesDirty([node]);
         this.callbackProxyFn('collapse', { id: node.id });
     },
 
@@ -217,8 +224,11 @@ UiDataTree.prototype = {
 
     // Handles onModified event for UiDataTree, updating a timer and calling
     // this.onModifiedDelayed after the timeout; prevents executing
-    // this.onModifiedDelayed every time tree is updated
-    _onModified: function() {
+    // this.onModifiedDelayed every time tree is updated. modifiedNodes are
+    // passed on to this.changeLog's dirty tracking.
+    _onModified: function(modifiedNodes) {
+        this.markNodesDirty(modifiedNodes);
+
         if (this.onModifiedImmediate) {
             this.onModifiedImmediate();
         }
@@ -241,6 +251,107 @@ UiDataTree.prototype = {
         this.onModifiedImmediate = function() {};
         this.callbackProxyFn = function() {};
         clearTimeout(this.onModifiedTimer);
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Transactions
+    ///////////////////////////////////////////////////////////
+
+    // Start collecting callback proxy calls instead of making them right away, until the matching
+    // commitTransaction(). Transactions may be nested; the outermost one's commit sends the batch.
+    beginTransaction: function() {
+        if (this.transactionDepth++ > 0) {
+            return;
+        }
+
+        var self = this;
+        this.transactionOps = [];
+        this.transactionUpdates = {};
+        this.transactionCoalesced = 0;
+        this.callbackProxyFnOutsideTransaction = this.callbackProxyFn;
+        this.callbackProxyFn = this.transactionProxyFn = function(op, args) {
+            self.queueTransactionOp(op, args);
+        };
+    },
+
+    // Send the callback proxy calls collected since beginTransaction() as a single 'batch' call
+    commitTransaction: function() {
+        if (this.transactionDepth == 0) {
+            throw new Error('No transaction to commit');
+        }
+        if (--this.transactionDepth > 0) {
+            return;
+        }
+
+        var ops = this.transactionOps;
+        var coalesced = this.transactionCoalesced;
+        this.transactionOps = null;
+        this.transactionUpdates = null;
+
+        if (this.callbackProxyFn !== this.transactionProxyFn) {
+            // callbacks were disabled during the transaction
+            return;
+        }
+        this.callbackProxyFn = this.callbackProxyFnOutsideTransaction;
+
+        if (ops.length == 0) {
+            return;
+        }
+
+        this.transactionStats.batches++;
+        this.transactionStats.ops += ops.length;
+        this.transactionStats.coalesced += coalesced;
+        log('Committing transaction', this.name, 'ops', ops.length, 'coalesced', coalesced, 'totals', this.transactionStats);
+
+        this.callbackProxyFn('batch', { ops: ops, coalesced: coalesced });
+    },
+
+    // Call fn within a transaction
+    transaction: function(fn) {
+        this.beginTransaction();
+        try {
+            return fn();
+        }
+        finally {
+            this.commitTransaction();
+        }
+    },
+
+    // Add a callback proxy call to the transaction's batch. An update to a node which already has one in the
+    // batch is merged into it, with the later values winning.
+    queueTransactionOp: function(op, args) {
+        if (op == 'update' && args.element.id === undefined) {
+            var pending = this.transactionUpdates[args.id];
+            if (pending) {
+                for (var key in args.element) {
+                    pending.element[key] = args.element[key];
+                }
+                this.transactionCoalesced++;
+                return;
+            }
+
+            // copy details since later updates get merged into them
+            var details = {};
+            for (var key in args.element) {
+                details[key] = args.element[key];
+            }
+            args = { id: args.id, element: details };
+            this.transactionUpdates[args.id] = args;
+        }
+        else if (op == 'update') {
+            // the node's id is changing; don't merge later updates across the change
+            delete this.transactionUpdates[args.id];
+            delete this.transactionUpdates[args.element.id];
+        }
+        else if (op == 'remove') {
+            delete this.transactionUpdates[args.element.id];
+        }
+        else if (op == 'merge') {
+            delete this.transactionUpdates[args.fromId];
+        }
+
+        this.transactionOps.push({ op: op, args: args });
     }
 
 }
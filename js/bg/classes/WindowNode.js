@@ -21,6 +21,11 @@ var WindowNode = function(win)
     this.title = WINDOW_DEFAULT_TITLE;
     this.id = 'w' + this.UUID;
 
+    // where the window was last seen on screen: { left, top, width, height, state, monitor }, where
+    // monitor is the { left, top, width, height } of the MonitorInfo monitor it was on; see
+    // recordWindowGeometry()
+    this.geometry = null;
+
     if (win) {
         this.chromeId = win.id;
         this.incognito = win.incognito;
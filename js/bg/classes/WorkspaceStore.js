@@ -0,0 +1,332 @@
+///////////////////////////////////////////////////////////
+// Constants
+///////////////////////////////////////////////////////////
+
+// Version of the JSON written by WorkspaceStore.exportJson()
+var WORKSPACE_EXPORT_VERSION = 1;
+
+
+///////////////////////////////////////////////////////////
+// WorkspaceStore class
+///////////////////////////////////////////////////////////
+
+/**
+  * @class
+  * Named workspaces, each a set of the WindowNodes of a PageTree, of which one at a time is active.
+  * Switching to another workspace wakes its windows and hibernates those of the active one; woken
+  * windows go back where they were on screen as recorded in their WindowNode's .geometry.
+  *
+  * Workspaces are stored under 'workspaces' as { activeId, workspaces: [workspace] } where workspace
+  * is { id, name, createdOn, windowIds }.
+  * A window belongs to at most one workspace. Awake windows belonging to no workspace are taken into
+  * the active workspace when switching away from it, since they were opened while it was active.
+  *
+  * @param hostTree The PageTree whose windows are organized into workspaces.
+  * @constructor
+  */
+var WorkspaceStore = function(hostTree)
+{
+    this.hostTree = hostTree;
+    this.workspaces = [];
+    this.activeId = null;
+};
+
+WorkspaceStore.prototype = {
+
+    ///////////////////////////////////////////////////////////
+    // Loading and saving
+    ///////////////////////////////////////////////////////////
+
+    load: async function() {
+        var data = await settings.loadData('workspaces', { activeId: null, workspaces: [] });
+        this.workspaces = data.workspaces;
+        this.activeId = data.activeId;
+    },
+
+    save: function() {
+        settings.saveData('workspaces', { activeId: this.activeId, workspaces: this.workspaces });
+
+        var workspacesWindow = sidebarHandler.sidebarPanes['workspaces'];
+        if (workspacesWindow) {
+            try {
+                workspacesWindow.onWorkspacesChanged();
+            }
+            catch (ex) {
+                // pane was closed or is still loading
+            }
+        }
+    },
+
+    // Forget windows which are no longer in the host tree. Only done once the tree is ready; until then
+    // windows which are still to be associated would be forgotten too.
+    prune: function() {
+        if (!pageTreeReady) {
+            return;
+        }
+
+        var self = this;
+        this.workspaces.forEach(function(workspace) {
+            workspace.windowIds = workspace.windowIds.filter(function(id) {
+                return self.hostTree.getNode(id) instanceof WindowNode;
+            });
+            self.adoptLegacyWindowGeometry(workspace);
+        });
+        if (!this.get(this.activeId)) {
+            this.activeId = null;
+        }
+    },
+
+
+    // Workspaces used to store where their windows were on screen in workspace.windowGeometry, keyed by
+    // WindowNode id. That is now kept in each WindowNode's .geometry, so move it there for windows
+    // which have not recorded any of their own yet.
+    adoptLegacyWindowGeometry: function(workspace) {
+        if (!workspace.windowGeometry) {
+            return;
+        }
+        for (var id in workspace.windowGeometry) {
+            var node = this.hostTree.getNode(id);
+            if (node instanceof WindowNode && !node.geometry) {
+                var old = workspace.windowGeometry[id];
+                this.hostTree.updateNode(node, { geometry: { left: old.left, top: old.top, width: old.width,
+                    height: old.height, state: 'normal', monitor: null } });
+            }
+        }
+        delete workspace.windowGeometry;
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Workspaces
+    ///////////////////////////////////////////////////////////
+
+    get: function(id) {
+        return firstElem(this.workspaces, function(e) { return e.id == id; });
+    },
+
+    getActive: function() {
+        return this.get(this.activeId);
+    },
+
+    // Returns the WindowNodes of workspace which are still in the host tree
+    getWindows: function(workspace) {
+        var self = this;
+        return workspace.windowIds
+            .map(function(id) { return self.hostTree.getNode(id); })
+            .filter(function(e) { return e instanceof WindowNode; });
+    },
+
+    // Add a workspace named name holding the WindowNodes with the given ids, taking them out of any
+    // other workspace. Returns the new workspace.
+    create: function(name, windowIds) {
+        var workspace = {
+            id: 'ws' + generateGuid(),
+            name: name,
+            createdOn: Date.now(),
+            windowIds: []
+        };
+        this.workspaces.push(workspace);
+
+        var self = this;
+        windowIds.forEach(function(id) { self.assignWindow(id, workspace.id); });
+        this.save();
+        return workspace;
+    },
+
+    // Add a workspace named name holding the awake windows and make it the active workspace
+    createFromAwakeWindows: function(name) {
+        var windowIds = this.getAwakeWindows().map(function(e) { return e.id; });
+        var workspace = this.create(name, windowIds);
+        this.activeId = workspace.id;
+        this.save();
+        return workspace;
+    },
+
+    rename: function(id, name) {
+        this.get(id).name = name;
+        this.save();
+    },
+
+    // Forget the workspace; its windows stay in the tree
+    remove: function(id) {
+        this.workspaces = this.workspaces.filter(function(e) { return e.id != id; });
+        if (this.activeId == id) {
+            this.activeId = null;
+        }
+        this.save();
+    },
+
+    // Move the WindowNode windowNodeId into the workspace workspaceId, or out of every workspace
+    // when workspaceId is null
+    assignWindow: function(windowNodeId, workspaceId) {
+        this.workspaces.forEach(function(e) {
+            var index = e.windowIds.indexOf(windowNodeId);
+            if (index > -1 && e.id != workspaceId) {
+                e.windowIds.splice(index, 1);
+            }
+        });
+
+        var workspace = this.get(workspaceId);
+        if (workspace && workspace.windowIds.indexOf(windowNodeId) == -1) {
+            workspace.windowIds.push(windowNodeId);
+        }
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Switching
+    ///////////////////////////////////////////////////////////
+
+    // Make the workspace id active: wake its windows, then hibernate those of the active workspace
+    switchTo: function(id) {
+        var target = this.get(id);
+        if (!target) {
+            throw new Error('Could not find workspace to switch to ' + id);
+        }
+        this.prune();
+
+        var self = this;
+        var current = this.getActive();
+        var leaving = [];
+        if (current && current !== target) {
+            this.getAwakeWindows().forEach(function(e) {
+                if (!self.getWorkspaceOfWindow(e.id)) {
+                    self.assignWindow(e.id, current.id);
+                }
+            });
+            leaving = this.getWindows(current).filter(function(e) { return !e.hibernated; });
+        }
+
+        log('Switching workspace', current ? current.name : 'none', 'to', target.name);
+        this.activeId = target.id;
+        this.save();
+
+        // wake first so that hibernating the last of the old windows doesn't leave Chrome without any
+        this.getWindows(target).forEach(function(e) {
+            if (e.hibernated) {
+                self.hostTree.awakenWindow(e.id);
+            }
+        });
+        leaving.forEach(function(e) { self.hostTree.hibernateWindow(e.id); });
+    },
+
+    // Returns the awake normal windows of the host tree
+    getAwakeWindows: function() {
+        return this.hostTree.tree.filter(function(e) {
+            return e instanceof WindowNode && !e.hibernated && e.type == 'normal' && !e.incognito;
+        });
+    },
+
+    getWorkspaceOfWindow: function(windowNodeId) {
+        return firstElem(this.workspaces, function(e) { return e.windowIds.indexOf(windowNodeId) > -1; });
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Export and import
+    ///////////////////////////////////////////////////////////
+
+    // Returns the workspaces with the given ids, or all of them, as JSON holding their windows' pages
+    exportJson: function(ids) {
+        var self = this;
+        var workspaces = this.workspaces.filter(function(e) { return !ids || ids.indexOf(e.id) > -1; });
+
+        return JSON.stringify({
+            sidewiseWorkspaces: WORKSPACE_EXPORT_VERSION,
+            workspaces: workspaces.map(function(workspace) {
+                return {
+                    name: workspace.name,
+                    windows: self.getWindows(workspace).map(function(win) {
+                        return {
+                            label: win.label || '',
+                            geometry: win.geometry || undefined,
+                            children: win.children.map(exportWorkspaceNode)
+                        };
+                    })
+                };
+            })
+        }, null, 2);
+    },
+
+    // Add the workspaces in text, as written by exportJson(), with their windows added to the host tree
+    // as hibernated windows. Returns the number of workspaces added. Throws if text can't be read.
+    importJson: function(text) {
+        var data = JSON.parse(text);
+        if (!data || data.sidewiseWorkspaces === undefined || !Array.isArray(data.workspaces)) {
+            throw new Error(getMessage('workspaces_importNotWorkspaces'));
+        }
+        if (data.sidewiseWorkspaces > WORKSPACE_EXPORT_VERSION) {
+            throw new Error(getMessage('workspaces_importTooNew'));
+        }
+
+        var self = this;
+        var count = 0;
+        data.workspaces.forEach(function(imported) {
+            var importTree = new DataTree();
+
+            (imported.windows || []).forEach(function(win) {
+                var windowNode = addImportedWindowNode(importTree, win.label);
+                addImportedWorkspaceNodes(importTree, windowNode, win.children || []);
+                if (windowNode.children.length == 0) {
+                    importTree.removeNode(windowNode);
+                    return;
+                }
+                windowNode.geometry = win.geometry || null;
+            });
+
+            var windowIds = importTree.tree.map(function(e) { return e.id; });
+            addImportedTree(importTree);
+
+            self.create(imported.name || getMessage('workspaces_defaultName'), windowIds);
+            count++;
+        });
+
+        this.save();
+        return count;
+    }
+};
+
+
+///////////////////////////////////////////////////////////
+// Helpers
+///////////////////////////////////////////////////////////
+
+// Returns node and its descendants as plain objects for WorkspaceStore.exportJson()
+function exportWorkspaceNode(node) {
+    var exported = {
+        type: node instanceof PageNode ? 'page' : 'folder',
+        label: node.label || '',
+        collapsed: !!node.collapsed,
+        highlighted: !!node.highlighted,
+        children: node.children.map(exportWorkspaceNode)
+    };
+    if (node instanceof PageNode) {
+        exported.url = node.url;
+        exported.title = node.title;
+        exported.pinned = !!node.pinned;
+    }
+    return exported;
+}
+
+// Add the nodes exported by exportWorkspaceNode() to importTree under parentNode as hibernated pages
+// and folders; pages with urls we can't open are left out along with their descendants
+function addImportedWorkspaceNodes(importTree, parentNode, exportedNodes) {
+    exportedNodes.forEach(function(exported) {
+        var node;
+        if (exported.type == 'page') {
+            if (!isImportableUrl(exported.url)) {
+                return;
+            }
+            node = createImportedPageNode({ url: exported.url, title: exported.title || '', pinned: exported.pinned });
+            node.label = exported.label || '';
+        }
+        else {
+            node = new FolderNode(exported.label || getMessage('text_NewFolder'));
+        }
+        node.collapsed = !!exported.collapsed;
+        node.highlighted = !!exported.highlighted;
+
+        importTree.addNode(node, parentNode);
+        addImportedWorkspaceNodes(importTree, node, exported.children || []);
+    });
+}
@@ -4,6 +4,9 @@ config.AVAILABLE_PANES = [
     { enabled: true, id: 'pages', url: 'panes/pages.html', label: getMessage('sidebarLabel_Pages'), icon: 'images/nav/pages.png' },
     { enabled: true, id: 'closed', url: 'panes/closed.html', label: 'Recently closed', icon: 'images/nav/closed.png' },
     { enabled: true, id: 'notepad', url: 'panes/notepad.html', label: getMessage('sidebarLabel_Notepad'), icon: 'images/nav/notepad.png' },
+    { enabled: true, id: 'snapshots', url: 'panes/snapshots.html', label: getMessage('sidebarLabel_TreeHistory'), icon: 'images/nav/closed.png' },
+    { enabled: true, id: 'activity', url: 'panes/activity.html', label: getMessage('sidebarLabel_Activity'), icon: 'images/nav/whatsnew.png' },
+    { enabled: true, id: 'workspaces', url: 'panes/workspaces.html', label: getMessage('sidebarLabel_Workspaces'), icon: 'images/nav/pages.png' },
     { enabled: false, id: 'reddit', url: 'panes/external-site.html#http://i.reddit.com', label: 'Reddit', icon: 'images/nav/reddit.png' },
     { enabled: false, id: 'grooveshark', url: 'panes/external-site.html#http://html5.grooveshark.com/#!/music/stations', label: 'Grooveshark', icon: 'images/nav/grooveshark.ico' },
     { enabled: false, id: 'whatsnew', url: 'panes/whatsnew.html', label: 'What\'s New', icon: '/images/nav/whatsnew.gif' }
@@ -20,6 +23,51 @@ config.SAVE_TREE_BACKUP_EVERY_MS = 1000 * 60 * 15; // how often to save a backup
 config.MIN_NODES_TO_BACKUP_TREE = 6;               // skip backups when we have fewer than this many nodes in the tree
 config.SAVE_TREE_INITIAL_BACKUP_AFTER_MS = 15000;  // save the initial backup when none yet exists this soon after startup
 
+config.TREE_CHANGELOG_CHECKPOINT_AFTER_ENTRIES = 200;            // write a full checkpoint of the page tree after this many change log entries
+config.TREE_CHANGELOG_CHECKPOINT_EVERY_MS = MINUTE_MS * 10;      // or when the last checkpoint is older than this
+
+config.STORAGE_SCHEMA_VERSION = 1;                  // schemaVersion stamped on tree and notepad data we store; see STORAGE_MIGRATIONS
+config.STORAGE_QUARANTINE_KEY = 'quarantinedData';  // stored nodes which fail migration or validation are moved here
+config.STORAGE_QUARANTINE_MAX_ENTRIES = 500;        // oldest quarantined entries are dropped beyond this many
+
+config.TREE_SNAPSHOT_CHECK_EVERY_MS = MINUTE_MS * 5;  // how often to check whether a new point-in-time snapshot of the page tree is due
+config.TREE_SNAPSHOT_INITIAL_CHECK_AFTER_MS = 30000;  // first such check happens this soon after startup
+
+// Snapshot generations and how far apart the snapshots of each generation are taken; how many
+// snapshots of each generation are kept is set by the snapshots_keep* settings
+config.TREE_SNAPSHOT_GENERATIONS = [
+    { name: 'hourly', periodMs: HOUR_MS, keepSetting: 'snapshots_keepHourly' },
+    { name: 'daily', periodMs: DAY_MS, keepSetting: 'snapshots_keepDaily' },
+    { name: 'weekly', periodMs: WEEK_MS, keepSetting: 'snapshots_keepWeekly' }
+];
+
+config.AUTO_HIBERNATE_CHECK_EVERY_MS = MINUTE_MS;  // how often to look for idle pages to hibernate; see IdleHibernator
+config.MEMORY_HIBERNATE_CHECK_EVERY_MS = 30000;    // how often to check whether we are over memory budget; see MemoryPressureHibernator
+config.MEMORY_HIBERNATE_HEAP_BATCH_SIZE = 5;       // how many pages to hibernate per check while memory use is over budget
+
+config.SNOOZE_LATER_TODAY_HOURS = 3;               // how long snoozing a page until 'later' lasts; see SnoozeScheduler
+config.SNOOZE_MORNING_HOUR = 9;                    // hour of the day that snoozing until 'tomorrow' or 'nextweek' wakes at
+
+config.ACTIVITY_FEED_MAX_ENTRIES = 200;            // how many entries the activity feed keeps
+config.ACTIVITY_FEED_SAVE_DELAY_MS = 2000;         // how long after a change the activity feed is saved
+config.PAGE_STATE_REQUEST_TIMEOUT_MS = 500;        // how long hibernating a page waits for it to report its scroll position and form text
+
+config.PAGE_SNAPSHOT_MAX_COUNT = 500;              // how many hibernated page snapshots to keep; see PageSnapshotStore
+config.PAGE_SNAPSHOT_THUMBNAIL_WIDTH = 320;        // width in px page thumbnails are reduced to
+config.PAGE_SNAPSHOT_THUMBNAIL_QUALITY = 0.6;      // jpeg quality of reduced page thumbnails
+
+config.UNDO_JOURNAL_MAX_STEPS = 100;               // how many undoable steps the page tree's journal remembers
+config.UNDO_JOURNAL_STEP_GROUPING_MS = 500;        // tree operations this close together are undone/redone as one step
+
+// Node properties which reflect Chrome tab/window state rather than user actions; changes to
+// these are not recorded in the undo journal
+config.UNDO_JOURNAL_IGNORED_UPDATE_KEYS = [
+    'id', 'chromeId', 'windowId', 'index', 'openerTabId', 'incognito', 'type', 'url', 'title',
+    'favicon', 'status', 'pinned', 'hibernated', 'restorable', 'restored', 'old', 'unread',
+    'mediaState', 'mediaTime', 'referrer', 'historylength', 'placed', 'initialCreation',
+    'sessionGuid', 'smartFocusParentTabId', 'collecting', 'lastFocused', 'pageState', 'geometry'
+];
+
 config.PAGETREE_NODE_TYPES = {
     'window': WindowNode,
     'page': PageNode,
@@ -6,33 +6,23 @@ function registerOmniboxEvents() {
 
 function onOmniboxInputChanged(text, suggest) {
     // console.log('inputChanged: ' + text);
-    var matches = tree.filter(function(e) {
-        return e.elemType == 'page' && e.title && e.title.toLowerCase().indexOf(text) == 0;
-    });
-
-    matches = matches.concat(tree.filter(function(e) {
-        if (e.elemType != 'page') {
-            return false;
+    var matches;
+    if (isTreeQuery(text)) {
+        // e.g. 'sw domain:github.com hibernated:true'
+        try {
+            matches = tree.query(text).filter(function(e) { return e.elemType == 'page'; });
         }
-
-        var match = false;
-        if (e.title && e.title.toLowerCase().indexOf(text) > 0) {
-            match = true;
-        }
-        else if (e.label && e.label.toLowerCase().indexOf(text) > -1) {
-            match = true;
+        catch (ex) {
+            suggest([]);
+            return;
         }
+        text = '';
+    }
+    else {
+        matches = getOmniboxTextMatches(text);
+    }
 
-        if (match) {
-            if (matches.indexOf(e) == -1) {
-                return true;
-            }
-        }
-
-        return false;
-    }));
-
-    var re = new RegExp('(' + text + ')', 'i');
+    var re = text ? new RegExp('(' + text + ')', 'i') : undefined;
 
     var suggestions = matches.map(function(e) {
         if (e.label) {
@@ -44,8 +34,10 @@ function onOmniboxInputChanged(text, suggest) {
         var url = escapeOmniboxText(e.url);
         var title = escapeOmniboxText(e.title);
 
-        label = label.replace(re, '<match>$1</match>');
-        title = title.replace(re, '<match>$1</match>');
+        if (re) {
+            label = label.replace(re, '<match>$1</match>');
+            title = title.replace(re, '<match>$1</match>');
+        }
 
         var description =
             '<url>' + getMessage('omniboxSuggestionPrefix') + '</url> '
@@ -60,6 +52,37 @@ function onOmniboxInputChanged(text, suggest) {
     suggest(suggestions);
 }
 
+// Returns pages whose title starts with text, followed by those whose title or label contains it
+function getOmniboxTextMatches(text) {
+    var matches = tree.filter(function(e) {
+        return e.elemType == 'page' && e.title && e.title.toLowerCase().indexOf(text) == 0;
+    });
+
+    matches = matches.concat(tree.filter(function(e) {
+        if (e.elemType != 'page') {
+            return false;
+        }
+
+        var match = false;
+        if (e.title && e.title.toLowerCase().indexOf(text) > 0) {
+            match = true;
+        }
+        else if (e.label && e.label.toLowerCase().indexOf(text) > -1) {
+            match = true;
+        }
+
+        if (match) {
+            if (matches.indexOf(e) == -1) {
+                return true;
+            }
+        }
+
+        return false;
+    }));
+
+    return matches;
+}
+
 function escapeOmniboxText(text) {
     return text.replace(/;/g, '&#59;')
         .replace(/&(?!#59;)/g, '&amp;');
@@ -13,6 +13,7 @@ var GET_IS_FULL_SCREEN_SCRIPT = "chrome.runtime.sendMessage({ op: 'getIsFullScre
 ///////////////////////////////////////////////////////////
 
 var connectedTabs = {};
+var pageStateRequests = {};     // { tabId: [onResponse callbacks] } waiting for a tab's page state
 
 ///////////////////////////////////////////////////////////
 // Initialization
@@ -194,6 +195,56 @@ function getPageDetails(tabId, params) {
     return true;
 }
 
+// Ask the page in tabId for its scroll position and changed form fields, and an excerpt of its text;
+// onResponse(state, excerpt) is called with them, or with undefined when the page can't or doesn't
+// answer in time
+function getPageState(tabId, onResponse) {
+    var waiting = pageStateRequests[tabId];
+    if (!waiting) {
+        waiting = [];
+        pageStateRequests[tabId] = waiting;
+    }
+    waiting.push(onResponse);
+
+    TimeoutManager.reset('getPageState_' + tabId, function() {
+        log('Timed out waiting for page state', 'tabId', tabId);
+        onPageStateResponse(tabId, undefined);
+    }, config.PAGE_STATE_REQUEST_TIMEOUT_MS);
+
+    chrome.tabs.sendMessage(tabId, { op: 'getPageState' }, function(response) {
+        if (chrome.runtime.lastError || !response) {
+            // e.g. a chrome:// page, which has no content script
+            log('Cannot get page state for tab', 'tabId', tabId, chrome.runtime.lastError);
+            onPageStateResponse(tabId, undefined);
+            return;
+        }
+        onPageStateResponse(tabId, response.state, response.excerpt);
+    });
+}
+
+function onPageStateResponse(tabId, state, excerpt) {
+    var waiting = pageStateRequests[tabId];
+    if (!waiting) {
+        return;
+    }
+    delete pageStateRequests[tabId];
+    TimeoutManager.clear('getPageState_' + tabId);
+    waiting.forEach(function(onResponse) { onResponse(state, excerpt); });
+}
+
+// Send a state returned by getPageState() back to the page in tabId; onDone(restored) is called with
+// whether the page got it
+function restorePageState(tabId, state, onDone) {
+    chrome.tabs.sendMessage(tabId, { op: 'restorePageState', state: state }, function(response) {
+        if (chrome.runtime.lastError || !response) {
+            log('Cannot restore page state for tab', 'tabId', tabId, chrome.runtime.lastError);
+            onDone(false);
+            return;
+        }
+        onDone(true);
+    });
+}
+
 function onGetPageDetailsMessage(tab, msg) {
     // log(tab, msg);
     var tabId = tab.id;
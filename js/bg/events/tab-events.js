@@ -91,17 +91,26 @@ function onTabCreated(tab)
         var wakingIndex = waking[0];
         var wakingPage = waking[1];
         log('associating waking tab to existing hibernated page element', tab, wakingPage);
-        tree.updatePage(wakingPage, {
-            chromeId: tab.id,
-            windowId: tab.windowId,
-            hibernated: false,
-            unread: true,
-            status: 'preload'
-        });
-        refreshPageStatus(wakingPage);
-        tree.awakeningPages.splice(wakingIndex, 1); // remove matched element
-        fixPinnedUnpinnedTabOrder(wakingPage);
-        tree.rebuildTabIndex();
+        var associateWakingTab = function() {
+            tree.updatePage(wakingPage, {
+                chromeId: tab.id,
+                windowId: tab.windowId,
+                hibernated: false,
+                unread: true,
+                status: 'preload'
+            });
+            refreshPageStatus(wakingPage);
+            tree.awakeningPages.splice(wakingIndex, 1); // remove matched element
+            fixPinnedUnpinnedTabOrder(wakingPage);
+            tree.rebuildTabIndex();
+        };
+        if (tree.journal.isReplayTabCreation(wakingPage.id)) {
+            // an undo/redo woke this page, so don't record its tab being put in place as a new step
+            tree.journal.runUnrecorded(associateWakingTab);
+        }
+        else {
+            associateWakingTab();
+        }
         return;
     }
 
@@ -299,6 +308,14 @@ function onTabRemoved(tabId, removeInfo, denyTabSwap)
     }
     log(tabId, removeInfo, 'denyTabSwap', denyTabSwap || false);
 
+    if (tree.journal.isReplayTabRemoval(tabId)) {
+        // an undo/redo closed this tab and has already made the tree changes for it
+        tree.journal.runUnrecorded(function() {
+            onTabRemoved(tabId, removeInfo, denyTabSwap);
+        });
+        return;
+    }
+
     if (expectingNavigationTabIdSwap && !denyTabSwap) {
         if (removeInfo.isWindowClosing) {
             // if a window is closing with this tab removal, a tab swap
@@ -654,6 +671,22 @@ function onTabUpdated(tabId, changeInfo, tab)
         mediaTime: 0
     });
 
+    if (tab.status == 'complete' && page.pageState) {
+        // the page was just awoken from hibernation; put back where it was scrolled to and what was typed
+        // into it, unless it came back at a different url. If the page doesn't get it, try on its next update.
+        var samePage = dropUrlHash(page.pageState.url) == dropUrlHash(tab.url);
+        if (!samePage) {
+            tree.updateNode(page, { pageState: null });
+        }
+        else {
+            restorePageState(tab.id, page.pageState, function(restored) {
+                if (restored) {
+                    tree.updateNode(page, { pageState: null });
+                }
+            });
+        }
+    }
+
     if (tab.url.match(/^chrome-/)) {
         // chrome-*://* urls do not fire webNavigation events, so we want to check in a bit
         // for an updated title manually
@@ -720,6 +753,8 @@ function onTabActivated(activeInfo) {
         expectingSmartFocusTabId = null;
     }
 
+    idleHibernator.onTabActivated(tabId, windowId);
+
     if (!tree.focusedTabId || tree.getNode(['chromeId', tabId])) {
         // we have no memorized focusedTabId and/or a page node does exist for the
         // just-focused tab, so just focus that page node
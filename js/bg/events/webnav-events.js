@@ -63,6 +63,10 @@ function onCreatedNavigationTarget(details)
     log(details.tabId, details.sourceTabId, details, page, 'parent', page.parent.id);
     page.placed = true;
 
+    if (settings.get('focusExistingTabInsteadOfDuplicate') && focusExistingDuplicatePage(page, details.url)) {
+        return;
+    }
+
     if (page.parent instanceof WindowNode) {
         var to = tree.getNode(['chromeId', details.sourceTabId]);
         if (!to) {
@@ -12,6 +12,9 @@ function registerWindowEvents()
     chrome.windows.onCreated.addListener(onWindowCreated);
     chrome.windows.onRemoved.addListener(onWindowRemoved);
     chrome.windows.onFocusChanged.addListener(onWindowFocusChanged);
+    if (chrome.windows.onBoundsChanged) {
+        chrome.windows.onBoundsChanged.addListener(recordWindowGeometry);
+    }
     setSlowWindowUpdateCheckRate();
 }
 
@@ -38,6 +41,7 @@ function onWindowCreated(win)
 
     var winElem = new WindowNode(win);
     tree.addNode(winElem);
+    recordWindowGeometry(win);
 }
 
 function onWindowRemoved(windowId)
@@ -150,6 +154,9 @@ function onWindowFocusChanged(windowId)
 
     // log(windowId);
 
+    // windows get minimized, maximized and restored without moving, which only shows as a focus change
+    recordFocusChangeGeometry(windowId);
+
     // Has a non-Chrome app just received focus?
     if (windowId == -1) {
         focusTracker.chromeHasFocus = false;
@@ -221,6 +228,52 @@ function onWindowFocusChanged(windowId)
     });
 }
 
+// Store where win, a Chrome window, is on screen in its WindowNode's .geometry so that it can be put
+// back there when woken after being hibernated. While the window is maximized, minimized or fullscreen
+// the bounds it had before are kept, as Chrome reports those of the whole screen or none at all.
+function recordWindowGeometry(win) {
+    if (win.type != 'normal' || monitorInfo.isDetecting()) {
+        return;
+    }
+
+    var node = tree.getNode(['chromeId', win.id]);
+    if (!(node instanceof WindowNode)) {
+        return;
+    }
+
+    var old = node.geometry;
+    var geometry;
+    if (win.state == 'normal' || !old) {
+        geometry = { left: win.left, top: win.top, width: win.width, height: win.height, state: win.state };
+        var monitor = monitorInfo.getMonitorFromRect(geometry);
+        geometry.monitor = monitor ? { left: monitor.left, top: monitor.top, width: monitor.width, height: monitor.height } : null;
+    }
+    else {
+        geometry = clone(old);
+        geometry.state = win.state;
+    }
+
+    if (JSON.stringify(geometry) != JSON.stringify(old)) {
+        tree.updateNode(node, { geometry: geometry });
+    }
+}
+
+// Record the geometry of the windows involved in a focus change to windowId: the window which had
+// focus until now and windowId itself, unless that is -1 for no Chrome window
+function recordFocusChangeGeometry(windowId) {
+    var unfocusedId = focusTracker.chromeHasFocus ? focusTracker.getFocused() : null;
+    [unfocusedId, windowId].forEach(function(id, i, ids) {
+        if (id === null || id == -1 || ids.indexOf(id) < i) {
+            return;
+        }
+        chrome.windows.get(id, function(win) {
+            if (!chrome.runtime.lastError && win) {
+                recordWindowGeometry(win);
+            }
+        });
+    });
+}
+
 function onWindowUpdateCheckInterval() {
     if (sidebarHandler.resizingDockWindow || sidebarHandler.matchingMinimizedStates || sidebarHandler.removeInProgress) {
         return;
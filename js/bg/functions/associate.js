@@ -38,6 +38,7 @@ var associationRuns = {};
 var associationStubbornTabIds = {};
 var associationConcurrentRuns = 0;
 var associationGetDetailsRetryList = {};
+var checkTreeIntegrityAfterRectifying = false;
 
 ///////////////////////////////////////////////////////////
 // Association functions
@@ -150,7 +151,9 @@ function endAssociationRun(runId) {
     associationConcurrentRuns--;
 
     tree.rebuildTabIndex();
+    checkTreeIntegrityAfterRectifying = true;
     rectifyAssociations(CLEANUP_AFTER_ASSOCIATION_RUN_DELAY_MS);
+    setPageTreeReady();
 
     try {
         TimeoutManager.clear(runId);
@@ -367,6 +370,11 @@ function rectifyAssociations(delay) {
                                     }
 
                                     log('Rectification complete');
+
+                                    if (checkTreeIntegrityAfterRectifying) {
+                                        checkTreeIntegrityAfterRectifying = false;
+                                        checkTreeIntegrityAfterAssociation();
+                                    }
                                 });
                             });
                         });
@@ -0,0 +1,161 @@
+"use strict";
+
+// ========================================================
+// Duplicate page finding.
+//
+// Pages are duplicates when their urls are the same once
+// normalized by normalizeDuplicateUrl(). Clusters of them
+// can be resolved by keeping one page and closing the rest
+// or merging them into it.
+// ========================================================
+
+///////////////////////////////////////////////////////////
+// Constants
+///////////////////////////////////////////////////////////
+
+// Query parameters which only track where a visitor came from and are dropped from urls when
+// the duplicates_ignoreTrackingParams setting is on
+var DUPLICATE_TRACKING_PARAM_REGEX = /^(utm_\w+|fbclid|gclid|dclid|msclkid|yclid|mc_cid|mc_eid|igshid|_ga|_hsenc|_hsmi)$/i;
+
+// Only pages with urls like these are considered; e.g. many New Tab pages are not duplicates of each other
+var DUPLICATE_URL_REGEX = /^(https?|ftp|file):/i;
+
+
+///////////////////////////////////////////////////////////
+// Finding
+///////////////////////////////////////////////////////////
+
+// Returns the clusters of duplicate pages in tree, largest first, as [{ url, pages }] where url is
+// the pages' normalized url. Each cluster's pages are ordered best first to keep: awake pages before
+// hibernated ones, then the most recently focused.
+function findDuplicatePages() {
+    var ignoreTrackingParams = settings.get('duplicates_ignoreTrackingParams');
+    var clusters = {};
+
+    tree.filter(function(e) { return e instanceof PageNode && DUPLICATE_URL_REGEX.test(e.url); })
+        .forEach(function(page) {
+            var url = normalizeDuplicateUrl(page.url, ignoreTrackingParams);
+            // incognito and regular pages are never duplicates of each other
+            var key = (page.incognito ? 'incognito ' : '') + url;
+            if (!clusters[key]) {
+                clusters[key] = { url: url, pages: [] };
+            }
+            clusters[key].pages.push(page);
+        });
+
+    var result = [];
+    for (var key in clusters) {
+        var cluster = clusters[key];
+        if (cluster.pages.length < 2) {
+            continue;
+        }
+        cluster.pages.sort(function(a, b) {
+            if (!a.hibernated != !b.hibernated) {
+                return a.hibernated ? 1 : -1;
+            }
+            return getLastFocusedTime(b) - getLastFocusedTime(a);
+        });
+        result.push(cluster);
+    }
+
+    return result.sort(function(a, b) { return b.pages.length - a.pages.length; });
+}
+
+// Returns url without its hash and, when ignoreTrackingParams is true, without tracking query parameters
+function normalizeDuplicateUrl(url, ignoreTrackingParams) {
+    url = dropUrlHash(url);
+    if (!ignoreTrackingParams) {
+        return url;
+    }
+
+    var m = url.match(/^([^?]*)\?(.*)$/);
+    if (!m) {
+        return url;
+    }
+
+    var params = m[2].split('&').filter(function(param) {
+        return param.length > 0 && !DUPLICATE_TRACKING_PARAM_REGEX.test(param.split('=')[0]);
+    });
+    return params.length > 0 ? m[1] + '?' + params.join('&') : m[1];
+}
+
+
+///////////////////////////////////////////////////////////
+// Resolving
+///////////////////////////////////////////////////////////
+
+// Keep the page keepId and get rid of the pages otherIds. With action 'merge' their children move under
+// the kept page; with action 'close' they are closed as if closed from the sidebar, their children
+// taking their place. Pages which are gone by now are skipped.
+function resolveDuplicatePages(keepId, otherIds, action) {
+    var keep = tree.getNode(keepId);
+    if (!keep) {
+        return;
+    }
+
+    otherIds.forEach(function(id) {
+        var other = tree.getNode(id);
+        if (!other || other === keep) {
+            return;
+        }
+
+        var chromeId = other.hibernated ? undefined : other.chromeId;
+        log('Resolving duplicate page', action, other.id, 'keeping', keep.id);
+
+        if (action == 'merge') {
+            if (keep.parents().indexOf(other) > -1) {
+                // merging a page into its own descendant would put it inside itself, so first move the
+                // kept page up to where the other one is; its children stay behind to be merged along
+                tree.moveNodeRel(keep, 'before', other);
+            }
+            tree.mergeNodes(other, keep);
+        }
+        else {
+            tree.removeNode(other);
+        }
+
+        if (chromeId) {
+            chrome.tabs.remove(chromeId);
+        }
+    });
+}
+
+
+///////////////////////////////////////////////////////////
+// Focusing existing pages instead of opening duplicates
+///////////////////////////////////////////////////////////
+
+// When newPage, just opened from a link in another page, duplicates an existing page, close newPage and
+// focus the existing page instead, waking it if needed. Returns true if it did so.
+function focusExistingDuplicatePage(newPage, url) {
+    if (!DUPLICATE_URL_REGEX.test(url)) {
+        return false;
+    }
+
+    var ignoreTrackingParams = settings.get('duplicates_ignoreTrackingParams');
+    var normalized = normalizeDuplicateUrl(url, ignoreTrackingParams);
+
+    var existing = tree.filter(function(e) {
+        return e instanceof PageNode
+            && e !== newPage
+            && !e.incognito == !newPage.incognito
+            && normalizeDuplicateUrl(e.url, ignoreTrackingParams) == normalized;
+    })[0];
+
+    if (!existing) {
+        return false;
+    }
+
+    log('Focusing existing page instead of opening a duplicate', 'existing', existing.id, 'new', newPage.id, url);
+    var newTabId = newPage.chromeId;
+    tree.removeNode(newPage);
+    chrome.tabs.remove(newTabId);
+
+    if (existing.hibernated) {
+        tree.awakenPages([existing.id], true);
+        return true;
+    }
+    chrome.tabs.update(existing.chromeId, { active: true });
+    chrome.windows.update(existing.windowId, { focused: true });
+    return true;
+}
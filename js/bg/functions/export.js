@@ -0,0 +1,240 @@
+"use strict";
+
+// ========================================================
+// Page tree export functions.
+//
+// Write page tree branches out as nested Markdown lists,
+// Netscape bookmark HTML or OPML.
+// ========================================================
+
+///////////////////////////////////////////////////////////
+// Constants
+///////////////////////////////////////////////////////////
+
+var PAGETREE_EXPORT_FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown', exportFn: exportNodesAsMarkdown },
+    html: { extension: 'html', mimeType: 'text/html', exportFn: exportNodesAsBookmarksHtml },
+    opml: { extension: 'opml', mimeType: 'text/x-opml', exportFn: exportNodesAsOpml }
+};
+
+
+///////////////////////////////////////////////////////////
+// Exporting
+///////////////////////////////////////////////////////////
+
+// Export the given nodes and all their descendants in format (a key of PAGETREE_EXPORT_FORMATS).
+// Nodes which are descendants of other given nodes are exported only once, as part of their ancestor's branch.
+function exportPageTreeNodes(nodes, format) {
+    var exportFormat = PAGETREE_EXPORT_FORMATS[format];
+    if (!exportFormat) {
+        throw new Error('Unknown export format ' + format);
+    }
+
+    nodes = nodes.filter(function(node) {
+        return !node.parents().some(function(p) { return nodes.indexOf(p) > -1; });
+    });
+
+    return exportFormat.exportFn(nodes);
+}
+
+// Export every non incognito node in the page tree in format
+function exportPageTree(format) {
+    return exportPageTreeNodes(tree.tree.filter(function(e) { return !e.incognito; }), format);
+}
+
+// Returns a filename like 'sidewise-tree-2012-10-31.md' for an export in format
+function getPageTreeExportFilename(format) {
+    var date = new Date();
+    var dateText = date.getFullYear() + '-' + padStringLeft(date.getMonth() + 1, 2).replace(/ /g, '0')
+        + '-' + padStringLeft(date.getDate(), 2).replace(/ /g, '0');
+    return 'sidewise-tree-' + dateText + '.' + PAGETREE_EXPORT_FORMATS[format].extension;
+}
+
+
+///////////////////////////////////////////////////////////
+// Markdown
+///////////////////////////////////////////////////////////
+
+function exportNodesAsMarkdown(nodes) {
+    var lines = [];
+    var _export = function(node, depth) {
+        lines.push(new Array(depth + 1).join('    ') + '- ' + getMarkdownNodeText(node));
+        node.children.forEach(function(e) { _export(e, depth + 1); });
+    };
+    nodes.forEach(function(e) { _export(e, 0); });
+    return lines.join('\n') + '\n';
+}
+
+function getMarkdownNodeText(node) {
+    var escape = function(text) {
+        return text.replace(/([\\\[\]*_`])/g, '\\$1');
+    };
+
+    var text;
+    if (node instanceof PageNode) {
+        text = '[' + escape(getExportNodeTitle(node)) + '](' + (node.url || '').replace(/\(/g, '%28').replace(/\)/g, '%29') + ')';
+        if (node.label) {
+            text = '**' + escape(node.label) + '**: ' + text;
+        }
+    }
+    else {
+        text = '**' + escape(getExportNodeTitle(node)) + '**';
+    }
+
+    var flags = [];
+    if (node.hibernated && node instanceof PageNode) {
+        flags.push('hibernated');
+    }
+    if (node.highlighted) {
+        flags.push('highlighted');
+    }
+    if (flags.length > 0) {
+        text += ' _(' + flags.join(', ') + ')_';
+    }
+    return text;
+}
+
+
+///////////////////////////////////////////////////////////
+// Netscape bookmark HTML
+///////////////////////////////////////////////////////////
+
+// Pages can't have children in the bookmark format, so a page with children is written
+// as a folder holding the page itself followed by its children
+function exportNodesAsBookmarksHtml(nodes) {
+    var lines = [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<!-- This is an automatically generated file. Exported from Sidewise. -->',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>Bookmarks</H1>',
+        '<DL><p>'
+    ];
+
+    var _export = function(node, depth) {
+        var indent = new Array(depth + 2).join('    ');
+
+        if (node instanceof PageNode) {
+            if (node.children.length > 0) {
+                lines.push(indent + '<DT><H3' + getBookmarksHtmlNodeAttrs(node, false) + '>' + escapeExportHtml(getExportNodeTitle(node)) + '</H3>');
+                lines.push(indent + '<DL><p>');
+                lines.push(indent + '    <DT><A HREF="' + escapeExportHtml(node.url || '') + '"' + getBookmarksHtmlNodeAttrs(node, true) + '>' + escapeExportHtml(getExportNodeTitle(node)) + '</A>');
+                if (node.label) {
+                    lines.push(indent + '    <DD>' + escapeExportHtml(node.label));
+                }
+                node.children.forEach(function(e) { _export(e, depth + 1); });
+                lines.push(indent + '</DL><p>');
+                return;
+            }
+
+            lines.push(indent + '<DT><A HREF="' + escapeExportHtml(node.url || '') + '"' + getBookmarksHtmlNodeAttrs(node, true) + '>' + escapeExportHtml(getExportNodeTitle(node)) + '</A>');
+            if (node.label) {
+                lines.push(indent + '<DD>' + escapeExportHtml(node.label));
+            }
+            return;
+        }
+
+        lines.push(indent + '<DT><H3' + getBookmarksHtmlNodeAttrs(node, true) + '>' + escapeExportHtml(getExportNodeTitle(node)) + '</H3>');
+        lines.push(indent + '<DL><p>');
+        node.children.forEach(function(e) { _export(e, depth + 1); });
+        lines.push(indent + '</DL><p>');
+    };
+
+    nodes.forEach(function(e) { _export(e, 0); });
+    lines.push('</DL><p>');
+    return lines.join('\n') + '\n';
+}
+
+// Browsers ignore attributes they don't know, so we keep Sidewise specific state in SIDEWISE_* attributes.
+// The folder written for a page with children doesn't get these (withState=false); the page within it does.
+function getBookmarksHtmlNodeAttrs(node, withState) {
+    var attrs = ' ADD_DATE="' + Math.floor((node.createdOn || Date.now()) / 1000) + '"';
+    if (!withState) {
+        return attrs;
+    }
+    attrs += ' SIDEWISE_TYPE="' + node.elemType + '"';
+    if (node.label) {
+        attrs += ' SIDEWISE_LABEL="' + escapeExportHtml(node.label) + '"';
+    }
+    if (node.highlighted) {
+        attrs += ' SIDEWISE_HIGHLIGHTED="true"';
+    }
+    if (node.hibernated && node instanceof PageNode) {
+        attrs += ' SIDEWISE_HIBERNATED="true"';
+    }
+    return attrs;
+}
+
+
+///////////////////////////////////////////////////////////
+// OPML
+///////////////////////////////////////////////////////////
+
+function exportNodesAsOpml(nodes) {
+    var lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opml version="2.0">',
+        '    <head>',
+        '        <title>Sidewise</title>',
+        '        <dateCreated>' + new Date().toUTCString() + '</dateCreated>',
+        '    </head>',
+        '    <body>'
+    ];
+
+    var _export = function(node, depth) {
+        var indent = new Array(depth + 3).join('    ');
+        var attrs = 'text="' + escapeExportHtml(getExportNodeTitle(node)) + '"';
+
+        if (node instanceof PageNode) {
+            attrs += ' type="link" url="' + escapeExportHtml(node.url || '') + '"';
+        }
+        attrs += ' sidewiseType="' + node.elemType + '"';
+        if (node.label) {
+            attrs += ' sidewiseLabel="' + escapeExportHtml(node.label) + '"';
+        }
+        if (node.highlighted) {
+            attrs += ' sidewiseHighlighted="true"';
+        }
+        if (node.hibernated && node instanceof PageNode) {
+            attrs += ' sidewiseHibernated="true"';
+        }
+
+        if (node.children.length == 0) {
+            lines.push(indent + '<outline ' + attrs + '/>');
+            return;
+        }
+
+        lines.push(indent + '<outline ' + attrs + '>');
+        node.children.forEach(function(e) { _export(e, depth + 1); });
+        lines.push(indent + '</outline>');
+    };
+
+    nodes.forEach(function(e) { _export(e, 0); });
+    lines.push('    </body>');
+    lines.push('</opml>');
+    return lines.join('\n') + '\n';
+}
+
+
+///////////////////////////////////////////////////////////
+// Helpers
+///////////////////////////////////////////////////////////
+
+// Returns the title to export for node: the page title (or URL), folder name, or window label/title
+function getExportNodeTitle(node) {
+    if (node instanceof PageNode) {
+        return node.title || node.url || '';
+    }
+    if (node instanceof FolderNode) {
+        return node.label || '';
+    }
+    return node.label || node.title || '';
+}
+
+function escapeExportHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
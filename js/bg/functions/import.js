@@ -0,0 +1,376 @@
+"use strict";
+
+// ========================================================
+// Page tree import functions.
+//
+// Read tab lists saved by OneTab, Session Buddy, Tree Style
+// Tab or a browser's bookmark manager into a preview tree,
+// which can then be added to the page tree as hibernated rows.
+// ========================================================
+
+///////////////////////////////////////////////////////////
+// Constants
+///////////////////////////////////////////////////////////
+
+var PAGETREE_IMPORT_FORMATS = {
+    onetab: { parseFn: parseOneTabText },
+    sessionbuddy: { parseFn: parseSessionBuddyJson },
+    treestyletab: { parseFn: parseTreeStyleTabJson },
+    html: { parseFn: parseBookmarksHtml }
+};
+
+
+///////////////////////////////////////////////////////////
+// Importing
+///////////////////////////////////////////////////////////
+
+// Parse text in format (a key of PAGETREE_IMPORT_FORMATS) into a new DataTree for previewing.
+// The top level of the returned tree holds only WindowNodes. Throws when text can't be parsed
+// or contains no pages.
+function parseImportedTabs(text, format) {
+    var importFormat = PAGETREE_IMPORT_FORMATS[format];
+    if (!importFormat) {
+        throw new Error('Unknown import format ' + format);
+    }
+
+    var importTree = new DataTree();
+    importFormat.parseFn(importTree, text);
+
+    // drop windows which ended up empty, e.g. from a blank group in the source
+    importTree.tree.filter(function(e) { return e.children.length == 0; }).forEach(function(e) {
+        importTree.removeNode(e);
+    });
+
+    if (!importTree.getNode(function(e) { return e instanceof PageNode; })) {
+        throw new Error(getMessage('import_noPagesFound'));
+    }
+    return importTree;
+}
+
+// Add every branch of importTree, as returned by parseImportedTabs(), to the end of the page tree
+function addImportedTree(importTree) {
+    var _add = function(node, parent) {
+        var children = node.children;
+        node.children = [];
+        tree.addNode(node, parent);
+        children.forEach(function(e) { _add(e, node); });
+    };
+    importTree.tree.slice().forEach(function(e) { _add(e); });
+}
+
+// Returns { windows: n, pages: n } counts of the nodes in importTree
+function getImportedTreeCounts(importTree) {
+    return importTree.reduce(function(counts, e) {
+        if (e instanceof WindowNode) {
+            counts.windows++;
+        }
+        else if (e instanceof PageNode) {
+            counts.pages++;
+        }
+        return counts;
+    }, { windows: 0, pages: 0 });
+}
+
+
+///////////////////////////////////////////////////////////
+// OneTab
+///////////////////////////////////////////////////////////
+
+// OneTab's "Export URLs" text has one 'url | title' line per page; groups of pages are
+// separated by blank lines and each becomes a window
+function parseOneTabText(importTree, text) {
+    var windowNode;
+    text.split(/\r?\n/).forEach(function(line) {
+        line = line.trim();
+        if (!line) {
+            windowNode = undefined;
+            return;
+        }
+
+        var separatorIndex = line.indexOf(' | ');
+        var url = (separatorIndex > -1 ? line.substring(0, separatorIndex) : line).trim();
+        if (!isImportableUrl(url)) {
+            return;
+        }
+
+        if (!windowNode) {
+            windowNode = addImportedWindowNode(importTree);
+        }
+        var title = separatorIndex > -1 ? line.substring(separatorIndex + 3).trim() : '';
+        importTree.addNode(createImportedPageNode({ url: url, title: title }), windowNode);
+    });
+}
+
+
+///////////////////////////////////////////////////////////
+// Session Buddy
+///////////////////////////////////////////////////////////
+
+// Session Buddy exports either { sessions: [{ name, windows: [{ tabs: [tab] }] }] } or,
+// in newer versions, { collections: [{ title, folders: [{ links: [tab] }] }] } where each
+// folder is a saved window. A lone session object { windows: [...] } is accepted too.
+function parseSessionBuddyJson(importTree, text) {
+    var data = JSON.parse(text);
+    var sessions;
+    var windowsKey, tabsKey;
+
+    if (Array.isArray(data.collections)) {
+        sessions = data.collections;
+        windowsKey = 'folders';
+        tabsKey = 'links';
+    }
+    else {
+        sessions = Array.isArray(data.sessions) ? data.sessions : [data];
+        windowsKey = 'windows';
+        tabsKey = 'tabs';
+    }
+
+    sessions.forEach(function(session) {
+        var windows = session[windowsKey];
+        if (!Array.isArray(windows)) {
+            return;
+        }
+        windows.forEach(function(win) {
+            var windowNode = addImportedWindowNode(importTree, session.name || session.title);
+            (win[tabsKey] || []).forEach(function(tab) {
+                if (isImportableUrl(tab.url)) {
+                    importTree.addNode(createImportedPageNode(tab), windowNode);
+                }
+            });
+        });
+    });
+}
+
+
+///////////////////////////////////////////////////////////
+// Tree Style Tab
+///////////////////////////////////////////////////////////
+
+// Tree Style Tab session data is accepted as { windows: [win] }, [win], a single win or a bare
+// [tab] list, where win is { title, tabs: [tab], treeStructure }. The tab hierarchy is taken from
+// the first of these found:
+//   - tab.children: nested child tabs, as returned by TST's get-tree API
+//   - treeStructure[i].parent or tab.parent: index of the parent tab in win.tabs, -1 for none
+//   - tab.indent or tab.level: depth of the tab, 0 for top level tabs
+// Collapsed subtrees are read from tab.collapsed, treeStructure[i].collapsed or a
+// 'subtree-collapsed' entry in tab.states.
+function parseTreeStyleTabJson(importTree, text) {
+    var data = JSON.parse(text);
+    var windows;
+
+    if (Array.isArray(data.windows)) {
+        windows = data.windows;
+    }
+    else if (Array.isArray(data)) {
+        windows = (data.length > 0 && data[0].url !== undefined ? [{ tabs: data }] : data);
+    }
+    else {
+        windows = [data];
+    }
+
+    windows.forEach(function(win) {
+        if (!Array.isArray(win.tabs)) {
+            return;
+        }
+        var windowNode = addImportedWindowNode(importTree, win.title || win.name);
+        addTreeStyleTabs(importTree, windowNode, win.tabs, win.treeStructure);
+    });
+}
+
+function addTreeStyleTabs(importTree, parentNode, tabs, treeStructure) {
+    // node which each tab's children go under; for a skipped tab that is its own parent
+    var placedNodes = [];
+    var lastPlacedAtDepth = [];
+
+    tabs.forEach(function(tab, index) {
+        var structure = (Array.isArray(treeStructure) && treeStructure[index]) || tab;
+        var parent = parentNode;
+        var depth;
+
+        if (typeof(structure.parent) == 'number') {
+            if (structure.parent > -1 && structure.parent < index) {
+                parent = placedNodes[structure.parent];
+            }
+        }
+        else {
+            depth = (structure.indent !== undefined ? structure.indent : structure.level);
+            depth = (typeof(depth) == 'number' && depth > 0 ? Math.min(depth, lastPlacedAtDepth.length) : 0);
+            if (depth > 0) {
+                parent = lastPlacedAtDepth[depth - 1];
+            }
+        }
+
+        var placed = parent;
+        if (isImportableUrl(tab.url)) {
+            placed = createImportedPageNode(tab);
+            placed.collapsed = !!(structure.collapsed
+                || (Array.isArray(tab.states) && tab.states.indexOf('subtree-collapsed') > -1));
+            importTree.addNode(placed, parent);
+
+            if (Array.isArray(tab.children)) {
+                addTreeStyleTabs(importTree, placed, tab.children);
+            }
+        }
+
+        placedNodes.push(placed);
+        if (depth !== undefined) {
+            lastPlacedAtDepth.length = depth;
+            lastPlacedAtDepth.push(placed);
+        }
+    });
+}
+
+
+///////////////////////////////////////////////////////////
+// Netscape bookmark HTML
+///////////////////////////////////////////////////////////
+
+// Folders become FolderNodes and links become pages. Top level links and folders are put together
+// into one window. Files written by exportNodesAsBookmarksHtml() keep their windows, labels and
+// highlights, and a folder holding a page followed by that page's children is turned back into
+// a page with children.
+function parseBookmarksHtml(importTree, text) {
+    var doc = new DOMParser().parseFromString(text, 'text/html');
+    var rootList = doc.querySelector('dl');
+    if (!rootList) {
+        throw new Error(getMessage('import_noPagesFound'));
+    }
+
+    var heading = doc.querySelector('h1');
+    var windowNode;
+
+    getBookmarksHtmlListItems(rootList).forEach(function(item) {
+        if (item.folder && getSidewiseAttr(item.folder, 'type') == 'window') {
+            var node = addImportedWindowNode(importTree, getSidewiseAttr(item.folder, 'label'));
+            node.highlighted = getSidewiseAttr(item.folder, 'highlighted') == 'true';
+            addBookmarksHtmlItems(importTree, node, getBookmarksHtmlListItems(item.list));
+            return;
+        }
+
+        if (!windowNode) {
+            windowNode = addImportedWindowNode(importTree, heading ? heading.textContent.trim() : undefined);
+        }
+        addBookmarksHtmlItems(importTree, windowNode, [item]);
+    });
+}
+
+function addBookmarksHtmlItems(importTree, parentNode, items) {
+    items.forEach(function(item) {
+        if (item.link) {
+            if (isImportableUrl(item.link.getAttribute('href'))) {
+                importTree.addNode(createBookmarksHtmlPageNode(item), parentNode);
+            }
+            return;
+        }
+
+        var childItems = getBookmarksHtmlListItems(item.list);
+        var firstItem = childItems[0];
+        var node;
+
+        if (!getSidewiseAttr(item.folder, 'type') && firstItem && firstItem.link
+            && getSidewiseAttr(firstItem.link, 'type') == 'page')
+        {
+            // folder written for a page with children
+            node = createBookmarksHtmlPageNode(firstItem);
+            childItems = childItems.slice(1);
+        }
+        else {
+            node = new FolderNode(getSidewiseAttr(item.folder, 'label') || item.folder.textContent.trim());
+            node.highlighted = getSidewiseAttr(item.folder, 'highlighted') == 'true';
+        }
+
+        importTree.addNode(node, parentNode);
+        addBookmarksHtmlItems(importTree, node, childItems);
+    });
+}
+
+// Returns [{ link, label }, { folder, list }, ...] for the <DT> entries of a bookmark <DL>.
+// Browsers parse '<DT><H3>..</H3><DL>..</DL>' with the <DL> inside the <DT>, and a link's
+// '<DD>description' as the <DT>'s next sibling.
+function getBookmarksHtmlListItems(list) {
+    if (!list) {
+        return [];
+    }
+
+    var items = [];
+    for (var i = 0; i < list.children.length; i++) {
+        var dt = list.children[i];
+        if (dt.tagName != 'DT') {
+            continue;
+        }
+
+        var folder = dt.querySelector(':scope > h3');
+        if (folder) {
+            var subList = dt.querySelector(':scope > dl');
+            if (!subList && dt.nextElementSibling && dt.nextElementSibling.tagName == 'DL') {
+                subList = dt.nextElementSibling;
+            }
+            items.push({ folder: folder, list: subList });
+            continue;
+        }
+
+        var link = dt.querySelector(':scope > a');
+        if (link) {
+            var dd = dt.nextElementSibling;
+            items.push({ link: link, label: (dd && dd.tagName == 'DD' ? dd.textContent.trim() : undefined) });
+        }
+    }
+    return items;
+}
+
+function createBookmarksHtmlPageNode(item) {
+    var link = item.link;
+    var node = createImportedPageNode({
+        url: link.getAttribute('href'),
+        title: link.textContent.trim(),
+        favIconUrl: link.getAttribute('icon_uri') || link.getAttribute('icon')
+    });
+    node.label = getSidewiseAttr(link, 'label') || item.label || '';
+    node.highlighted = getSidewiseAttr(link, 'highlighted') == 'true';
+
+    var addDate = parseInt(link.getAttribute('add_date'));
+    if (addDate > 0) {
+        node.createdOn = addDate * 1000;
+    }
+    return node;
+}
+
+function getSidewiseAttr(elem, name) {
+    return elem.getAttribute('sidewise_' + name) || undefined;
+}
+
+
+///////////////////////////////////////////////////////////
+// Helpers
+///////////////////////////////////////////////////////////
+
+function addImportedWindowNode(importTree, label) {
+    var node = new WindowNode();
+    node.title = getMessage('text_hibernatedWindow');
+    node.label = label || '';
+    importTree.addNode(node);
+    return node;
+}
+
+// Returns a hibernated PageNode for tab, an object like { url, title, favIconUrl, pinned }
+function createImportedPageNode(tab) {
+    var node = new PageNode({
+        url: tab.url,
+        title: tab.title,
+        favIconUrl: tab.favIconUrl || getChromeFavIconUrl(tab.url),
+        pinned: !!tab.pinned,
+        incognito: false
+    }, 'complete');
+    node.hibernated = true;
+    node.restorable = false;
+    node.chromeId = null;
+    node.windowId = null;
+    node.index = null;
+    node.openerTabId = null;
+    return node;
+}
+
+// Chrome refuses to open some kinds of urls from an extension, and data: urls may be huge
+function isImportableUrl(url) {
+    return typeof(url) == 'string' && /^(https?|ftp|file|chrome|chrome-extension|about):/i.test(url);
+}
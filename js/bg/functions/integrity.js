@@ -0,0 +1,260 @@
+"use strict";
+
+// ========================================================
+// Page tree integrity checking.
+//
+// Look for places where the page tree disagrees with itself
+// or with Chrome's tabs, describe them in a report and repair
+// them on request.
+// ========================================================
+
+///////////////////////////////////////////////////////////
+// Constants
+///////////////////////////////////////////////////////////
+
+// Kinds of issue the integrity check looks for. Issues of autoRepair kinds only concern the tree's own
+// bookkeeping and are repaired without asking when the check runs after an association run.
+var TREE_INTEGRITY_ISSUE_KINDS = {
+    orphanedParent: { autoRepair: true, repairFn: repairOrphanedParent },
+    staleIndexEntry: { autoRepair: true, repairFn: repairStaleIndexEntry },
+    duplicateId: { autoRepair: false, repairFn: repairDuplicateId },
+    staleChromeId: { autoRepair: false, repairFn: repairStaleChromeId },
+    windowTabsMismatch: { autoRepair: false, repairFn: repairWindowTabsMismatch }
+};
+
+
+///////////////////////////////////////////////////////////
+// Checking
+///////////////////////////////////////////////////////////
+
+// Check the page tree for integrity issues. Returns a report { checkedAt, issues } where each issue
+// is { kind, node, description } plus whatever its kind's repairFn needs.
+async function checkTreeIntegrity() {
+    var tabs = await new Promise(function(resolve) {
+        chrome.tabs.query({ }, resolve);
+    });
+
+    var tabsById = {};
+    tabs.forEach(function(tab) {
+        if (sidebarHandler.tabId == tab.id || tab.url == chrome.extension.getURL('/sidebar.html')) {
+            return;
+        }
+        tabsById[tab.id] = tab;
+    });
+
+    var issues = [];
+    var nodesById = {};
+
+    // walk the tree checking each node's parent pointer and noting which nodes are really in it
+    var _walk = function(parent) {
+        parent.children.forEach(function(node) {
+            if (node.parent !== parent || node.root !== tree.root) {
+                issues.push(getTreeIntegrityIssue('orphanedParent', node, [], { expectedParent: parent }));
+            }
+
+            var sameId = nodesById[node.id];
+            if (sameId) {
+                issues.push(getTreeIntegrityIssue('duplicateId', node, []));
+                sameId.push(node);
+            }
+            else {
+                nodesById[node.id] = [node];
+            }
+
+            if (node instanceof PageNode && node.chromeId && !tabsById[node.chromeId]) {
+                issues.push(getTreeIntegrityIssue('staleChromeId', node, [node.chromeId.toString()], { chromeId: node.chromeId }));
+            }
+
+            _walk(node);
+        });
+    };
+    _walk(tree.root);
+
+    issues = issues.concat(
+        getStaleIndexEntryIssues(nodesById),
+        getWindowTabsMismatchIssues(tabsById));
+
+    return { checkedAt: Date.now(), issues: issues };
+}
+
+// Returns issues for index entries pointing at nodes which are not in the tree or no longer have the indexed value
+function getStaleIndexEntryIssues(nodesById) {
+    var issues = [];
+    for (var key in tree.indexes) {
+        var index = tree.indexes[key];
+        for (var value in index) {
+            index[value].forEach(function(node) {
+                var inTree = (nodesById[node.id] || []).indexOf(node) > -1;
+                if (!inTree || String(node[key]) != value) {
+                    issues.push(getTreeIntegrityIssue('staleIndexEntry', node, [key, value], { indexKey: key, indexValue: value }));
+                }
+            });
+        }
+    }
+    return issues;
+}
+
+// Returns issues for awake window nodes whose pages disagree with the tabs Chrome has in that window
+function getWindowTabsMismatchIssues(tabsById) {
+    var issues = [];
+    tree.tree.forEach(function(winNode) {
+        if (!(winNode instanceof WindowNode) || winNode.hibernated || !winNode.chromeId) {
+            return;
+        }
+
+        var pageTabIds = tree.filter(function(e) { return e instanceof PageNode && e.chromeId; }, winNode.children)
+            .map(function(e) { return e.chromeId; });
+
+        var missing = 0;
+        for (var tabId in tabsById) {
+            if (tabsById[tabId].windowId == winNode.chromeId && pageTabIds.indexOf(parseInt(tabId)) == -1) {
+                missing++;
+            }
+        }
+
+        var extra = pageTabIds.filter(function(tabId) {
+            return tabsById[tabId] && tabsById[tabId].windowId != winNode.chromeId;
+        }).length;
+
+        if (missing > 0 || extra > 0) {
+            issues.push(getTreeIntegrityIssue('windowTabsMismatch', winNode, [missing.toString(), extra.toString()]));
+        }
+    });
+    return issues;
+}
+
+function getTreeIntegrityIssue(kind, node, messageArgs, details) {
+    var issue = {
+        kind: kind,
+        node: node,
+        description: getMessage('integrity_issue_' + kind, [getTreeIntegrityNodeDescription(node)].concat(messageArgs))
+    };
+    for (var k in details) {
+        issue[k] = details[k];
+    }
+    return issue;
+}
+
+function getTreeIntegrityNodeDescription(node) {
+    var text = node.label || node.title || node.elemType;
+    if (text.length > 40) {
+        text = text.substring(0, 40) + '...';
+    }
+    return '"' + text + '" (' + node.id + ')';
+}
+
+// Returns report as plain text, one line per issue
+function getTreeIntegrityReportText(report) {
+    if (report.issues.length == 0) {
+        return getMessage('integrity_noIssues');
+    }
+    return getMessage('integrity_reportHeading', [report.issues.length.toString()]) + '\n'
+        + report.issues.map(function(issue) { return '- ' + issue.description; }).join('\n');
+}
+
+
+///////////////////////////////////////////////////////////
+// Repairing
+///////////////////////////////////////////////////////////
+
+// Repair the given issues from a report, then check the tree again and return the new report.
+// Issues which no longer apply by the time they are repaired are left alone.
+async function repairTreeIntegrityIssues(issues) {
+    issues.forEach(function(issue) {
+        log('Repairing tree integrity issue', issue.kind, issue.node.id, issue.description);
+        TREE_INTEGRITY_ISSUE_KINDS[issue.kind].repairFn(issue);
+    });
+    return await checkTreeIntegrity();
+}
+
+function repairOrphanedParent(issue) {
+    if (issue.expectedParent.children.indexOf(issue.node) == -1) {
+        return;
+    }
+    issue.node.parent = issue.expectedParent;
+    issue.node.root = tree.root;
+}
+
+function repairStaleIndexEntry(issue) {
+    var index = tree.indexes[issue.indexKey];
+    var ary = index && index[issue.indexValue];
+    if (!ary) {
+        return;
+    }
+    var indexOf = ary.indexOf(issue.node);
+    if (indexOf > -1) {
+        ary.splice(indexOf, 1);
+        if (ary.length == 0) {
+            delete index[issue.indexValue];
+        }
+    }
+
+    // when the node is still in the tree but now has a different value, make sure it is indexed under that
+    var value = issue.node[issue.indexKey];
+    if (value === undefined || !tree.getNode(tree.getObjectIdentityMatcher(issue.node))) {
+        return;
+    }
+    var current = index[value];
+    if (!current) {
+        current = [];
+        index[value] = current;
+    }
+    if (current.indexOf(issue.node) == -1) {
+        current.push(issue.node);
+    }
+}
+
+// Give the duplicate node a new id
+function repairDuplicateId(issue) {
+    var shape = STORED_NODE_SHAPES[issue.node.elemType];
+    tree.updateNode(issue.node, { id: (shape ? shape.idPrefix : '') + generateGuid() });
+
+    // the sidebar finds rows by id, so redraw it after its rows with duplicate ids got confused
+    TimeoutManager.reset('reloadPagesPaneAfterIntegrityRepair', function() {
+        try {
+            sidebarHandler.sidebarPanes['pages'].location.reload();
+        }
+        catch(ex) { }
+    }, 500);
+}
+
+// Treat a page whose tab is gone as hibernated
+function repairStaleChromeId(issue) {
+    if (issue.node.chromeId != issue.chromeId) {
+        return;
+    }
+    tree.removeFromTabIndex(issue.node);
+    tree.updateNode(issue.node, {
+        hibernated: true,
+        restorable: false,
+        chromeId: null,
+        status: 'complete',
+        mediaState: null,
+        mediaTime: null });
+}
+
+// An association run takes in tabs missing from the tree, then rectifies which window node each page is under
+function repairWindowTabsMismatch(issue) {
+    startAssociationRun();
+}
+
+
+///////////////////////////////////////////////////////////
+// Automatic checking
+///////////////////////////////////////////////////////////
+
+// Check the tree once an association run has finished and rectification has settled, repairing autoRepair kinds of issues
+async function checkTreeIntegrityAfterAssociation() {
+    var report = await checkTreeIntegrity();
+
+    var autoRepairable = report.issues.filter(function(issue) {
+        return TREE_INTEGRITY_ISSUE_KINDS[issue.kind].autoRepair;
+    });
+    if (autoRepairable.length > 0) {
+        report = await repairTreeIntegrityIssues(autoRepairable);
+    }
+
+    if (report.issues.length > 0) {
+        log('Tree integrity check after association run', getTreeIntegrityReportText(report));
+    }
+}
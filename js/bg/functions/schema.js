@@ -0,0 +1,305 @@
+"use strict";
+
+// ========================================================
+// Stored data schema versioning.
+//
+// Tree and notepad data is stored as { schemaVersion, data }.
+// When loaded, data written by older versions of Sidewise is
+// upgraded by the steps of STORAGE_MIGRATIONS and tree nodes
+// are checked against STORED_NODE_SHAPES; nodes failing either
+// are moved to the quarantine key rather than loaded.
+// ========================================================
+
+///////////////////////////////////////////////////////////
+// Constants
+///////////////////////////////////////////////////////////
+
+// Storage keys holding versioned data and the kind of data each holds
+var VERSIONED_STORAGE_KEYS = {
+    pageTree: 'pageTree',
+    backupPageTree: 'pageTree',
+    backupPageTreeLastSession: 'pageTree',
+    recentlyClosedTree: 'pageTree',
+    ghostTree: 'ghostTree',
+    notepadContent: 'text'
+};
+
+// Patterns of storage keys holding versioned data under a key of their own per item, e.g. each
+// tree snapshot, and the kind of data each holds
+var VERSIONED_STORAGE_KEY_PATTERNS = [
+    { pattern: /^treeSnapshot_/, kind: 'pageTree' }
+];
+
+// Ordered migration steps. Each step upgrades data of the given kinds to step.version from the
+// version before it. Tree kinds use migrateNode(node, key), which is called for every node and
+// may throw to have the node quarantined; other kinds use migrate(data, key) and return the
+// upgraded data. Data stored before versioning was introduced has version 0.
+var STORAGE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill in node properties missing from trees saved by old versions',
+        kinds: ['pageTree', 'ghostTree'],
+        migrateNode: function(node) {
+            if (node.children === undefined) {
+                node.children = [];
+            }
+            if (node.elemType == 'ghost') {
+                return;
+            }
+            if (node.title === undefined) node.title = '';
+            if (node.label === undefined) node.label = '';
+            if (node.highlighted === undefined) node.highlighted = false;
+            if (node.collapsed === undefined) node.collapsed = false;
+            if (node.createdOn === undefined) node.createdOn = Date.now();
+        }
+    },
+    {
+        version: 1,
+        description: 'Notepad text is stored as is',
+        kinds: ['text'],
+        migrate: function(data) {
+            if (typeof(data) != 'string') {
+                throw new Error('Notepad content is not text');
+            }
+            return data;
+        }
+    }
+];
+
+// Expected shape of stored nodes by elemType: the prefix their id starts with, properties which
+// must be present, and the typeof of properties when they are present and not null
+var STORED_NODE_SHAPES = {
+    page: {
+        treeKind: 'pageTree',
+        idPrefix: 'p',
+        required: ['title', 'label'],
+        props: { url: 'string', title: 'string', label: 'string', favicon: 'string', hibernated: 'boolean',
+            pinned: 'boolean', highlighted: 'boolean', collapsed: 'boolean', incognito: 'boolean', createdOn: 'number',
+            lastFocused: 'number', pageState: 'object', snoozedUntil: 'number', snoozedFrom: 'object' }
+    },
+    window: {
+        treeKind: 'pageTree',
+        idPrefix: 'w',
+        required: ['title', 'label'],
+        props: { title: 'string', label: 'string', hibernated: 'boolean', highlighted: 'boolean',
+            collapsed: 'boolean', incognito: 'boolean', type: 'string', createdOn: 'number', domainGroups: 'object',
+            geometry: 'object' }
+    },
+    folder: {
+        treeKind: 'pageTree',
+        idPrefix: 'f',
+        required: ['label'],
+        props: { label: 'string', highlighted: 'boolean', collapsed: 'boolean', createdOn: 'number',
+            domainGroups: 'object', snoozeFolder: 'boolean' }
+    },
+    header: {
+        treeKind: 'pageTree',
+        idPrefix: 'h',
+        required: [],
+        props: { label: 'string', collapsed: 'boolean', collecting: 'boolean', createdOn: 'number' }
+    },
+    ghost: {
+        treeKind: 'ghostTree',
+        idPrefix: '',
+        required: ['ghostType'],
+        props: { ghostType: 'string', alive: 'boolean' }
+    }
+};
+
+
+///////////////////////////////////////////////////////////
+// Saving and loading
+///////////////////////////////////////////////////////////
+
+// Returns data in the form it should be saved to storage, stamped with the current schema version
+function wrapStoredData(data) {
+    return { schemaVersion: config.STORAGE_SCHEMA_VERSION, data: data };
+}
+
+async function saveVersionedData(key, data) {
+    await settings.saveData(key, wrapStoredData(data));
+}
+
+// Load the data stored under key, which must be versioned; see getVersionedStorageKind(). It is upgraded to the
+// current schema version and nodes which can't be upgraded are quarantined. When anything changed the
+// upgraded data is written back to storage.
+async function loadVersionedData(key, defaultValue) {
+    var stored = await settings.loadData(key);
+    if (stored === undefined) {
+        return defaultValue;
+    }
+
+    var fromVersion = getStoredSchemaVersion(stored);
+    var result = upgradeStoredData(key, getStoredDataContent(stored), fromVersion);
+
+    if (result.quarantined.length > 0) {
+        console.error('Quarantined ' + result.quarantined.length + ' stored node(s) of ' + key + ' which failed migration or validation');
+        await quarantineStoredData(result.quarantined);
+    }
+
+    if (fromVersion > config.STORAGE_SCHEMA_VERSION) {
+        // saved by a newer Sidewise; don't stamp it with our older version
+        log('Stored ' + key + ' has newer schema version ' + fromVersion + ', loading as is');
+        return result.data === undefined ? defaultValue : result.data;
+    }
+
+    if (fromVersion < config.STORAGE_SCHEMA_VERSION || result.quarantined.length > 0) {
+        log('Upgraded stored ' + key + ' from schema version ' + fromVersion + ' to ' + config.STORAGE_SCHEMA_VERSION);
+        if (result.data !== undefined) {
+            await saveVersionedData(key, result.data);
+        }
+        else {
+            await settings.removeData(key);
+        }
+    }
+
+    return result.data === undefined ? defaultValue : result.data;
+}
+
+// Returns the schema version of stored data; 0 when the data predates versioning
+function getStoredSchemaVersion(stored) {
+    if (stored && typeof(stored) == 'object' && !Array.isArray(stored) && typeof(stored.schemaVersion) == 'number') {
+        return stored.schemaVersion;
+    }
+    return 0;
+}
+
+// Returns the kind of versioned data stored under key, or undefined if key does not hold versioned data
+function getVersionedStorageKind(key) {
+    if (VERSIONED_STORAGE_KEYS[key]) {
+        return VERSIONED_STORAGE_KEYS[key];
+    }
+    var match = firstElem(VERSIONED_STORAGE_KEY_PATTERNS, function(e) { return e.pattern.test(key); });
+    return match ? match.kind : undefined;
+}
+
+// Returns stored data without its schema version stamp
+function getStoredDataContent(stored) {
+    return getStoredSchemaVersion(stored) > 0 ? stored.data : stored;
+}
+
+// Append entries of the form { key, fromVersion, reason, quarantinedAt, node|data } to the quarantine
+async function quarantineStoredData(entries) {
+    var quarantine = await settings.loadData(config.STORAGE_QUARANTINE_KEY, []);
+    quarantine = quarantine.concat(entries).slice(-config.STORAGE_QUARANTINE_MAX_ENTRIES);
+    await settings.saveData(config.STORAGE_QUARANTINE_KEY, quarantine);
+}
+
+
+///////////////////////////////////////////////////////////
+// Migration
+///////////////////////////////////////////////////////////
+
+// Run the migration steps which apply to key's data at fromVersion. Returns { data, quarantined }
+// where data is undefined when the data as a whole had to be quarantined.
+function upgradeStoredData(key, data, fromVersion) {
+    var kind = getVersionedStorageKind(key);
+    if (!kind) {
+        throw new Error('Not a versioned storage key: ' + key);
+    }
+
+    var steps = STORAGE_MIGRATIONS.filter(function(step) {
+        return step.version > fromVersion && step.kinds.indexOf(kind) > -1;
+    });
+
+    if (kind == 'pageTree' || kind == 'ghostTree') {
+        return upgradeStoredTree(key, kind, data, fromVersion, steps);
+    }
+
+    try {
+        steps.forEach(function(step) { data = step.migrate(data, key); });
+        return { data: data, quarantined: [] };
+    }
+    catch (ex) {
+        return { data: undefined, quarantined: [getQuarantineEntry(key, fromVersion, ex.message, { data: data })] };
+    }
+}
+
+// Upgrade and validate each node of a stored tree. A node failing either is removed from the
+// tree and quarantined along with its descendants.
+function upgradeStoredTree(key, kind, nodes, fromVersion, steps) {
+    var quarantined = [];
+    var seenIds = {};
+
+    if (!Array.isArray(nodes)) {
+        quarantined.push(getQuarantineEntry(key, fromVersion, 'Stored tree is not an array', { data: nodes }));
+        return { data: undefined, quarantined: quarantined };
+    }
+
+    var _upgrade = function(siblings) {
+        return siblings.filter(function(node) {
+            var error;
+            try {
+                steps.forEach(function(step) { step.migrateNode(node, key); });
+                error = getStoredNodeShapeError(node, kind, seenIds);
+            }
+            catch (ex) {
+                error = ex.message;
+            }
+
+            if (error) {
+                quarantined.push(getQuarantineEntry(key, fromVersion, error, { node: node }));
+                return false;
+            }
+
+            seenIds[node.id] = true;
+            node.children = _upgrade(node.children);
+            return true;
+        });
+    };
+
+    return { data: _upgrade(nodes), quarantined: quarantined };
+}
+
+function getQuarantineEntry(key, fromVersion, reason, content) {
+    var entry = { key: key, fromVersion: fromVersion, reason: reason, quarantinedAt: Date.now() };
+    for (var k in content) {
+        entry[k] = content[k];
+    }
+    return entry;
+}
+
+
+///////////////////////////////////////////////////////////
+// Validation
+///////////////////////////////////////////////////////////
+
+// Returns a description of what is wrong with the shape of stored node, or undefined if nothing is.
+// seenIds holds the ids of nodes already accepted in the same tree.
+function getStoredNodeShapeError(node, kind, seenIds) {
+    if (!node || typeof(node) != 'object' || Array.isArray(node)) {
+        return 'Node is not an object';
+    }
+
+    var shape = STORED_NODE_SHAPES[node.elemType];
+    if (!shape || shape.treeKind != kind) {
+        return 'Unexpected elemType ' + node.elemType;
+    }
+
+    if (typeof(node.id) != 'string' || node.id.indexOf(shape.idPrefix) != 0 || node.id.length <= shape.idPrefix.length) {
+        return 'Bad id ' + node.id + ' for ' + node.elemType + ' node';
+    }
+
+    if (seenIds[node.id]) {
+        return 'Duplicate id ' + node.id;
+    }
+
+    if (!Array.isArray(node.children)) {
+        return 'Children of ' + node.id + ' is not an array';
+    }
+
+    for (var i = 0; i < shape.required.length; i++) {
+        if (node[shape.required[i]] === undefined) {
+            return 'Missing ' + shape.required[i] + ' on ' + node.id;
+        }
+    }
+
+    for (var prop in shape.props) {
+        var value = node[prop];
+        if (value !== undefined && value !== null && typeof(value) != shape.props[prop]) {
+            return 'Expected ' + prop + ' of ' + node.id + ' to be a ' + shape.props[prop] + ', got ' + typeof(value);
+        }
+    }
+
+    return undefined;
+}
@@ -0,0 +1,166 @@
+"use strict";
+
+// ========================================================
+// Sidebar themes and user CSS.
+//
+// A theme is a set of values for the CSS custom properties
+// in THEME_PROPERTIES, which the sidebar's stylesheets use
+// for their colors. The built-in themes are defined in
+// css/common/theme.css and chosen by the data-theme
+// attribute of each document's root element; a custom
+// theme is a built-in one with some of its properties
+// overridden. The user's own CSS goes in after all the
+// stylesheets of the sidebar and every pane.
+// ========================================================
+
+///////////////////////////////////////////////////////////
+// Constants
+///////////////////////////////////////////////////////////
+
+// Version of the JSON written by exportTheme()
+var THEME_EXPORT_VERSION = 1;
+
+// Themes defined in css/common/theme.css
+var BUILTIN_THEMES = ['light', 'dark', 'highContrast'];
+
+// The custom properties a theme gives values to
+var THEME_PROPERTIES = [
+    '--sw-background',
+    '--sw-text',
+    '--sw-text-muted',
+    '--sw-border',
+    '--sw-tree-line',
+    '--sw-focus-outline',
+    '--sw-header-background',
+    '--sw-header-background-end',
+    '--sw-row-hover-background',
+    '--sw-row-hover-border',
+    '--sw-row-focused-background',
+    '--sw-row-focused-border',
+    '--sw-window-row-background',
+    '--sw-window-row-hover-background',
+    '--sw-window-row-hibernated-background',
+    '--sw-hibernated-text',
+    '--sw-hibernated-background',
+    '--sw-unread-text',
+    '--sw-highlight-background',
+    '--sw-filter-status-background',
+    '--sw-tooltip-background',
+    '--sw-tooltip-background-end',
+    '--sw-menu-background'
+];
+
+// id of the <style> element holding the user CSS in each document
+var USER_CSS_ELEMENT_ID = 'sidewiseUserCss';
+
+
+///////////////////////////////////////////////////////////
+// Applying
+///////////////////////////////////////////////////////////
+
+// Apply the theme and user CSS chosen in settings to doc, the sidebar's or a sidebar pane's document.
+// While the theme is 'auto', doc switches between light and dark as the OS's preference changes.
+function applyTheme(doc) {
+    var win = doc.defaultView;
+
+    if (!win.themeColorSchemeQuery) {
+        win.themeColorSchemeQuery = win.matchMedia('(prefers-color-scheme: dark)');
+        win.themeColorSchemeQuery.addListener(function() { applyTheme(doc); });
+    }
+
+    applyThemeProperties(doc);
+
+    var style = doc.getElementById(USER_CSS_ELEMENT_ID);
+    if (!style) {
+        style = doc.createElement('style');
+        style.id = USER_CSS_ELEMENT_ID;
+        doc.head.appendChild(style);
+    }
+    style.textContent = settings.get('userCss') || '';
+}
+
+// Set the data-theme attribute and custom theme properties of doc's root element
+function applyThemeProperties(doc) {
+    var root = doc.documentElement;
+    var theme = settings.get('theme');
+    var custom = settings.get('customTheme');
+    var prefersDark = doc.defaultView.matchMedia('(prefers-color-scheme: dark)').matches;
+
+    root.setAttribute('data-theme', getBaseTheme(theme, custom, prefersDark));
+
+    THEME_PROPERTIES.forEach(function(e) { root.style.removeProperty(e); });
+    if (theme == 'custom' && custom) {
+        for (var property in custom.properties) {
+            root.style.setProperty(property, custom.properties[property]);
+        }
+    }
+}
+
+// Returns which of BUILTIN_THEMES the theme setting theme stands for
+function getBaseTheme(theme, customTheme, prefersDark) {
+    if (theme == 'auto') {
+        return prefersDark ? 'dark' : 'light';
+    }
+    if (theme == 'custom') {
+        return customTheme && BUILTIN_THEMES.indexOf(customTheme.base) > -1 ? customTheme.base : 'light';
+    }
+    return BUILTIN_THEMES.indexOf(theme) > -1 ? theme : 'light';
+}
+
+
+///////////////////////////////////////////////////////////
+// Export and import
+///////////////////////////////////////////////////////////
+
+// Returns the theme in use as JSON, holding the values of all its properties as applied to doc and the
+// user CSS. doc must have css/common/theme.css loaded; its root element is given the theme's properties.
+function exportTheme(doc) {
+    var theme = settings.get('theme');
+    var custom = settings.get('customTheme');
+    applyThemeProperties(doc);
+    var computed = doc.defaultView.getComputedStyle(doc.documentElement);
+
+    var properties = {};
+    THEME_PROPERTIES.forEach(function(e) {
+        properties[e] = computed.getPropertyValue(e).trim();
+    });
+
+    return JSON.stringify({
+        sidewiseTheme: THEME_EXPORT_VERSION,
+        name: theme == 'custom' && custom ? custom.name : getMessage('option_theme_' + theme),
+        base: doc.documentElement.getAttribute('data-theme'),
+        properties: properties,
+        userCss: settings.get('userCss') || ''
+    }, null, 2);
+}
+
+// Make the theme in text, as written by exportTheme(), the custom theme and switch to it; its user CSS
+// replaces the user's. Throws if text can't be read.
+function importTheme(text) {
+    var data = JSON.parse(text);
+    if (!data || data.sidewiseTheme === undefined || !data.properties || typeof data.properties != 'object') {
+        throw new Error(getMessage('theme_importNotTheme'));
+    }
+    if (data.sidewiseTheme > THEME_EXPORT_VERSION) {
+        throw new Error(getMessage('theme_importTooNew'));
+    }
+
+    // only take properties we know, with values that can't close off the declaration
+    var properties = {};
+    THEME_PROPERTIES.forEach(function(e) {
+        var value = data.properties[e];
+        if (typeof value == 'string' && value && !value.match(/[;{}]/)) {
+            properties[e] = value;
+        }
+    });
+
+    settings.set('customTheme', {
+        name: data.name || getMessage('theme_defaultName'),
+        base: BUILTIN_THEMES.indexOf(data.base) > -1 ? data.base : 'light',
+        properties: properties
+    });
+    settings.set('theme', 'custom');
+    if (typeof data.userCss == 'string') {
+        settings.set('userCss', data.userCss);
+    }
+}
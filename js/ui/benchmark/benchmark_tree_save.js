@@ -0,0 +1,129 @@
+// Benchmark fixture comparing the cost of saving a large page tree in full, as savePageTree()
+// does, against saving just the changed nodes with a TreeChangeLog. Open benchmark_tree_save.html
+// from the extension's directory to run it.
+
+var BENCHMARK_STORAGE_KEY = 'benchmarkPageTree';
+var BENCHMARK_TREE_SIZES = [1000, 5000];
+var BENCHMARK_PAGES_PER_WINDOW = 50;
+var BENCHMARK_CHANGED_NODE_COUNTS = [1, 10, 100];
+var BENCHMARK_RUNS = 5;
+
+var bg;
+
+$(document).ready(function() {
+    bg = chrome.extension.getBackgroundPage();
+    $('#run').click(function() {
+        $('#run').attr('disabled', true);
+        runBenchmark().then(function() {
+            $('#run').attr('disabled', false);
+        });
+    });
+});
+
+async function runBenchmark() {
+    for (var i = 0; i < BENCHMARK_TREE_SIZES.length; i++) {
+        var size = BENCHMARK_TREE_SIZES[i];
+        setStatus('Building tree of ' + size + ' nodes');
+        var benchTree = buildBenchmarkTree(size);
+        var pages = benchTree.filter(function(e) { return e.elemType == 'page'; });
+
+        // before: every save writes out the whole tree
+        setStatus('Timing full saves of ' + size + ' nodes');
+        var fullMs = await timeRuns(function() {
+            return bg.savePageTree(benchTree, BENCHMARK_STORAGE_KEY, true, true);
+        });
+        addResult(size, 'full (savePageTree)', 'any', fullMs,
+            JSON.stringify(bg.wrapStoredData(bg.clone(benchTree.tree, ['parent', 'root', 'hostTree', 'chromeId']))).length);
+
+        // after: saves append the changed nodes to the change log
+        benchTree.changeLog = new bg.TreeChangeLog(benchTree, BENCHMARK_STORAGE_KEY);
+        setStatus('Timing checkpoints of ' + size + ' nodes');
+        var checkpointMs = await timeRuns(function() {
+            return benchTree.changeLog.save(true);
+        });
+        addResult(size, 'checkpoint', 'any', checkpointMs, '');
+
+        for (var j = 0; j < BENCHMARK_CHANGED_NODE_COUNTS.length; j++) {
+            var changed = BENCHMARK_CHANGED_NODE_COUNTS[j];
+            setStatus('Timing change log saves of ' + changed + ' changed nodes of ' + size);
+            var bytes = 0;
+            var logMs = await timeRuns(async function() {
+                modifyPages(benchTree, pages, changed);
+                var entryKey = benchTree.changeLog.getLogEntryKey(benchTree.changeLog.lastSeq + 1);
+                await benchTree.changeLog.save();
+                bytes = JSON.stringify(await bg.settings.loadData(entryKey)).length;
+            });
+            addResult(size, 'change log entry', changed, logMs, bytes);
+
+            // don't let the entries pile up into an automatic checkpoint mid-measurement
+            await benchTree.changeLog.save(true);
+        }
+
+        await removeBenchmarkData(benchTree.changeLog);
+    }
+    setStatus('Done');
+}
+
+// Returns a tree of hibernated windows holding nodeCount nodes in all, with every other page nested under the one before
+function buildBenchmarkTree(nodeCount) {
+    var benchTree = new bg.UiDataTree(function() {});
+    var winNode;
+    var lastPage;
+
+    for (var i = 0; i < nodeCount; i++) {
+        if (i % (BENCHMARK_PAGES_PER_WINDOW + 1) == 0) {
+            winNode = new bg.WindowNode();
+            benchTree.addNode(winNode);
+            continue;
+        }
+
+        var page = new bg.PageNode({ url: 'https://example.com/' + i + '/some/longer/path?query=' + i, title: 'Benchmark page ' + i });
+        page.hibernated = true;
+        page.chromeId = null;
+        page.status = 'complete';
+        benchTree.addNode(page, i % 2 == 0 && lastPage ? lastPage : winNode);
+        lastPage = page;
+    }
+    return benchTree;
+}
+
+// Retitle count of the given pages, picked at random
+function modifyPages(benchTree, pages, count) {
+    for (var i = 0; i < count; i++) {
+        var page = pages[Math.floor(Math.random() * pages.length)];
+        benchTree.updateNode(page, { title: 'Benchmark page retitled ' + Date.now() + ' ' + i });
+    }
+}
+
+// Returns the average ms the async fn takes over BENCHMARK_RUNS runs
+async function timeRuns(fn) {
+    var total = 0;
+    for (var i = 0; i < BENCHMARK_RUNS; i++) {
+        var start = performance.now();
+        await fn();
+        total += performance.now() - start;
+    }
+    return total / BENCHMARK_RUNS;
+}
+
+async function removeBenchmarkData(changeLog) {
+    var keys = [BENCHMARK_STORAGE_KEY, BENCHMARK_STORAGE_KEY + 'Checkpoint'];
+    for (var seq = 1; seq <= changeLog.lastSeq; seq++) {
+        keys.push(changeLog.getLogEntryKey(seq));
+    }
+    await bg.settings.removeData(keys);
+}
+
+function addResult(size, kind, changed, ms, bytes) {
+    $('#results').append($('<tr>').append(
+        $('<td>').text(size),
+        $('<td>').text(kind),
+        $('<td>').text(changed),
+        $('<td>').text(ms.toFixed(1)),
+        $('<td>').text(bytes)
+    ));
+}
+
+function setStatus(text) {
+    $('#status').text(text);
+}
@@ -0,0 +1,161 @@
+///////////////////////////////////////////////////////////
+// FancyTree.aria.js
+// WAI-ARIA tree semantics for screen readers
+///////////////////////////////////////////////////////////
+
+///////////////////////////////////////////////////////////
+// Constants
+///////////////////////////////////////////////////////////
+
+// Wait this long after rows are added, moved or changed before updating their aria-level/-setsize/-posinset
+// and aria-label
+var ARIA_POSITION_UPDATE_DELAY_MS = 50;
+
+
+///////////////////////////////////////////////////////////
+// Initialization
+///////////////////////////////////////////////////////////
+
+// The root .ftChildren is the tree and takes keyboard focus; the row under the keyboard cursor is its
+// aria-activedescendant. Rows are treeitems, given role=treeitem and their .ftChildren role=group by
+// buildRowTypeElem().
+FancyTree.prototype.initAria = function(label) {
+    this.ariaPositionQueue = [];
+    this.ariaLabelQueue = {};
+    this.ariaPositionTimer = null;
+
+    this.getChildrenContainer(this.root).attr({
+        role: 'tree',
+        tabindex: 0,
+        'aria-multiselectable': true,
+        'aria-label': label || ''
+    });
+
+    this.liveRegion = $('<div/>', { class: 'ftLiveRegion', role: 'status', 'aria-live': 'polite' });
+    this.root.append(this.liveRegion);
+};
+
+
+///////////////////////////////////////////////////////////
+// Row state
+///////////////////////////////////////////////////////////
+
+// Update the row's aria-expanded, and queue an update of its aria-label. The label comes from the rowType's
+// onFormatAriaLabel if it has one; without an aria-label a treeitem would be named after all the text of
+// its descendants.
+FancyTree.prototype.updateRowAria = function($row) {
+    if ($row.is(this.root)) {
+        return;
+    }
+
+    if (this.getChildrenContainer($row).children().length == 0) {
+        $row.removeAttr('aria-expanded');
+    }
+    else {
+        $row.attr('aria-expanded', !$row.hasClass('ftCollapsed'));
+    }
+
+    // labels like a window row's count the rows below, so adding many rows labels the row just once
+    var self = this;
+    $row.each(function(i, e) {
+        self.ariaLabelQueue[e.id] = e;
+    });
+    this.startAriaUpdateTimer();
+};
+
+FancyTree.prototype.processAriaLabelQueue = function() {
+    var queue = this.ariaLabelQueue;
+    this.ariaLabelQueue = {};
+
+    for (var id in queue) {
+        var $row = $(queue[id]);
+        var rowTypeParams = this.getRowTypeParams($row);
+        var label;
+        if (rowTypeParams && rowTypeParams.onFormatAriaLabel) {
+            label = rowTypeParams.onFormatAriaLabel.call(this, $row);
+        }
+        else {
+            label = [$row.attr('label'), $row.attr('text')].filter(function(e) { return e; }).join(': ');
+        }
+        $row.attr('aria-label', label);
+    }
+};
+
+// Point the tree's aria-activedescendant at the keyboard cursor row, or the focused row if there is none
+FancyTree.prototype.updateAriaActiveDescendant = function() {
+    var $tree = this.getChildrenContainer(this.root);
+    var $row = this.getCursorRow();
+    if ($row) {
+        $tree.attr('aria-activedescendant', $row.attr('id'));
+    }
+    else {
+        $tree.removeAttr('aria-activedescendant');
+    }
+};
+
+
+///////////////////////////////////////////////////////////
+// Row positions
+///////////////////////////////////////////////////////////
+
+// Queue an update of aria-posinset and aria-setsize of the rows in the .ftChildren $container, and of
+// aria-level of them and their descendants. Done after a short delay so that adding many rows at
+// once updates each container just once.
+FancyTree.prototype.queueAriaPositionUpdate = function($container) {
+    var self = this;
+    $container.each(function(i, e) {
+        if (self.ariaPositionQueue.indexOf(e) == -1) {
+            self.ariaPositionQueue.push(e);
+        }
+    });
+
+    this.startAriaUpdateTimer();
+};
+
+// Process the queued position and label updates in ARIA_POSITION_UPDATE_DELAY_MS, if not already due to
+FancyTree.prototype.startAriaUpdateTimer = function() {
+    var self = this;
+    if (!this.ariaPositionTimer) {
+        this.ariaPositionTimer = setTimeout(function() {
+            self.ariaPositionTimer = null;
+            self.processAriaPositionQueue();
+            self.processAriaLabelQueue();
+        }, ARIA_POSITION_UPDATE_DELAY_MS);
+    }
+};
+
+FancyTree.prototype.processAriaPositionQueue = function() {
+    var queue = this.ariaPositionQueue;
+    this.ariaPositionQueue = [];
+
+    queue.forEach(function(container) {
+        if (!document.contains(container)) {
+            return;
+        }
+        var $container = $(container);
+        var level = $container.parents('.ftRowNode').length + 1;
+        var $rows = $container.children('.ftRowNode');
+
+        $rows.each(function(i, e) {
+            e.setAttribute('aria-posinset', i + 1);
+            e.setAttribute('aria-setsize', $rows.length);
+        });
+
+        $container.find('.ftRowNode').each(function(i, e) {
+            e.setAttribute('aria-level', level + $(e).parentsUntil(container, '.ftRowNode').length);
+        });
+    });
+};
+
+
+///////////////////////////////////////////////////////////
+// Announcements
+///////////////////////////////////////////////////////////
+
+// Have screen readers announce text, e.g. for a change the user didn't make from the tree
+FancyTree.prototype.announce = function(text) {
+    var $region = this.liveRegion;
+    // clear it first so the same text twice in a row is announced both times
+    $region.text('');
+    setTimeout(function() { $region.text(text); }, 0);
+};
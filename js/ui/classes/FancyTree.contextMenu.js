@@ -42,6 +42,13 @@ FancyTree.prototype.onContextMenuItemClick = function(evt) {
     var callback = contextMenuItem.callback;
     var $rows = contextMenuItem.$rows;
 
+    if (contextMenuItem.items) {
+        // show the item's submenu in place of the menu
+        var offset = $('#ftContextMenu').offset();
+        treeObj.showContextMenuItems(contextMenuItem.items, offset.left, offset.top);
+        return false;
+    }
+
     treeObj.disableContextMenu();
     treeObj.sortMultiSelection();
 
@@ -76,6 +83,15 @@ FancyTree.prototype.enableContextMenu = function(x, y)
         return;
     }
 
+    this.showContextMenuItems(items, x, y);
+};
+
+// show a context menu of items at x, y, replacing any shown menu. An item with an items array of its own
+// opens that as a submenu when clicked, instead of having a callback.
+FancyTree.prototype.showContextMenuItems = function(items, x, y)
+{
+    $('#ftContextMenu').remove();
+
     var menu = $('<ul/>', { id: 'ftContextMenu', class: 'ftContextMenu' });
 
     this.contextMenuItems = {};
@@ -114,7 +130,7 @@ FancyTree.prototype.enableContextMenu = function(x, y)
     menu.css({ top: y, left: x });
     menu.show();
     this.contextMenuShown = true;
-},
+};
 
 FancyTree.prototype.disableContextMenu = function() {
     // hide context menu
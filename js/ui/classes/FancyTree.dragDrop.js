@@ -18,6 +18,11 @@ var DRAG_TO_BELOW_SENSITIVITY_RATIO = 0.70;
 FancyTree.prototype.setDraggableDroppable = function(row, rowTypeParams) {
     var itemRow = this.getItemRow(row);
 
+    if (row.hasClass('ftUnmaterialized')) {
+        // set up once materialized
+        return;
+    }
+
     if (!rowTypeParams) {
         rowTypeParams = this.getRowTypeParams(row);
     }
@@ -110,6 +115,10 @@ FancyTree.prototype.resetDragDropState = function(onComplete) {
     this.draggingJustCancelled = true;
     $('.ui-draggable-dragging').trigger('mouseup');
 
+    if (this.virtualized) {
+        this.finishRowsMaterializedWhileDragging();
+    }
+
     // $('.ftBottomPadding').hide();
 
     if (onComplete) {
@@ -177,7 +186,7 @@ FancyTree.prototype.draggableStart = function(evt) {
 
         if (evt.shiftKey) {
             // ALL children should be autoselected
-            var $children = self.multiSelection.find('.ftRowNode');
+            var $children = self.getDescendantRows(self.multiSelection);
             $children.each(function(i, e) {
                 self.toggleMultiSelectionSingle.call(self, $(e), true);
             });
@@ -185,13 +194,13 @@ FancyTree.prototype.draggableStart = function(evt) {
         else if (rowTypeParams.autoselectChildrenOnDrag) {
             // ensure all children of collapsed nodes are also selected
             var $collapsedRows = self.multiSelection.filter(function(i, e) { return $(e).hasClass('ftCollapsed'); });
-            var $collapsedUnselectedChildren = $collapsedRows.find('.ftRowNode:not(.ftSelected)');
+            var $collapsedUnselectedChildren = self.getDescendantRows($collapsedRows).not('.ftSelected');
             $collapsedUnselectedChildren.each(function(i, e) {
                 self.toggleMultiSelectionSingle.call(self, $(e), true);
             });
 
             // count up collapsed+selected children (hidden rows)
-            var $collapsedSelectedChildren = $collapsedRows.find('.ftRowNode.ftSelected');
+            var $collapsedSelectedChildren = self.getDescendantRows($collapsedRows).filter('.ftSelected');
             hiddenRowCount = $collapsedSelectedChildren.length;
         }
     }
@@ -224,6 +233,7 @@ FancyTree.prototype.onItemRowMouseMove = function(evt) {
     else {
         var overRow = treeObj.getParentRowNode(target);
     }
+    treeObj.materializeRow(overRow);
 
     var overItemRow = treeObj.getItemRow(overRow);
     var overItemRowContent = treeObj.getItemRowContent(overRow);
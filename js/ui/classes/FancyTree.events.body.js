@@ -159,6 +159,10 @@ FancyTree.prototype.onDocumentKeyDown = function(evt) {
         return false;
     }
 
+    if (treeObj.handleKeymapKeyDown(evt)) {
+        return false;
+    }
+
     if (evt.ctrlKey || evt.altKey) {
         return true;
     }
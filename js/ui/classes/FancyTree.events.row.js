@@ -36,6 +36,7 @@ FancyTree.prototype.onMouseLeaveButtons = function(evt) {
 FancyTree.prototype.onItemRowMouseEnter = function(evt) {
     var treeObj = evt.data.treeObj;
     var row = treeObj.getParentRowNode($(this));
+    treeObj.materializeRow(row);
     var rowTypeParams = treeObj.getRowTypeParams(row);
     var buttons = treeObj.getButtons(row);
 
@@ -50,6 +50,9 @@ FancyTree.prototype.rowMouseUpHandler = function(evt) {
 
     // left click
     if (evt.which == 1) {
+        // keyboard navigation picks up again from the focused row
+        treeObj.clearCursorRow();
+
         if (evt.ctrlKey || evt.shiftKey) {
             if (treeObj.contextMenuShown) {
                 treeObj.disableContextMenu.call(treeObj);
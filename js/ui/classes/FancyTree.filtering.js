@@ -38,6 +38,7 @@ FancyTree.prototype.applyFilter = function(filter) {
 
     // reset which rows are filtered
     this.root.find('.ftFilteredIn').removeClass('ftFilteredIn');
+    this.filterHighlightArgs = null;
 
     if (filter.length == 0)
     {
@@ -48,39 +49,23 @@ FancyTree.prototype.applyFilter = function(filter) {
 
         // hide filter status message
         this.filterStatusElem.hide();
+
+        if (this.virtualized) {
+            // bring back the branches parked for not matching
+            this.filterOpenRowIds = null;
+            this.showRows(this.root.children('.ftChildren').children('.ftRowNode'));
+        }
     }
     else
     {
         this.filtering = true;
 
-        // filter out non matching entries
-        var advancedFilter = this.useAdvancedFiltering;
-        var escapedFilter = filter.replace('"', '\\"'); // escape embedded double quotes
-        if (advancedFilter) {
-            filter = filter.replace(/ /g, '');
-            var regexFilter = filter.split('').join('.*').replace('"', '\\"');
-            var selector = '.ftItemText:regexicontains("' + regexFilter + '")';
+        var matches;
+        if (this.virtualized) {
+            matches = this.getVirtualFilterMatches(filter);
         }
         else {
-            var words = filter.split(' ');
-            var regexFilter = words.join('.*').replace('"', '\\"');
-            var selector = '.ftItemText:regexicontains("' + regexFilter + '")';
-        }
-
-        var matches = this.root.find(selector).closest('.ftRowNode');
-
-        // highlight matched letters in row's visible text
-        this.highlightMatches.call(this, matches, filter, words, advancedFilter);
-
-        // filter by additional per-rowType parameter filters
-        for (var rowType in this.rowTypes) {
-            var extraParams = this.rowTypes[rowType].filterByExtraParams;
-            if (extraParams && extraParams.length > 0) {
-                for (var i in extraParams) {
-                    var selector = '.ftRowNode[' + extraParams[i] + '*="' + escapedFilter + '"]';
-                    matches = matches.add(this.root.find(selector));
-                }
-            }
+            matches = this.getFilterQueryMatches(filter) || this.getFilterTextMatches(filter);
         }
 
         // apply ftFilteredIn css class to matched rows
@@ -95,6 +80,67 @@ FancyTree.prototype.applyFilter = function(filter) {
     }
 };
 
+// Returns the rows matching filter as a query per this.filterQueryHandler, or undefined
+// when there is no handler or it does not treat filter as a query
+FancyTree.prototype.getFilterQueryMatches = function(filter) {
+    if (!this.filterQueryHandler) {
+        return undefined;
+    }
+
+    var ids = this.filterQueryHandler(filter);
+    if (!ids) {
+        return undefined;
+    }
+
+    var elems = ids.map(function(id) { return document.getElementById(id); })
+        .filter(function(e) { return e; });
+    return $(elems);
+};
+
+// Returns the rows whose visible text or per-rowType extra params match filter, highlighting the matched text
+FancyTree.prototype.getFilterTextMatches = function(filter) {
+    // filter out non matching entries
+    var advancedFilter = this.useAdvancedFiltering;
+    var escapedFilter = filter.replace('"', '\\"'); // escape embedded double quotes
+    if (advancedFilter) {
+        filter = filter.replace(/ /g, '');
+        var regexFilter = filter.split('').join('.*').replace('"', '\\"');
+        var selector = '.ftItemText:regexicontains("' + regexFilter + '")';
+    }
+    else {
+        var words = filter.split(' ');
+        var regexFilter = words.join('.*').replace('"', '\\"');
+        var selector = '.ftItemText:regexicontains("' + regexFilter + '")';
+    }
+
+    var matches = this.root.find(selector).closest('.ftRowNode');
+
+    // highlight matched letters in row's visible text
+    this.highlightMatches.call(this, matches, filter, words, advancedFilter);
+
+    // filter by additional per-rowType parameter filters
+    for (var rowType in this.rowTypes) {
+        var extraParams = this.rowTypes[rowType].filterByExtraParams;
+        if (extraParams && extraParams.length > 0) {
+            for (var i in extraParams) {
+                var selector = '.ftRowNode[' + extraParams[i] + '*="' + escapedFilter + '"]';
+                matches = matches.add(this.root.find(selector));
+            }
+        }
+    }
+
+    // filter by text the rows don't show, per this.filterExtraTextHandler
+    if (this.filterExtraTextHandler) {
+        var elems = this.filterExtraTextHandler(filter)
+            .map(function(id) { return document.getElementById(id); })
+            .filter(function(e) { return e; });
+        matches = matches.add(elems);
+    }
+
+    return matches;
+};
+
+
 ///////////////////////////////////////////////////////////
 // Filter substring/subchar highlighting
 ///////////////////////////////////////////////////////////
@@ -36,6 +36,17 @@
   *          filterPlaceholderText: String,      // text to show in filter box when otherwise empty
   *          filterActiveText: String,           // text to show below filter box when filtering is active
   *          useAdvancedFiltering: Boolean,      // if true, use nonadjacent char matching when filtering
+  *          filterQueryHandler: Function(filter),
+  *                                              // if specified, called with the filter box's text; return an array of
+  *                                              // the ids of the rows matching it to filter by those, or undefined to
+  *                                              // filter by the rows' visible text as usual
+  *          filterExtraTextHandler: Function(filter),
+  *                                              // if specified, called with the filter box's text when filtering by
+  *                                              // visible text; return an array of the ids of any further rows to match
+  *          filterModelHandler: Function(matches),
+  *                                              // in the virtualized mode, called instead of filtering by visible text
+  *                                              // with a function(label, text, extraParams) telling whether a row with
+  *                                              // that data matches; return an array of the ids of the rows it matches
   *          clickOnHoverDelayMs: Integer,       // if specified as a value of 0 or greater, hovering a row for the specified ms
   *                                              // will act like a click if there is no active multiselection, context menu,
   *                                              // shift/ctrl are not being held down, and the row type has allowClickOnHover set
@@ -45,6 +56,16 @@
   *                                              // 1 row when there is no multiselection and ctrl/shift are not down (default: false)
   *          permitTooltipHandler: Function(),   // if this function returns false, block showing a row tip
   *          tooltipTopOffset: Integer,          // offset row tip from row by this much pixel spacing
+  *          ariaLabel: String,                  // name of the tree for screen readers
+  *          virtualized: Boolean,               // if true, only materialize rows near the visible part of the tree, for
+  *                                              // trees too large to render in full; needs filterModelHandler. See
+  *                                              // FancyTree.virtual.js
+  *          keymap: String,                     // key=action overrides of FANCYTREE_DEFAULT_KEYMAP separated by commas,
+  *                                              // e.g. "Ctrl+Shift+Up=moveUp, Delete=none"; see setKeymap()
+  *          keyActions: {                       // handlers for keymap actions other than FancyTree's own, passed the
+  *            action: Function($rows),          // multiselected rows, or the keyboard cursor row if none are selected,
+  *            ...                               // e.g. { close: function($rows) { ... } }
+  *          },
   *          logger: Function(arguments),        // function to use for doing logging, defaults to console.log()
   *          rowTypes:
   *          {
@@ -72,6 +93,7 @@
   *              onExpanderClick: function(evt), // called when a row's branch expander arrow is clicked
   *              onIconError: Function(evt),     // row icon onerror event handler
   *              onFormatTitle: Function(row, itemTextElement), // called whenever row title might need updating
+  *              onFormatAriaLabel: Function(row), // returns the row's name for screen readers; defaults to label: text
   *              onFormatTooltip: Function(evt), // called to obtain HTML for a row's tip before showing it
   *              onResizeTooltip: Function(evt), // called if a row tip is forcibly resized by FancyTree
   *              filterByExtraParams: [String],  // additional parameter(s) to examine when filtering
@@ -145,6 +167,9 @@ FancyTree.prototype.init = function(treeReplaceElem, filterBoxReplaceElem, optio
     this.root = rootNode;
     this.permitTooltipHandler = options.permitTooltipHandler;
     this.useAdvancedFiltering = options.useAdvancedFiltering;
+    this.filterQueryHandler = options.filterQueryHandler;
+    this.filterExtraTextHandler = options.filterExtraTextHandler;
+    this.filterModelHandler = options.filterModelHandler;
     this.scrollTargetElem = options.scrollTargetElem || $(document.body);
     this.filterBoxShown = options.showFilterBox;
     this.clickOnHoverDelayMs = options.clickOnHoverDelayMs;
@@ -176,6 +201,13 @@ FancyTree.prototype.init = function(treeReplaceElem, filterBoxReplaceElem, optio
     this.contextMenuShown = false;
     this.contextMenuTarget = null;
 
+    this.initAria(options.ariaLabel);
+
+    this.cursorRow = null;
+    this.keyActions = options.keyActions || {};
+    this.keyboardMoving = false;
+    this.setKeymap(options.keymap);
+
     this.onRowsMoved = options.onRowsMoved;
     this.autoSelectChildrenOnDrag = options.autoSelectChildrenOnDrag;
     this.allowDropHandler = options.allowDropHandler;
@@ -192,6 +224,12 @@ FancyTree.prototype.init = function(treeReplaceElem, filterBoxReplaceElem, optio
     this.formatTitleQueue = {};
     this.formatTitleTimer = null;
 
+    this.virtualized = !!options.virtualized && !!options.filterModelHandler && !!window.IntersectionObserver;
+    this.filterHighlightArgs = null;
+    if (this.virtualized) {
+        this.initVirtualRendering();
+    }
+
     // configure tooltip stuff
     this.tooltipTopOffset = options.tooltipTopOffset || 20;
     this.tooltip = null;
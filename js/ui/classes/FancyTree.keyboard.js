@@ -0,0 +1,531 @@
+///////////////////////////////////////////////////////////
+// FancyTree.keyboard.js
+// Keyboard navigation and actions
+///////////////////////////////////////////////////////////
+
+///////////////////////////////////////////////////////////
+// Constants
+///////////////////////////////////////////////////////////
+
+// Keys and the actions they perform unless remapped by the keymap option; see setKeymap().
+// Actions which are not FancyTree's own are performed by the keyActions option's handlers,
+// and do nothing in trees which don't give one.
+var FANCYTREE_DEFAULT_KEYMAP = {
+    'Up': 'cursorUp',
+    'Down': 'cursorDown',
+    'Home': 'cursorFirst',
+    'End': 'cursorLast',
+    'PageUp': 'cursorPageUp',
+    'PageDown': 'cursorPageDown',
+    'Ctrl+Up': 'cursorUpKeepSelection',
+    'Ctrl+Down': 'cursorDownKeepSelection',
+    'Shift+Up': 'selectUp',
+    'Shift+Down': 'selectDown',
+    'Shift+Home': 'selectFirst',
+    'Shift+End': 'selectLast',
+    'Shift+PageUp': 'selectPageUp',
+    'Shift+PageDown': 'selectPageDown',
+    'Ctrl+Space': 'toggleSelect',
+    'Left': 'collapse',
+    'Right': 'expand',
+    'Alt+Up': 'moveUp',
+    'Alt+Down': 'moveDown',
+    'Alt+Left': 'moveOut',
+    'Alt+Right': 'moveIn',
+    'Enter': 'activate',
+    'Space': 'activate',
+    'Alt+H': 'hibernate',
+    'Delete': 'close',
+    'F2': 'setLabel'
+};
+
+// Names of the keys which don't go by their character in keymaps
+var FANCYTREE_KEY_NAMES = {
+    8: 'Backspace',
+    9: 'Tab',
+    13: 'Enter',
+    32: 'Space',
+    33: 'PageUp',
+    34: 'PageDown',
+    35: 'End',
+    36: 'Home',
+    37: 'Left',
+    38: 'Up',
+    39: 'Right',
+    40: 'Down',
+    45: 'Insert',
+    46: 'Delete'
+};
+
+// How the cursor moving actions move the cursor: [direction, mode]; see moveCursor()
+var FANCYTREE_CURSOR_ACTIONS = {
+    cursorUp: ['up', 'move'],
+    cursorDown: ['down', 'move'],
+    cursorFirst: ['first', 'move'],
+    cursorLast: ['last', 'move'],
+    cursorPageUp: ['pageUp', 'move'],
+    cursorPageDown: ['pageDown', 'move'],
+    cursorUpKeepSelection: ['up', 'keep'],
+    cursorDownKeepSelection: ['down', 'keep'],
+    selectUp: ['up', 'select'],
+    selectDown: ['down', 'select'],
+    selectFirst: ['first', 'select'],
+    selectLast: ['last', 'select'],
+    selectPageUp: ['pageUp', 'select'],
+    selectPageDown: ['pageDown', 'select']
+};
+
+
+///////////////////////////////////////////////////////////
+// Keymap
+///////////////////////////////////////////////////////////
+
+/**
+  * Sets the keys the tree responds to: FANCYTREE_DEFAULT_KEYMAP with the given overrides.
+  * @param overrides String of key=action entries separated by commas or spaces, e.g.
+  *                  "Ctrl+Shift+Up=moveUp, Delete=none"; action none unbinds the key.
+  */
+FancyTree.prototype.setKeymap = function(overrides) {
+    var keymap = {};
+    for (var combo in FANCYTREE_DEFAULT_KEYMAP) {
+        keymap[normalizeFancyTreeKeyCombo(combo)] = FANCYTREE_DEFAULT_KEYMAP[combo];
+    }
+
+    var self = this;
+    (overrides || '').split(/[\s,]+/).forEach(function(e) {
+        if (e.length == 0) {
+            return;
+        }
+        var m = e.match(/^([^=]+)=(\w+)$/);
+        if (!m) {
+            self.log('Skipping malformed keymap entry', e);
+            return;
+        }
+        var combo = normalizeFancyTreeKeyCombo(m[1]);
+        if (m[2] == 'none') {
+            delete keymap[combo];
+            return;
+        }
+        keymap[combo] = m[2];
+    });
+
+    this.keymap = keymap;
+};
+
+// Perform the action the keymap binds to evt's keys, if any. Returns true if an action was performed.
+FancyTree.prototype.handleKeymapKeyDown = function(evt) {
+    if ($(evt.target).is('input, textarea, select') || this.contextMenuShown || this.dragging) {
+        return false;
+    }
+
+    var combo = getFancyTreeKeyCombo(evt);
+    var action = combo && this.keymap[combo];
+    if (!action) {
+        return false;
+    }
+
+    return this.performKeyAction(action, evt);
+};
+
+// Returns false if action is not one of FancyTree's own actions nor in the keyActions option
+FancyTree.prototype.performKeyAction = function(action, evt) {
+    this.hideTooltip();
+
+    var cursorAction = FANCYTREE_CURSOR_ACTIONS[action];
+    if (cursorAction) {
+        this.moveCursor(cursorAction[0], cursorAction[1]);
+        return true;
+    }
+
+    var $cursor = this.getCursorRow();
+
+    switch (action) {
+        case 'toggleSelect':
+            if ($cursor) {
+                this.toggleMultiSelectionSingle($cursor);
+                this.lastMultiSelectedFromId = null;
+                this.lastMultiSelectedToId = $cursor.attr('id');
+            }
+            return true;
+        case 'collapse':
+            if ($cursor) {
+                this.collapseRowOrCursorToParent($cursor);
+            }
+            return true;
+        case 'expand':
+            if ($cursor) {
+                this.expandRowOrCursorToChild($cursor);
+            }
+            return true;
+        case 'moveUp':
+            this.moveRowsByKey('up');
+            return true;
+        case 'moveDown':
+            this.moveRowsByKey('down');
+            return true;
+        case 'moveOut':
+            this.moveRowsByKey('out');
+            return true;
+        case 'moveIn':
+            this.moveRowsByKey('in');
+            return true;
+        case 'activate':
+            if ($cursor) {
+                this.clearMultiSelection();
+                this.activateRow($cursor, evt);
+            }
+            return true;
+    }
+
+    var handler = this.keyActions[action];
+    if (!handler) {
+        return false;
+    }
+
+    var $rows = this.getKeyActionRows();
+    if ($rows.length > 0) {
+        handler($rows);
+    }
+    return true;
+};
+
+// Returns the rows keyed actions apply to: the multiselection if there is one, else the cursor row
+FancyTree.prototype.getKeyActionRows = function() {
+    if (this.multiSelection.length > 0) {
+        this.sortMultiSelection();
+        return this.multiSelection;
+    }
+    return this.getCursorRow() || $();
+};
+
+
+///////////////////////////////////////////////////////////
+// Cursor row
+///////////////////////////////////////////////////////////
+
+// The cursor row is where keyboard navigation is at; it is separate from the focused row, which
+// follows the active tab. Until the keyboard moves it, the cursor is at the focused row.
+FancyTree.prototype.getCursorRow = function() {
+    if (this.cursorRow && this.cursorRow.closest(this.root).length > 0) {
+        return this.cursorRow;
+    }
+    if (this.focusedRow && this.focusedRow.closest(this.root).length > 0) {
+        return this.focusedRow;
+    }
+    return undefined;
+};
+
+FancyTree.prototype.setCursorRow = function($row) {
+    if (this.cursorRow) {
+        this.cursorRow.removeClass('ftCursor');
+    }
+    this.cursorRow = $row;
+    $row.addClass('ftCursor');
+    this.scrollRowIntoView($row);
+    this.updateAriaActiveDescendant();
+};
+
+FancyTree.prototype.clearCursorRow = function() {
+    if (this.cursorRow) {
+        this.cursorRow.removeClass('ftCursor');
+    }
+    this.cursorRow = null;
+    this.updateAriaActiveDescendant();
+};
+
+// Returns the rows which are not hidden by a collapsed parent or filtering, in display order
+FancyTree.prototype.getVisibleRows = function() {
+    return this.root.find('.ftRowNode').filter(function(i, e) {
+        return $(e).children('.ftItemRow').is(':visible');
+    });
+};
+
+/**
+  * Moves the cursor row.
+  * @param direction One of: up down first last pageUp pageDown
+  * @param mode      'move' clears the multiselection, 'keep' leaves it be, and 'select'
+  *                  extends it from where it was started to the new cursor row
+  */
+FancyTree.prototype.moveCursor = function(direction, mode) {
+    var $rows = this.getVisibleRows();
+    if ($rows.length == 0) {
+        return;
+    }
+
+    var $from = this.getCursorRow();
+    var index = $from ? $rows.index($from) : -1;
+    if (index == -1) {
+        // start out at the top
+        this.moveCursorTo($rows.first(), mode);
+        return;
+    }
+
+    var pageSize = Math.max(1, Math.floor(this.scrollTargetElem.height() / ($from.children('.ftItemRow').height() || 1)) - 1);
+    var last = $rows.length - 1;
+
+    switch (direction) {
+        case 'up':
+            index = Math.max(0, index - 1);
+            break;
+        case 'down':
+            index = Math.min(last, index + 1);
+            break;
+        case 'first':
+            index = 0;
+            break;
+        case 'last':
+            index = last;
+            break;
+        case 'pageUp':
+            index = Math.max(0, index - pageSize);
+            break;
+        case 'pageDown':
+            index = Math.min(last, index + pageSize);
+            break;
+        default:
+            throw new Error('Unrecognized cursor direction ' + direction);
+    }
+
+    this.moveCursorTo($rows.eq(index), mode);
+};
+
+FancyTree.prototype.moveCursorTo = function($row, mode) {
+    var $from = this.getCursorRow();
+    var id = $row.attr('id');
+
+    if (mode == 'select' && $from && this.canKeyboardSelectRow($from) && this.canKeyboardSelectRow($row)) {
+        // like shift+clicking, continue the selection from where it was started
+        var anchorId = this.lastMultiSelectedFromId || $from.attr('id');
+        var $anchor = this.root.find('#' + anchorId);
+        if (!this.canKeyboardSelectRow($anchor)) {
+            $anchor = $from;
+            anchorId = $from.attr('id');
+        }
+        this.clearMultiSelection();
+        this.addMultiSelectionBetween($anchor, $row);
+        this.lastMultiSelectedFromId = anchorId;
+        this.lastMultiSelectedToId = id;
+    }
+    else if (mode == 'keep') {
+        this.lastMultiSelectedFromId = null;
+        this.lastMultiSelectedToId = id;
+    }
+    else {
+        this.clearMultiSelection();
+        this.lastMultiSelectedFromId = id;
+        this.lastMultiSelectedToId = id;
+    }
+
+    this.setCursorRow($row);
+};
+
+// Returns true if $row may be in a shift+arrow selection, as per addMultiSelectionBetween()
+FancyTree.prototype.canKeyboardSelectRow = function($row) {
+    return $row.length == 1
+        && this.multiSelectableRowTypes.indexOf($row.attr('rowtype')) >= 0
+        && $row.parents('.ftCollapsed').length == 0;
+};
+
+FancyTree.prototype.collapseRowOrCursorToParent = function($row) {
+    if (!this.filtering && !$row.hasClass('ftCollapsed') && this.getChildrenCount($row) > 0) {
+        this.collapseRow($row);
+        return;
+    }
+
+    var $parent = this.getParentRowNode($row.parent());
+    if ($parent.length > 0 && $parent.children('.ftItemRow').is(':visible')) {
+        this.moveCursorTo($parent, 'move');
+    }
+};
+
+FancyTree.prototype.expandRowOrCursorToChild = function($row) {
+    if (this.getChildrenCount($row) == 0) {
+        return;
+    }
+
+    if ($row.hasClass('ftCollapsed') && !this.filtering) {
+        this.expandRow($row);
+        return;
+    }
+
+    var $child = this.getChildrenContainer($row).children('.ftRowNode').filter(function(i, e) {
+        return $(e).children('.ftItemRow').is(':visible');
+    }).first();
+
+    if ($child.length > 0) {
+        this.moveCursorTo($child, 'move');
+    }
+};
+
+// Act as if $row had been left clicked; rows which do nothing when clicked are expanded or collapsed instead
+FancyTree.prototype.activateRow = function($row, evt) {
+    var rowTypeParams = this.getRowTypeParams($row);
+
+    if (!rowTypeParams.onClick) {
+        if (this.getChildrenCount($row) > 0 && !this.filtering) {
+            this.toggleExpandRow($row);
+        }
+        return;
+    }
+
+    if (rowTypeParams.autofocusOnClick !== false) {
+        this.focusRow($row);
+    }
+
+    var evtdata = evt.data;
+    var onComplete = function() {
+        evt.data = evtdata;
+        evt.data.row = $row;
+        rowTypeParams.onClick(evt);
+    };
+    this.resetDragDropState(onComplete);
+};
+
+
+///////////////////////////////////////////////////////////
+// Moving rows
+///////////////////////////////////////////////////////////
+
+/**
+  * Moves the rows keyed actions apply to, the same way dragging and dropping them would.
+  * @param direction 'up' and 'down' move past the neighboring row, 'out' moves after the
+  *                  parent row, and 'in' moves to the end of the preceding row's children
+  */
+FancyTree.prototype.moveRowsByKey = function(direction) {
+    if (this.keyboardMoving) {
+        return;
+    }
+
+    var $cursor = this.getCursorRow();
+    var $rows = this.getKeyActionRows();
+    if ($rows.length == 0) {
+        return;
+    }
+
+    if (this.multiSelection.length == 0) {
+        // like dragging a single row, bring its children along
+        var rowTypeParams = this.getRowTypeParams($rows);
+        if (this.autoSelectChildrenOnDrag && rowTypeParams.permitAutoSelectChildren) {
+            $rows = $rows.add(this.getDescendantRows($rows));
+        }
+    }
+
+    var target = this.getKeyboardMoveTarget($rows, direction);
+    if (!target || !this.canKeyboardMoveRows($rows, target[0], target[1])) {
+        return;
+    }
+
+    if (target[0] == 'append' && target[1].hasClass('ftCollapsed')) {
+        // keep the moved rows in sight
+        this.expandRow(target[1]);
+    }
+
+    var self = this;
+    var fxAreOff = $.fx.off;
+    $.fx.off = true;
+    this.keyboardMoving = true;
+
+    this.moveRowSetAnimate($rows, target[0], target[1], function(moves) {
+        $.fx.off = fxAreOff;
+        self.keyboardMoving = false;
+        self.sortMultiSelection();
+
+        if (self.onRowsMoved) {
+            self.onRowsMoved(moves);
+        }
+
+        if ($cursor) {
+            self.scrollRowIntoView($cursor);
+        }
+    });
+};
+
+// Returns [relation, $toRow] for moving $rows in direction, or undefined if they can't go that way
+FancyTree.prototype.getKeyboardMoveTarget = function($rows, direction) {
+    // the rows which don't have a parent being moved with them
+    var $tops = $rows.filter(function(i, e) { return $(e).parent().closest($rows).length == 0; });
+    var $first = $tops.first();
+    var $last = $tops.last();
+
+    var $prev = $first.prevAll('.ftRowNode').not($rows).first();
+    var $next = $last.nextAll('.ftRowNode').not($rows).first();
+    var $firstParent = this.getParentRowNode($first.parent());
+    var $lastParent = this.getParentRowNode($last.parent());
+
+    switch (direction) {
+        case 'up':
+            if ($prev.length > 0) {
+                return ['before', $prev];
+            }
+            return $firstParent.length > 0 ? ['before', $firstParent] : undefined;
+        case 'down':
+            if ($next.length > 0) {
+                return ['after', $next];
+            }
+            return $lastParent.length > 0 ? ['after', $lastParent] : undefined;
+        case 'out':
+            return $firstParent.length > 0 ? ['after', $firstParent] : undefined;
+        case 'in':
+            return $prev.length > 0 ? ['append', $prev] : undefined;
+    }
+    throw new Error('Unrecognized move direction ' + direction);
+};
+
+// Returns true if the row types and allowDropHandler permit moving $rows to relation of $toRow
+FancyTree.prototype.canKeyboardMoveRows = function($rows, relation, $toRow) {
+    var $newParent = (relation == 'append' || relation == 'prepend' ? $toRow : this.getParentRowNode($toRow.parent()));
+    var newParentType = ($newParent.length > 0 ? $newParent.attr('rowtype') : 'ROOT');
+
+    var self = this;
+    var allowed = $rows.toArray().every(function(e) {
+        var $row = $(e);
+        if ($row.parent().closest($rows).length > 0) {
+            // moves along with its parent
+            return true;
+        }
+        var rowTypeParams = self.getRowTypeParams($row);
+        var targets = rowTypeParams.allowedDropTargets || [];
+        if (targets.indexOf(newParentType) == -1) {
+            return false;
+        }
+        return (newParentType == 'ROOT' ? rowTypeParams.allowAtTopLevel : rowTypeParams.allowAtChildLevel);
+    });
+
+    if (!allowed) {
+        return false;
+    }
+    return !this.allowDropHandler || this.allowDropHandler($rows, relation, $toRow);
+};
+
+
+///////////////////////////////////////////////////////////
+// Helpers
+///////////////////////////////////////////////////////////
+
+// Returns the keymap name of the keys pressed in a keydown event, e.g. 'ctrl+shift+up', or undefined
+// for keys keymaps don't cover
+function getFancyTreeKeyCombo(evt) {
+    var key = FANCYTREE_KEY_NAMES[evt.keyCode];
+    if (!key) {
+        if ((evt.keyCode >= 48 && evt.keyCode <= 57) || (evt.keyCode >= 65 && evt.keyCode <= 90)) {
+            key = String.fromCharCode(evt.keyCode);
+        }
+        else if (evt.keyCode >= 112 && evt.keyCode <= 123) {
+            key = 'F' + (evt.keyCode - 111);
+        }
+        else {
+            return undefined;
+        }
+    }
+    return ((evt.ctrlKey ? 'ctrl+' : '') + (evt.altKey ? 'alt+' : '') + (evt.shiftKey ? 'shift+' : '') + key).toLowerCase();
+}
+
+// Returns combo, e.g. 'Shift+Ctrl+Up', as getFancyTreeKeyCombo() names it: 'ctrl+shift+up'
+function normalizeFancyTreeKeyCombo(combo) {
+    var parts = combo.toLowerCase().split('+');
+    var key = parts.pop();
+    return ['ctrl', 'alt', 'shift']
+        .filter(function(e) { return parts.indexOf(e) > -1; })
+        .concat([key])
+        .join('+');
+}
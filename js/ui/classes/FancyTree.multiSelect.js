@@ -164,9 +164,9 @@ FancyTree.prototype.addSelectionEffect = function($row) {
     if (!rowTypeParams.multiselectable) {
         return;
     }
-    $row.addClass('ftSelected');
+    $row.addClass('ftSelected').attr('aria-selected', true);
 };
 
 FancyTree.prototype.removeSelectionEffect = function($row) {
-    $row.removeClass('ftSelected');
+    $row.removeClass('ftSelected').attr('aria-selected', false);
 };
\ No newline at end of file
@@ -31,6 +31,11 @@ FancyTree.prototype.addRowType = function(name, params) {
     // configure title formatting handler
     var onFormatTitle = params.onFormatTitle || this.defaultFormatTitleHandler;
     params.onFormatTitle = function(row) {
+        self.updateRowAria(row);
+        if (row.hasClass('ftUnmaterialized')) {
+            // formatted once materialized
+            return;
+        }
         onFormatTitle.call(self, row, self.getInnerRow(row).children('.ftItemText'));
     }
 
@@ -21,16 +21,23 @@ FancyTree.prototype.setRowButtonTooltips = function(row) {
 };
 
 FancyTree.prototype.updateRowExpander = function(row) {
-    var cnt = row.find('.ftChildren').children().length;
+    var cnt = this.getChildrenContainer(row).children().length;
     var expander = row.children('.ftItemRow').children('.ftTreeControl');
 
     if (cnt == 0) {
         expander.removeClass('ftExpander').addClass('ftNode');
         row.removeClass('ftCollapsed');
-        return;
+
+        if (this.virtualized) {
+            // no longer collapsed, so new children should go in the document
+            this.restoreChildren(row);
+        }
+    }
+    else {
+        expander.removeClass('ftNode').addClass('ftExpander');
     }
 
-    expander.removeClass('ftNode').addClass('ftExpander');
+    this.updateRowAria(row);
 };
 
 FancyTree.prototype.formatRowTitle = function($rows) {
@@ -66,7 +73,7 @@ FancyTree.prototype.processTitleFormatQueue = function() {
 
 // Call rowType.onFormatTitle() on the given rows and all its parent rows
 FancyTree.prototype.formatLineageTitles = function($rows) {
-    this.formatRowTitle($rows.parents('.ftRowNode').add($rows));
+    this.formatRowTitle(this.getAncestorRows($rows).add($rows));
 };
 
 // Format all row titles
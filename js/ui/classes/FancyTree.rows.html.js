@@ -8,9 +8,21 @@
 ///////////////////////////////////////////////////////////
 
 FancyTree.prototype.getParentRowNode = function(elem) {
+    if (this.virtualized && elem.hasClass('ftParked')) {
+        return elem.data('parkedRow');
+    }
     return elem.closest('.ftRowNode');
 };
 
+// Returns the row whose children $row is among, or the root element for top level rows
+FancyTree.prototype.getRowParent = function($row) {
+    var $container = $row.parent();
+    if (this.virtualized && $container.hasClass('ftParked')) {
+        return $container.data('parkedRow');
+    }
+    return $container.parent();
+};
+
 FancyTree.prototype.getItemRow = function(elem) {
     return elem.children('.ftItemRow');
 };
@@ -28,11 +40,42 @@ FancyTree.prototype.getButtons = function(elem) {
 };
 
 FancyTree.prototype.getChildrenContainer = function(elem) {
+    if (this.virtualized) {
+        var self = this;
+        return elem.map(function(i, e) {
+            return self.parkedChildren[e.id] || $(e).children('.ftChildren').get(0);
+        });
+    }
     return elem.children('.ftChildren');
 };
 
 FancyTree.prototype.getChildrenCount = function(elem) {
-    return this.getChildrenContainer(elem).find('.ftRowNode').length;
+    return this.getDescendantRows(elem).length;
+};
+
+// Returns the rows below $rows, including those in collapsed branches; use instead of
+// $rows.find('.ftRowNode') where those matter
+FancyTree.prototype.getDescendantRows = function($rows) {
+    var $descendants = $rows.find('.ftRowNode');
+    if (this.virtualized) {
+        $descendants = $descendants.add(this.getParkedDescendantRows($rows.add($descendants)));
+    }
+    return $descendants;
+};
+
+// Returns the rows above $rows, nearest first like $rows.parents('.ftRowNode')
+FancyTree.prototype.getAncestorRows = function($rows) {
+    var $ancestors = $rows.parents('.ftRowNode');
+    if (this.virtualized) {
+        var elems = $ancestors.get();
+        this.getParkedAncestorRows($rows).forEach(function(e) {
+            if (elems.indexOf(e) == -1) {
+                elems.push(e);
+            }
+        });
+        $ancestors = $(elems);
+    }
+    return $ancestors;
 };
 
 
@@ -45,7 +88,7 @@ FancyTree.prototype.buildRowTypeElem = function(rowType) {
     var params = this.rowTypes[rowType];
 
     // create elements
-    var rowContainer = $('<li/>', { rowtype: rowType, class: 'ftRowNode' });
+    var rowContainer = $('<li/>', { rowtype: rowType, class: 'ftRowNode', role: 'treeitem', 'aria-selected': false });
     var itemRow = $('<div/>', { class: 'ftItemRow' });
     var expander = $('<img/>', { class: 'ftIconButton ftTreeControl ftNode', src: '/images/x.gif' });
     var itemRowContent = $('<div/>', { class: 'ftItemRowContent' });
@@ -56,7 +99,7 @@ FancyTree.prototype.buildRowTypeElem = function(rowType) {
     var itemTextAffix = $('<div/>', { class: 'ftItemTextAffix' }).hide();
     var itemInnerTitle = $('<span/>', { class: 'ftItemTitle' });
     var buttons = $('<div/>', { class: 'ftButtons' });
-    var children = $('<ul/>', { class: 'ftChildren' });
+    var children = $('<ul/>', { class: 'ftChildren', role: 'group' });
 
     // set iconerror handler
     if (params.onIconError) {
@@ -105,7 +148,7 @@ FancyTree.prototype.buildRowTypeElem = function(rowType) {
 // clone a new rowType's baseElement and populate it with the provided arguments
 FancyTree.prototype.getNewRowElem = function(rowType, id, icon, label, text, extraAttributes, collapsed) {
     var rowTypeParams = this.rowTypes[rowType];
-    var row = rowTypeParams.baseElement.clone(true, true);
+    var row = (this.virtualized ? this.getNewRowPlaceholder(rowType) : rowTypeParams.baseElement.clone(true, true));
     var innerRow = this.getInnerRow(row);
     var itemRow = this.getItemRow(row);
     var iconElem = innerRow.find('.ftRowIcon');
@@ -129,6 +172,12 @@ FancyTree.prototype.getNewRowElem = function(rowType, id, icon, label, text, ext
         row.attr(extraAttributes);
     }
 
+    if (this.virtualized) {
+        // the rest is done by materializeRow() once the row comes near the visible part of the tree
+        this.updateRowAria(row);
+        return row;
+    }
+
     // format title
     rowTypeParams.onFormatTitle(row, innerRow.children('.ftItemText'));
 
@@ -11,6 +11,10 @@ FancyTree.prototype.getRow = function(idOrElem) {
     var $row = $('#' + idOrElem);
     // var elem = this.root.find('#' + idOrElem); // this method is ~5x slower but 'safer'
 
+    if ($row.length == 0 && this.virtualized) {
+        $row = this.findParkedRow(idOrElem);
+    }
+
     if ($row.length == 0) {
         throw new Error('Could not find element with id ' + idOrElem);
     }
@@ -32,16 +36,21 @@ FancyTree.prototype.addRow = function($row, parentId, beforeSiblingId) {
         else {
             $parent = this.root;
         }
-        $parent.children('.ftChildren').append($row);
+        this.getChildrenContainer($parent).append($row);
+    }
+
+    if (this.virtualized) {
+        this.placeRows($row);
     }
 
     this.updateRowExpander($parent);
     this.formatLineageTitles($parent);
+    this.queueAriaPositionUpdate($row.parent());
 };
 
 FancyTree.prototype.removeRow = function(id, removeChildren, skipRowReconfiguration, skipRemoveFromMultiSelection) {
     var $row = this.getRow(id);
-    var $parent = $row.parent().parent();
+    var $parent = this.getRowParent($row);
     var $following = $row.following('.ftRowNode');
     var $preceding = $row.preceding('.ftRowNode');
 
@@ -55,15 +64,28 @@ FancyTree.prototype.removeRow = function(id, removeChildren, skipRowReconfigurat
 
     if (removeChildren) {
         var self = this;
-        $row.find('.ftRowNode').each(function(i, e) {
+        this.getDescendantRows($row).each(function(i, e) {
             self.removeMultiSelectionSingle($(e));
         });
+
+        if (this.virtualized && !skipRemoveFromMultiSelection) {
+            // rows being moved are removed with skipRemoveFromMultiSelection set and placed again after
+            this.hideRows($row);
+        }
         $row.remove();
     }
     else {
         var $children  = this.getChildrenContainer($row).children();
         $row.replaceWith($children);
         this.formatRowTitle($children);
+
+        if (this.virtualized) {
+            this.restoreChildren($row);
+            this.placeRows($children);
+            if (!skipRemoveFromMultiSelection) {
+                this.unobserveRows($row);
+            }
+        }
     }
 
     if (!skipRemoveFromMultiSelection) {
@@ -78,12 +100,14 @@ FancyTree.prototype.removeRow = function(id, removeChildren, skipRowReconfigurat
 
     this.updateRowExpander($parent);
     this.formatLineageTitles($parent.add($following).add($preceding));
+    this.queueAriaPositionUpdate(this.getChildrenContainer($parent));
+    this.updateAriaActiveDescendant();
 };
 
 FancyTree.prototype.moveRow = function(id, newParentId, beforeSiblingId, keepChildren, skipRowReconfiguration) {
     var $row = this.getRow(id);
-    var $oldParent = $row.parent().parent();
-    var $oldAncestors = $row.parents('.ftRowNode');
+    var $oldParent = this.getRowParent($row);
+    var $oldAncestors = this.getAncestorRows($row);
 
     var $newParent;
     if (!newParentId) {
@@ -109,6 +133,12 @@ FancyTree.prototype.moveRow = function(id, newParentId, beforeSiblingId, keepChi
         $newParentChildren.append($row);
     }
 
+    if (this.virtualized) {
+        this.placeRows($row);
+    }
+
+    this.queueAriaPositionUpdate(this.getChildrenContainer($oldParent).add($newParentChildren));
+
     if (!skipRowReconfiguration) {
         this.setRowButtonTooltips($row);
         this.setDraggableDroppable($row);
@@ -142,7 +172,7 @@ FancyTree.prototype.moveRowRel = function(id, relation, toId, keepChildren, skip
     }
 
     var $oldParent = this.getParentRowNode($row.parent());
-    var $oldAncestors = $row.parents('.ftRowNode');
+    var $oldAncestors = this.getAncestorRows($row);
 
     this.removeRow($row, keepChildren, true, true); // prevents possible DOM_HIERARCHY exceptions
 
@@ -153,15 +183,19 @@ FancyTree.prototype.moveRowRel = function(id, relation, toId, keepChildren, skip
         $to.after($row);
     }
     else if (relation == 'prepend') {
-        $to.children('.ftChildren').prepend($row);
+        this.getChildrenContainer($to).prepend($row);
     }
     else if (relation == 'append') {
-        $to.children('.ftChildren').append($row);
+        this.getChildrenContainer($to).append($row);
     }
     else {
         throw new Error('Unrecognized relation ' + relation);
     }
 
+    if (this.virtualized) {
+        this.placeRows($row);
+    }
+
     var $newParent = this.getParentRowNode($row.parent());
     var $newBeforeSibling = $row.prev();
     var $newAfterSibling = $row.next();
@@ -234,19 +268,31 @@ FancyTree.prototype.focusRow = function(idOrElem) {
 
     this.focusedRow = $row;
     $row.addClass('ftFocused');
-    $row.parents('.ftRowNode').addClass('ftChildFocused');
-
-    var $innerRow = this.getInnerRow($row);
+    this.getAncestorRows($row).addClass('ftChildFocused');
+    this.updateAriaActiveDescendant();
 
     if (this.scrollToRowTimeout) {
         clearTimeout(this.scrollToRowTimeout);
     }
 
-    var self = this;
-    var scrollDistance = self.scrollDistanceRequired($innerRow, self.root, self.scrollTargetElem);
+    this.scrollRowIntoView($row);
+};
+
+FancyTree.prototype.scrollRowIntoView = function($row) {
+    if (this.virtualized && !this.root.get(0).contains($row.get(0))) {
+        // in a collapsed branch
+        return;
+    }
+
+    var $innerRow = this.getInnerRow($row);
+    if ($innerRow.length == 0) {
+        // not materialized yet; its placeholder is where it will be
+        $innerRow = this.getItemRow($row);
+    }
+    var scrollDistance = this.scrollDistanceRequired($innerRow, this.root, this.scrollTargetElem);
     if (scrollDistance) {
         var scrollParam = (scrollDistance > 0 ? '+' : '-') + '=' + (Math.abs(scrollDistance) + 2);
-        self.scrollTargetElem.scrollTo(scrollParam, { duration: 0 });
+        this.scrollTargetElem.scrollTo(scrollParam, { duration: 0 });
     }
 };
 
@@ -259,6 +305,10 @@ FancyTree.prototype.expandRow = function(id) {
         return false;
     }
 
+    if (this.virtualized && !this.filtering) {
+        this.unparkChildren($row);
+    }
+
     var $children = this.getChildrenContainer($row);
     var rowTypeParams = this.getRowTypeParams($row);
     var onExpanderClick = rowTypeParams.onExpanderClick;
@@ -294,6 +344,10 @@ FancyTree.prototype.collapseRow = function(id) {
     $children.slideUp(100, function() {
         $row.addClass('ftCollapsed');
 
+        if (self.virtualized && self.isRowChildrenHidden($row)) {
+            self.parkChildren($row);
+        }
+
         if (onExpanderClick) {
             var evt = { data: { treeObj: self, row: $row, expanded: !expanded } };
             onExpanderClick(evt);
@@ -312,6 +366,17 @@ FancyTree.prototype.collapseRow = function(id) {
 FancyTree.prototype.toggleExpandRow = function(id) {
     var self = this;
     var $row = this.getRow(id);
+
+    if (this.virtualized) {
+        // parks or brings back the children
+        if ($row.hasClass('ftCollapsed')) {
+            this.expandRow($row);
+            return false;
+        }
+        this.collapseRow($row);
+        return true;
+    }
+
     var $children = this.getChildrenContainer($row);
     var rowTypeParams = this.getRowTypeParams($row);
     var onExpanderClick = rowTypeParams.onExpanderClick;
@@ -341,16 +406,30 @@ FancyTree.prototype.mergeRows = function(fromId, toId) {
     var $to = this.getRow(toId);
 
     // Append from's children to the end of to's children
-    this.getChildrenContainer($to).append(this.getChildrenContainer($from).children());
+    var $children = this.getChildrenContainer($from).children();
+    this.getChildrenContainer($to).append($children);
 
     // Destroy from node
+    var $fromContainer = $from.parent();
+    if (this.virtualized) {
+        this.placeRows($children);
+        this.hideRows($from);
+    }
     $from.remove();
 
     // Update stuffs
     this.updateRowExpander($to);
     this.formatLineageTitles($to);
+    this.queueAriaPositionUpdate(this.getChildrenContainer($to).add($fromContainer));
 };
 
 FancyTree.prototype.clear = function() {
+    if (this.virtualized) {
+        this.virtualRowObserver.disconnect();
+        for (var id in this.parkedChildren) {
+            $(this.parkedChildren[id]).remove();
+        }
+        this.parkedChildren = {};
+    }
     this.getChildrenContainer(this.root).empty();
 };
\ No newline at end of file
@@ -0,0 +1,405 @@
+///////////////////////////////////////////////////////////
+// FancyTree.virtual.js
+// Windowed rendering of large trees
+///////////////////////////////////////////////////////////
+
+///////////////////////////////////////////////////////////
+// Constants
+///////////////////////////////////////////////////////////
+
+// Rows within this many pixels above or below the visible part of the tree are materialized
+var VIRTUAL_ROW_MARGIN_PX = 400;
+
+
+///////////////////////////////////////////////////////////
+// Materializing rows
+///////////////////////////////////////////////////////////
+
+// In windowed rendering mode (the virtualized option), new rows are just placeholders: an <li> carrying
+// the row's attributes, an empty .ftItemRow of a row's height and a .ftChildren for its children. A row's
+// icon, text, buttons and drag & drop handling are only put in once it comes near the visible part of the
+// tree, and taken out again once it is well out of view.
+//
+// Rows in collapsed branches, and while filtering those in branches without matches, are not in the
+// document at all; see Parking branches below.
+
+FancyTree.prototype.initVirtualRendering = function() {
+    var self = this;
+    this.rowsMaterializedWhileDragging = [];
+    this.parkedChildren = {};
+    this.filterOpenRowIds = null;
+    this.virtualRowHeights = {};
+    this.virtualRowObserver = new IntersectionObserver(function(entries) {
+        self.onVirtualRowsIntersect(entries);
+    }, {
+        root: this.scrollTargetElem.is('body') ? null : this.scrollTargetElem.get(0),
+        rootMargin: VIRTUAL_ROW_MARGIN_PX + 'px 0px'
+    });
+    this.root.addClass('ftVirtualized');
+};
+
+FancyTree.prototype.onVirtualRowsIntersect = function(entries) {
+    var self = this;
+    entries.forEach(function(entry) {
+        var $row = self.getParentRowNode($(entry.target));
+        if (entry.isIntersecting) {
+            self.materializeRow($row);
+        }
+        else {
+            self.dematerializeRow($row);
+        }
+    });
+};
+
+// Returns an empty placeholder row for rowType, to be filled in by materializeRow()
+FancyTree.prototype.getNewRowPlaceholder = function(rowType) {
+    var $itemRow = $('<div/>', { class: 'ftItemRow' });
+    var height = this.getPlaceholderHeight(rowType);
+    if (height) {
+        $itemRow.height(height);
+    }
+
+    return $('<li/>', { rowtype: rowType, class: 'ftRowNode ftUnmaterialized', role: 'treeitem', 'aria-selected': false })
+        .append($itemRow)
+        .append($('<ul/>', { class: 'ftChildren', role: 'group' }));
+};
+
+// Returns the height of a materialized row of rowType, measured the first time it is asked for
+FancyTree.prototype.getPlaceholderHeight = function(rowType) {
+    if (!(rowType in this.virtualRowHeights)) {
+        var $probe = this.rowTypes[rowType].baseElement.clone().css('visibility', 'hidden');
+        $probe.find('.ftItemTitle').text('x');
+        this.root.children('.ftChildren').append($probe);
+        // 0 when the tree isn't laid out yet, in which case materializeRow() measures it instead
+        this.virtualRowHeights[rowType] = this.getItemRow($probe).height();
+        $probe.remove();
+    }
+    return this.virtualRowHeights[rowType];
+};
+
+FancyTree.prototype.materializeRow = function($row) {
+    if (!$row.hasClass('ftUnmaterialized')) {
+        return;
+    }
+
+    var rowTypeParams = this.getRowTypeParams($row);
+    var $itemRow = this.getItemRow($row);
+    $row.removeClass('ftUnmaterialized');
+    $itemRow.css('height', '').append(rowTypeParams.baseElement.children('.ftItemRow').children().clone(true, true));
+    this.getInnerRow($row).children('.ftRowIcon').attr('src', $row.attr('icon'));
+
+    this.updateRowExpander($row);
+    rowTypeParams.onFormatTitle($row);
+    this.setRowButtonTooltips($row);
+
+    if (!this.virtualRowHeights[$row.attr('rowtype')]) {
+        this.virtualRowHeights[$row.attr('rowtype')] = $itemRow.height();
+    }
+
+    if (this.dragging) {
+        // jQuery UI doesn't expect droppables to turn up mid drag
+        this.rowsMaterializedWhileDragging.push($row);
+    }
+    else {
+        this.setDraggableDroppable($row, rowTypeParams);
+    }
+
+    if (this.filtering && this.filterHighlightArgs && $row.hasClass('ftFilteredIn')) {
+        this.highlightMatches.apply(this, [$row].concat(this.filterHighlightArgs));
+    }
+};
+
+FancyTree.prototype.dematerializeRow = function($row) {
+    if ($row.hasClass('ftUnmaterialized') || this.dragging) {
+        return;
+    }
+
+    if ($row.is('.ftFocused, .ftSelected, .ftCursor') || (this.hoveredRow && $row.is(this.hoveredRow))) {
+        // keep rows the user is working with as they are
+        return;
+    }
+
+    var $itemRow = this.getItemRow($row);
+    if ($itemRow.hasClass('ui-draggable')) {
+        $itemRow.draggable('destroy');
+    }
+    if ($itemRow.hasClass('ui-droppable')) {
+        $itemRow.droppable('destroy');
+    }
+
+    // keep the row's own height so the rows below it stay put
+    var height = $itemRow.height();
+    $itemRow.empty();
+    if (height) {
+        $itemRow.height(height);
+    }
+    $row.addClass('ftUnmaterialized');
+};
+
+// Set up drag & drop on the rows materialized during a drag, once it is over
+FancyTree.prototype.finishRowsMaterializedWhileDragging = function() {
+    var self = this;
+    this.rowsMaterializedWhileDragging.forEach(function($row) {
+        if (!$row.hasClass('ftUnmaterialized')) {
+            self.setDraggableDroppable($row);
+        }
+    });
+    this.rowsMaterializedWhileDragging = [];
+};
+
+// Stop watching $rows for coming into view
+FancyTree.prototype.unobserveRows = function($rows) {
+    var self = this;
+    $rows.each(function(i, e) {
+        self.virtualRowObserver.unobserve(self.getItemRow($(e)).get(0));
+    });
+};
+
+
+///////////////////////////////////////////////////////////
+// Parking branches
+///////////////////////////////////////////////////////////
+
+// The .ftChildren of a row whose children are hidden, because it is collapsed or while filtering because
+// nothing below it matches, is parked: swapped for an empty .ftChildren and kept out of the document in
+// this.parkedChildren by the row's id. getRow(), getChildrenContainer(), getParentRowNode(),
+// getAncestorRows() and getDescendantRows() see through parking, so row operations work on parked rows
+// as usual. A parked .ftChildren never holds another, so it has every row below its row in it.
+
+// Returns whether $row's children should be parked
+FancyTree.prototype.isRowChildrenHidden = function($row) {
+    if (this.filtering) {
+        return !this.filterOpenRowIds[$row.attr('id')];
+    }
+    return $row.hasClass('ftCollapsed');
+};
+
+// Take $row's children out of the document
+FancyTree.prototype.parkChildren = function($row) {
+    var id = $row.attr('id');
+    var $children = $row.children('.ftChildren');
+    if (this.parkedChildren[id] || $children.children().length == 0) {
+        return;
+    }
+
+    var self = this;
+    var $descendants = $children.find('.ftRowNode');
+    $descendants.each(function(i, e) {
+        self.dematerializeRow($(e));
+    });
+    this.unobserveRows($descendants);
+
+    $children.replaceWith($('<ul/>', { class: 'ftChildren', role: 'group' }));
+    $children.addClass('ftParked').data('parkedRow', $row);
+    this.parkedChildren[id] = $children.get(0);
+
+    // take in the branches parked below $row
+    $descendants.each(function(i, e) {
+        self.restoreChildren($(e));
+    });
+};
+
+// Put $row's parked children back in place of its empty .ftChildren, returning them
+FancyTree.prototype.restoreChildren = function($row) {
+    var id = $row.attr('id');
+    var children = this.parkedChildren[id];
+    if (!children) {
+        return $();
+    }
+
+    delete this.parkedChildren[id];
+    // also undo any slideUp() from collapsing
+    var $children = $(children).removeClass('ftParked').removeData('parkedRow').css('display', '');
+    $row.children('.ftChildren').replaceWith($children);
+    return $children;
+};
+
+// Bring $row's parked children into the document
+FancyTree.prototype.unparkChildren = function($row) {
+    var $children = this.restoreChildren($row);
+    if ($children.length == 0) {
+        return;
+    }
+
+    this.showRows($children.children('.ftRowNode'));
+    this.queueAriaPositionUpdate($children);
+};
+
+// Watch $rows, which are in the document, for coming into view, and park or bring back the branches
+// below them as their collapsed and filtered state calls for
+FancyTree.prototype.showRows = function($rows) {
+    var self = this;
+    $rows.each(function(i, e) {
+        var $row = $(e);
+        self.virtualRowObserver.observe(self.getItemRow($row).get(0));
+
+        if (self.isRowChildrenHidden($row)) {
+            self.parkChildren($row);
+            return;
+        }
+
+        var $restored = self.restoreChildren($row);
+        if ($restored.length > 0) {
+            self.queueAriaPositionUpdate($restored);
+        }
+        self.showRows($row.children('.ftChildren').children('.ftRowNode'));
+    });
+};
+
+// Stop watching $rows, which have left the document, and the rows below them, taking in any branches
+// parked below them
+FancyTree.prototype.hideRows = function($rows) {
+    var self = this;
+    var $all = $rows.add($rows.find('.ftRowNode'));
+    $all.each(function(i, e) {
+        var $row = $(e);
+        self.dematerializeRow($row);
+        self.restoreChildren($row);
+    });
+    this.unobserveRows($all);
+};
+
+// Show or hide $rows, just put in the tree by a row operation, to suit where they were put
+FancyTree.prototype.placeRows = function($rows) {
+    var self = this;
+    var root = this.root.get(0);
+    $rows.each(function(i, e) {
+        var $row = $(e);
+        if (!root.contains(e)) {
+            self.hideRows($row);
+            return;
+        }
+
+        var $parent = $row.parent().parent('.ftRowNode');
+        if ($parent.length > 0 && self.isRowChildrenHidden($parent)) {
+            // first child of a collapsed row
+            self.parkChildren($parent);
+            return;
+        }
+        self.showRows($row);
+    });
+};
+
+// Returns the row with id from the parked branches, or an empty jQuery object
+FancyTree.prototype.findParkedRow = function(id) {
+    for (var parentId in this.parkedChildren) {
+        var elem = this.parkedChildren[parentId].querySelector('[id="' + id + '"]');
+        if (elem) {
+            return $(elem);
+        }
+    }
+    return $();
+};
+
+// Returns the rows in the branches parked below $rows, as an array of elements
+FancyTree.prototype.getParkedDescendantRows = function($rows) {
+    var self = this;
+    var elems = [];
+    $rows.each(function(i, e) {
+        var children = self.parkedChildren[e.id];
+        if (children) {
+            elems.push.apply(elems, children.querySelectorAll('.ftRowNode'));
+        }
+    });
+    return elems;
+};
+
+// Returns the rows above those of $rows which are parked, from the rows they are parked under up, as an
+// array of elements
+FancyTree.prototype.getParkedAncestorRows = function($rows) {
+    var elems = [];
+    $rows.closest('.ftParked').each(function(i, e) {
+        var $parkedRow = $(e).data('parkedRow');
+        elems.push.apply(elems, $parkedRow.add($parkedRow.parents('.ftRowNode')).get().reverse());
+    });
+    return elems;
+};
+
+
+///////////////////////////////////////////////////////////
+// Filtering
+///////////////////////////////////////////////////////////
+
+// Returns the rows matching filter, found from the tree's data by this.filterQueryHandler or
+// this.filterModelHandler rather than the rows' elements. The branches leading to them are brought into
+// the document and all others parked; matched text is highlighted in materialized rows now and in the
+// rest as they are materialized.
+FancyTree.prototype.getVirtualFilterMatches = function(filter) {
+    var ids = (this.filterQueryHandler && this.filterQueryHandler(filter)) || this.getFilterModelMatchIds(filter);
+
+    var parked = {};
+    for (var parentId in this.parkedChildren) {
+        $(this.parkedChildren[parentId]).find('.ftRowNode').each(function(i, e) {
+            parked[e.id] = e;
+        });
+    }
+
+    var elems = [];
+    ids.forEach(function(id) {
+        var elem = document.getElementById(id) || parked[id];
+        if (elem) {
+            elems.push(elem);
+        }
+    });
+    var $matches = $(elems);
+
+    var open = {};
+    this.getAncestorRows($matches).each(function(i, e) {
+        open[e.id] = true;
+    });
+    this.filterOpenRowIds = open;
+    this.showRows(this.root.children('.ftChildren').children('.ftRowNode'));
+
+    if (this.filterHighlightArgs) {
+        this.highlightMatches.apply(this, [$matches.not('.ftUnmaterialized')].concat(this.filterHighlightArgs));
+    }
+
+    return $matches;
+};
+
+// Returns the ids of the rows whose label and text or per-rowType extra params match filter per
+// this.filterModelHandler, plus those from this.filterExtraTextHandler
+FancyTree.prototype.getFilterModelMatchIds = function(filter) {
+    var paramFilter = filter;
+    var advancedFilter = this.useAdvancedFiltering;
+    var words;
+    var regexFilter;
+    if (advancedFilter) {
+        filter = filter.replace(/ /g, '');
+        regexFilter = filter.split('').join('.*');
+    }
+    else {
+        words = filter.split(' ');
+        regexFilter = words.join('.*');
+    }
+
+    var regex;
+    try {
+        regex = new RegExp(regexFilter, 'i');
+    }
+    catch (ex) {
+        // e.g. an unbalanced parenthesis, which can't be matched anyway
+        return [];
+    }
+
+    var extraParams = [];
+    for (var rowType in this.rowTypes) {
+        extraParams = extraParams.concat(this.rowTypes[rowType].filterByExtraParams || []);
+    }
+
+    var ids = this.filterModelHandler(function(label, text, params) {
+        if (regex.test((label ? label + ': ' : '') + (text || ''))) {
+            return true;
+        }
+        return extraParams.some(function(param) {
+            return ((params && params[param]) || '').indexOf(paramFilter) > -1;
+        });
+    });
+
+    this.filterHighlightArgs = [filter, words, advancedFilter];
+
+    if (this.filterExtraTextHandler) {
+        ids = ids.concat(this.filterExtraTextHandler(filter));
+    }
+    return ids;
+};
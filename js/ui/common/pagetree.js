@@ -27,6 +27,9 @@ var PAGETREE_FANCYTREE_UPDATE_DETAILS_MAP = {
 // a working icon when the assigned favicon fails to load on the page
 var ICON_ERROR_FALLBACK_DELAY_MS = 10000;
 
+// render trees with at least this many rows in FancyTree's windowed rendering mode
+var PAGETREE_VIRTUALIZE_MIN_ROWS = 500;
+
 
 ///////////////////////////////////////////////////////////
 // Globals
@@ -57,6 +60,36 @@ function initPageTree(dataTree, paneName, getFancyTreeFn) {
 // FancyTree general event handlers
 ///////////////////////////////////////////////////////////
 
+// Returns a FancyTree filterQueryHandler which runs filter box text that is a query,
+// e.g. 'domain:github.com hibernated:true', against dataTree
+function getPageTreeFilterQueryHandler(dataTree) {
+    return function(filter) {
+        if (!bg.isTreeQuery(filter)) {
+            return undefined;
+        }
+        try {
+            return dataTree.query(filter).map(function(e) { return e.id; });
+        }
+        catch (ex) {
+            // not a valid query (yet), so nothing matches
+            return [];
+        }
+    };
+}
+
+// Returns a FancyTree filterModelHandler which matches the nodes of dataTree by the data their rows show
+function getPageTreeFilterModelHandler(dataTree) {
+    return function(matches) {
+        var ids = [];
+        dataTree.forEach(function(e) {
+            if (matches(e.label, e.title, { url: e.url })) {
+                ids.push(e.id);
+            }
+        });
+        return ids;
+    };
+}
+
 function onResizeTooltip(evt) {
     // Manually set a fixed width for the tooltip's text content region; without this
     // the CSS 'word-wrap: break-word' has no effect
@@ -82,6 +115,7 @@ var PageTreeRowTypes = {
         filterByExtraParams: ['url'],
         tooltipMaxWidthPercent: 0.95,
         onFormatTitle: onPageRowFormatTitle,
+        onFormatAriaLabel: onPageRowFormatAriaLabel,
         onFormatTooltip: onPageRowFormatTooltip
     },
     'folder': {
@@ -124,6 +158,7 @@ var PageTreeRowTypes = {
         onResizeTooltip: onResizeTooltip,
         tooltipMaxWidthPercent: 0.95,
         onFormatTitle: onWindowRowFormatTitle,
+        onFormatAriaLabel: onWindowRowFormatAriaLabel,
         onFormatTooltip: onWindowRowFormatTooltip
     }
 };
@@ -139,7 +174,7 @@ var PageTreeRowTypes = {
 
 function onFolderRowFormatTitle(row, itemTextElem) {
     var label = row.attr('label');
-    var childCount = row.children('.ftChildren').find('.ftRowNode').length;
+    var childCount = this.getDescendantRows(row).length;
 
     var textAffix;
     if (childCount > 0) {
@@ -186,7 +221,7 @@ function onPageRowFormatTitle(row, itemTextElem) {
     }
 
     if (row.hasClass('ftCollapsed')) {
-        var childCount = row.children('.ftChildren').find('.ftRowNode').length;
+        var childCount = this.getDescendantRows(row).length;
         if (childCount > 0) {
             textAffix += (textAffix == '' ? '' : ' ') + '(' + childCount + ')';
         }
@@ -197,7 +232,7 @@ function onPageRowFormatTitle(row, itemTextElem) {
     }
 
     if (settings.get('pages_trimPageTitlePrefixes') && row.attr('url').indexOf(text) == -1) {
-        text = getTrimmedPageTitle(row);
+        text = getTrimmedPageTitle.call(this, row);
     }
 
     itemTextElem.children('.ftItemTitle').text(text);
@@ -230,6 +265,28 @@ function onPageRowFormatTitle(row, itemTextElem) {
 
 }
 
+// Name the page for screen readers, with the states shown by its icon and styling
+function onPageRowFormatAriaLabel(row) {
+    var label = row.attr('label');
+    var text = row.attr('text') || row.attr('url');
+
+    var states = [];
+    if (row.attr('hibernated') == 'true') {
+        states.push(getMessage('pages_ariaHibernated'));
+    }
+    if (row.attr('pinned') == 'true') {
+        states.push(getMessage('pages_ariaPinned'));
+    }
+    if (row.attr('media-state') == 'playing') {
+        states.push(getMessage('pages_ariaMediaPlaying'));
+    }
+    if (row.attr('status') == 'loading') {
+        states.push(getMessage('pages_ariaLoading'));
+    }
+
+    return (label ? label + ': ' : '') + text + (states.length > 0 ? ', ' + states.join(', ') : '');
+}
+
 function onPageRowFormatTooltip(evt) {
     var row = evt.data.row;
     var icon = evt.data.icon;
@@ -242,20 +299,40 @@ function onPageRowFormatTooltip(evt) {
 
     var headerPrefix;
     if (row.attr('hibernated') == 'true') {
-        headerPrefix = '<div class="hibernatedHint">' + getMessage('pages_hibernatedHint') + '</div>';
+        var snoozed = binder.dataTree === bg.tree && binder.dataTree.getNode(row.attr('id'));
+        if (snoozed && snoozed.snoozedUntil) {
+            headerPrefix = $('<div class="hibernatedHint"/>')
+                .text(getMessage('pages_snoozedHint', [new Date(snoozed.snoozedUntil).toLocaleString()]));
+        }
+        else {
+            headerPrefix = '<div class="hibernatedHint">' + getMessage('pages_hibernatedHint') + '</div>';
+        }
+    }
+    else if (binder.dataTree === bg.tree) {
+        var hibernateAt = bg.idleHibernator.getHibernateAt(binder.dataTree.getNode(row.attr('id')));
+        if (hibernateAt !== undefined) {
+            headerPrefix = $('<div class="hibernatedHint autoHibernateHint"/>');
+            startAutoHibernateCountdown(headerPrefix, hibernateAt);
+        }
     }
 
     if (loggingEnabled) {
         var page = binder.dataTree.getNode(row.attr('id'));
+        var stats = binder.dataTree.transactionStats;
         url += '<br/><br/>Id: ' + page.id
             + '<br/>History length: ' + page.historylength
             + '<br/>Referrer: ' + (page.referrer || "''")
             + '<br/>Chrome ID: ' + (page.chromeId || "''")
-            + '<br/>WinId/index: ' + page.windowId + '/' + page.index;
+            + '<br/>WinId/index: ' + page.windowId + '/' + page.index
+            + '<br/>Tree batches/ops/coalesced: ' + stats.batches + '/' + stats.ops + '/' + stats.coalesced;
     }
 
     var elem = getBigTooltipContent(text, icon, url, headerPrefix);
 
+    if (row.attr('hibernated') == 'true' && binder.dataTree === bg.tree) {
+        appendPageSnapshot(elem, row.attr('id'));
+    }
+
     var onIconError = evt.data.rowTypeParams.onIconError;
     if (onIconError) {
         elem.find('.ftBigTipImage').error(evt.data, onIconError);
@@ -265,6 +342,52 @@ function onPageRowFormatTooltip(evt) {
 
 }
 
+// Add the snapshot taken when page nodeId was hibernated, if any, to tooltip content elem
+function appendPageSnapshot(elem, nodeId) {
+    var snapshot = bg.pageSnapshots.get(nodeId);
+    if (!snapshot) {
+        return;
+    }
+
+    var snapshotElem = $('<div class="pageSnapshot"/>');
+    elem.find('td:nth-child(2)').append(snapshotElem);
+
+    if (snapshot.hasThumbnail) {
+        var img = $('<img class="pageSnapshotThumbnail"/>');
+        snapshotElem.append(img);
+        bg.pageSnapshots.getThumbnail(nodeId).then(function(thumbnail) {
+            if (thumbnail) {
+                img.attr('src', thumbnail);
+            }
+            else {
+                img.remove();
+            }
+        });
+    }
+
+    if (snapshot.excerpt) {
+        snapshotElem.append($('<div class="pageSnapshotExcerpt"/>').text(snapshot.excerpt));
+    }
+}
+
+// Keep elem showing how long until a page is automatically hibernated at hibernateAt, for as long as
+// elem is in the document
+function startAutoHibernateCountdown(elem, hibernateAt) {
+    var _update = function() {
+        var seconds = Math.max(0, (hibernateAt - Date.now()) / 1000);
+        elem.text(getMessage('pages_autoHibernateHint', [formatSecondsAsHMS(seconds)]));
+    };
+    _update();
+
+    var interval = setInterval(function() {
+        if (!$.contains(document.documentElement, elem[0])) {
+            clearInterval(interval);
+            return;
+        }
+        _update();
+    }, 1000);
+}
+
 function onPageRowIconError(evt) {
     setTimeout(function() {
         evt.target.src = getChromeFavIconUrl(evt.data.row.attr('url'));
@@ -278,7 +401,7 @@ function onPageRowIconError(evt) {
 function onWindowRowFormatTitle(row, itemTextElem) {
     var label = row.attr('label');
     var text = row.attr('text');
-    var childCount = row.children('.ftChildren').find('.ftRowNode[rowtype=page]').length;
+    var childCount = this.getDescendantRows(row).filter('[rowtype=page]').length;
 
     if (!text) {
         text = getMessage('text_Window');
@@ -296,6 +419,12 @@ function onWindowRowFormatTitle(row, itemTextElem) {
     itemTextElem.children('.ftItemLabel').text(label);
 }
 
+function onWindowRowFormatAriaLabel(row) {
+    var childCount = this.getDescendantRows(row).filter('[rowtype=page]').length;
+    return (row.attr('label') || row.attr('text') || getMessage('text_Window'))
+        + ' (' + childCount + ' ' + getMessage(childCount == 1 ? 'text_page' : 'text_pages') + ')';
+}
+
 function onWindowRowFormatTooltip(evt) {
     var incognito = (evt.data.row.attr('incognito') == 'true');
     var popup = (evt.data.row.attr('type') == 'popup');
@@ -390,7 +519,7 @@ function getTrimmedPageTitle(row) {
         }
 
         if (reformatPrev && nearby.index() == 0) {
-            onPageRowFormatTitle(nearby, nearby.find('> .ftItemRow > .ftItemRowContent > .ftInnerRow > .ftItemText'));
+            onPageRowFormatTitle.call(this, nearby, nearby.find('> .ftItemRow > .ftItemRowContent > .ftInnerRow > .ftItemText'));
         }
 
         if (nearby && nearby.attr('rowtype') == 'page') {
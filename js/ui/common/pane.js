@@ -24,6 +24,7 @@ function initSidebarPane() {
     }
     bg = chrome.extension.getBackgroundPage();
     settings = bg.settings;
+    bg.applyTheme(document);
 
     if ($ && $.fx) {
         $.fx.off = !settings.get('animationEnabled');
@@ -658,13 +658,13 @@ async function submitBugReport() {
 ///////////////////////////////////////////////////////////
 
 async function restoreFromPreviousSessionBackup() {
-    var backup = await settings.loadData('backupPageTreeLastSession', []);
+    var backup = await bg.loadVersionedData('backupPageTreeLastSession', []);
     var when;
     if (backup.length > 0) {
         when = 'during your PREVIOUS browser session';
     }
     else {
-        backup = await settings.lodaData('backupPageTree', []);
+        backup = await bg.loadVersionedData('backupPageTree', []);
         if (backup.length > 0) {
             when = 'earlier THIS browser session';
         }
@@ -680,9 +680,13 @@ async function restoreFromPreviousSessionBackup() {
         return;
     }
 
-    alert('Sidewise will now restart to complete the restore operation.');
+    if (!await bg.tree.changeLog.replaceCheckpoint(backup)) {
+        alert('Sorry, but the backup could not be restored. Sidewise will now restart with the tree as it was last saved.');
+    }
+    else {
+        alert('Sidewise will now restart to complete the restore operation.');
+    }
 
-    await settings.saveData('pageTree', backup);
     bg.setTimeout(bg.restartSidewise, 100);
     setTimeout(function() { window.close(); }, 10);
 }
@@ -692,20 +696,26 @@ async function restoreFromPreviousSessionBackup() {
 ///////////////////////////////////////////////////////////
 
 async function exportState() {
-    await bg.savePageTree(bg.tree, 'pageTree', true);
+    await bg.tree.changeLog.save(true);
     var head = '/* Sidewise Data Export: v' + getVersion() + ' exported on ' + Date().toString() + ' */ ';
     var tail = ' /* End Sidewise Data */';
     copyTextToClipboard(head + await bg.settings.toJSON() + tail);
     alert('Sidewise\'s configuration and state data has been exported and copied to your clipboard.\n\nPaste this into a text file to save it.');
 }
 
+// Save the whole page tree as a file in the given bg.PAGETREE_EXPORT_FORMATS format
+function exportTree(format) {
+    var text = bg.exportPageTree(format);
+    saveTextAsFile(text, bg.getPageTreeExportFilename(format), bg.PAGETREE_EXPORT_FORMATS[format].mimeType);
+}
+
 function importState() {
     var html = 'Paste the previously exported Sidewise data into the box below:<br/><textarea rows="10" cols="34" id="importBox" name="data" spellcheck="false"></textarea>';
     var importPrompt = $.prompt(html, { prefix: 'cleanblue', buttons: { 'OK': true, 'Cancel': false }, callback: doImportState });
     importPrompt.bind('promptloaded', () => $('#importBox').focus());
 }
 
-function doImportState(e,v,m,f) {
+async function doImportState(e,v,m,f) {
     if (!v) {
         // user hit Cancel
         return;
@@ -722,7 +732,14 @@ function doImportState(e,v,m,f) {
     data = data.replace(/\/\*.+?\*\/\s*$/, '');
 
     try {
-        bg.settings.importFromJSON(data);
+        // reject data which is not valid before anything is changed
+        JSON.parse(data);
+
+        // keep the running tree from saving over the import, and drop its logged changes so
+        // they are not replayed onto the imported tree
+        await bg.tree.changeLog.disable();
+        await bg.tree.changeLog.removeLogEntriesAfter(0);
+        await bg.settings.importFromJSON(data);
     }
     catch (ex) {
         alert(`There was a problem importing the data.\n\n${ex.message}\n\n${ex.stack}`);
@@ -733,4 +750,476 @@ function doImportState(e,v,m,f) {
 
     bg.restartSidewise();
     setTimeout(function() { document.location.reload(); }, 3000);
-}
\ No newline at end of file
+}
+
+// Let the user pick or paste tabs saved by another extension, preview the tree they will
+// produce, then add it to the page tree as hibernated rows
+function importTabs() {
+    var importTree;
+
+    var formatOptions = Object.keys(bg.PAGETREE_IMPORT_FORMATS).map(function(e) {
+        return '<option value="' + e + '">' + getMessage('import_format_' + e) + '</option>';
+    }).join('');
+
+    var states = {
+        source: {
+            html: getMessage('import_sourcePrompt') + '<br/>'
+                + '<select id="importTabsFormat" name="format">' + formatOptions + '</select><br/>'
+                + '<input type="file" id="importTabsFile"/><br/>'
+                + '<textarea rows="10" cols="34" id="importTabsBox" name="data" spellcheck="false"></textarea>',
+            buttons: [
+                { title: getMessage('import_previewButton'), value: true },
+                { title: getMessage('import_cancelButton'), value: false }
+            ],
+            submit: function(e, v, m, f) {
+                if (!v) {
+                    return;
+                }
+                e.preventDefault();
+
+                if (!f.data) {
+                    alert(getMessage('import_noData'));
+                    return;
+                }
+
+                try {
+                    importTree = bg.parseImportedTabs(f.data, f.format);
+                }
+                catch (ex) {
+                    alert(getMessage('import_parseError', [getMessage('import_format_' + f.format), ex.message]));
+                    return;
+                }
+
+                var counts = bg.getImportedTreeCounts(importTree);
+                $('#importTabsPreviewHeading').text(getMessage('import_previewHeading', [counts.windows.toString(), counts.pages.toString()]));
+                $('#importTabsPreview').empty().append(getImportedTreePreviewList(importTree.tree));
+                $.prompt.goToState('preview');
+            }
+        },
+        preview: {
+            html: '<div id="importTabsPreviewHeading"></div><div id="importTabsPreview"></div>',
+            buttons: [
+                { title: getMessage('import_importButton'), value: 'import' },
+                { title: getMessage('import_backButton'), value: 'back' },
+                { title: getMessage('import_cancelButton'), value: false }
+            ],
+            submit: function(e, v, m, f) {
+                if (v == 'back') {
+                    e.preventDefault();
+                    $.prompt.goToState('source');
+                    return;
+                }
+                if (v != 'import') {
+                    return;
+                }
+
+                var counts = bg.getImportedTreeCounts(importTree);
+                bg.addImportedTree(importTree);
+                showStatusMessage(getMessage('import_success', [counts.pages.toString()]));
+            }
+        }
+    };
+
+    var importPrompt = $.prompt(states, { prefix: 'cleanblue' });
+    importPrompt.bind('promptloaded', function() {
+        $('#importTabsFile').change(function() {
+            var file = this.files[0];
+            if (!file) {
+                return;
+            }
+            var reader = new FileReader();
+            reader.onload = function() {
+                $('#importTabsBox').val(reader.result);
+            };
+            reader.readAsText(file);
+        });
+        $('#importTabsBox').focus();
+    });
+}
+
+// Returns a nested <ul> showing the titles of nodes and their descendants
+function getImportedTreePreviewList(nodes) {
+    var $list = $('<ul/>');
+    nodes.forEach(function(node) {
+        var text = node.label || node.title;
+        if (node.elemType == 'page' && node.label) {
+            text = node.label + ': ' + node.title;
+        }
+        var $item = $('<li/>').text(text).attr('title', node.url || '');
+        if (node.elemType == 'window') {
+            $item.addClass('importedWindow');
+        }
+        if (node.children.length > 0) {
+            $item.append(getImportedTreePreviewList(node.children));
+        }
+        $list.append($item);
+    });
+    return $list;
+}
+
+// Save the user CSS editor's contents as the user CSS and apply it to the sidebar and every pane
+function applyUserCss() {
+    settings.set('userCss', $('#userCssEditor').val());
+    settings.updateStateFromSettings('userCss');
+    showStatusMessage(getMessage('optionsSuccessSavingSetting'));
+}
+
+// Save the theme in use, with the user CSS, as a JSON file
+function exportTheme() {
+    saveTextAsFile(bg.exportTheme(document), 'sidewise-theme.json', 'application/json');
+}
+
+// Let the user pick or paste a theme saved by exportTheme(), then switch to it
+function importTheme() {
+    var html = getMessage('theme_importPrompt') + '<br/>'
+        + '<input type="file" id="importThemeFile" accept=".json,application/json"/><br/>'
+        + '<textarea rows="10" cols="34" id="importThemeBox" name="data" spellcheck="false"></textarea>';
+
+    var importPrompt = $.prompt(html, {
+        prefix: 'cleanblue',
+        buttons: { 'OK': true, 'Cancel': false },
+        submit: function(e, v, m, f) {
+            if (!v) {
+                return;
+            }
+            if (!f.data) {
+                e.preventDefault();
+                alert(getMessage('import_noData'));
+                return;
+            }
+
+            try {
+                bg.importTheme(f.data);
+            }
+            catch (ex) {
+                e.preventDefault();
+                alert(getMessage('theme_importError', [ex.message]));
+                return;
+            }
+
+            $('#theme').val(settings.get('theme'));
+            $('#userCssEditor').val(settings.get('userCss'));
+            settings.updateStateFromSettings('theme');
+            showStatusMessage(getMessage('theme_importSuccess'));
+        }
+    });
+
+    importPrompt.bind('promptloaded', function() {
+        $('#importThemeFile').change(function() {
+            var file = this.files[0];
+            if (!file) {
+                return;
+            }
+            var reader = new FileReader();
+            reader.onload = function() {
+                $('#importThemeBox').val(reader.result);
+            };
+            reader.readAsText(file);
+        });
+        $('#importThemeBox').focus();
+    });
+}
+
+// Check the page tree's integrity and show the report, letting the user repair issues one at a time or all at once
+async function showTreeIntegrityCheck() {
+    var report = await bg.checkTreeIntegrity();
+
+    var states = {
+        report: {
+            html: '<div id="integrityReport"></div>',
+            buttons: [
+                { title: getMessage('integrity_repairAllButton'), value: 'all' },
+                { title: getMessage('integrity_checkAgainButton'), value: 'check' },
+                { title: getMessage('integrity_closeButton'), value: false }
+            ],
+            submit: function(e, v, m, f) {
+                if (!v) {
+                    return;
+                }
+                e.preventDefault();
+
+                if (v == 'all') {
+                    repair(report.issues);
+                    return;
+                }
+                bg.checkTreeIntegrity().then(showReport);
+            }
+        }
+    };
+
+    var showReport = function(newReport) {
+        report = newReport;
+        var $report = $('#integrityReport').empty();
+        if (report.issues.length == 0) {
+            $report.text(getMessage('integrity_noIssues'));
+            return;
+        }
+
+        $report.append($('<div/>').text(getMessage('integrity_reportHeading', [report.issues.length.toString()])));
+        var $list = $('<ul/>');
+        report.issues.forEach(function(issue, i) {
+            $list.append($('<li/>').text(issue.description).append(
+                $('<span class="link integrityRepairLink"/>').text(getMessage('integrity_repairButton')).attr('issueIndex', i)));
+        });
+        $report.append($list);
+    };
+
+    var repair = async function(issues) {
+        showReport(await bg.repairTreeIntegrityIssues(issues));
+        showStatusMessage(getMessage('integrity_repaired'));
+    };
+
+    var integrityPrompt = $.prompt(states, { prefix: 'cleanblue' });
+    integrityPrompt.bind('promptloaded', function() {
+        showReport(report);
+        $('#integrityReport').on('click', '.integrityRepairLink', function() {
+            repair([report.issues[$(this).attr('issueIndex')]]);
+        });
+    });
+}
+
+// Find duplicate pages and show them in clusters, letting the user pick which page of each to keep and
+// close or merge the rest, one cluster at a time or all at once
+function showDuplicatePages() {
+    var clusters = bg.findDuplicatePages();
+
+    var states = {
+        report: {
+            html: '<div id="duplicatesReport"></div>',
+            buttons: [
+                { title: getMessage('duplicates_mergeAllButton'), value: 'merge' },
+                { title: getMessage('duplicates_closeAllButton'), value: 'close' },
+                { title: getMessage('duplicates_findAgainButton'), value: 'find' },
+                { title: getMessage('duplicates_doneButton'), value: false }
+            ],
+            submit: function(e, v, m, f) {
+                if (!v) {
+                    return;
+                }
+                e.preventDefault();
+
+                if (v != 'find') {
+                    clusters.forEach(function(cluster, i) { resolve(i, v); });
+                }
+                showReport();
+            }
+        }
+    };
+
+    var showReport = function() {
+        clusters = bg.findDuplicatePages();
+        var $report = $('#duplicatesReport').empty();
+        if (clusters.length == 0) {
+            $report.text(getMessage('duplicates_noDuplicates'));
+            return;
+        }
+
+        $report.append($('<div/>').text(getMessage('duplicates_reportHeading', [clusters.length.toString()])));
+        clusters.forEach(function(cluster, i) {
+            var $cluster = $('<div class="duplicatesCluster"/>')
+                .append($('<div class="duplicatesUrl"/>').text(cluster.url));
+
+            cluster.pages.forEach(function(page, j) {
+                var $radio = $('<input type="radio"/>').attr('name', 'keep' + i).val(page.id).attr('checked', j == 0);
+                var $label = $('<label/>').append($radio, $('<span/>').text(' ' + (page.label || page.title)));
+                if (page.hibernated) {
+                    $label.append($('<span class="duplicatesHibernated"/>').text(' ' + getMessage('duplicates_hibernated')));
+                }
+                $cluster.append($('<div/>').append($label));
+            });
+
+            $cluster.append(
+                $('<span class="link duplicatesResolveLink"/>').text(getMessage('duplicates_mergeButton')).attr({ clusterIndex: i, action: 'merge' }),
+                $('<span class="link duplicatesResolveLink"/>').text(getMessage('duplicates_closeButton')).attr({ clusterIndex: i, action: 'close' }));
+            $report.append($cluster);
+        });
+    };
+
+    // Keep the picked page of clusters[i] and close or merge the others
+    var resolve = function(i, action) {
+        var keepId = $('input[name=keep' + i + ']:checked').val();
+        var otherIds = clusters[i].pages
+            .map(function(e) { return e.id; })
+            .filter(function(id) { return id != keepId; });
+        bg.resolveDuplicatePages(keepId, otherIds, action);
+    };
+
+    var duplicatesPrompt = $.prompt(states, { prefix: 'cleanblue' });
+    duplicatesPrompt.bind('promptloaded', function() {
+        showReport();
+        $('#duplicatesReport').on('click', '.duplicatesResolveLink', function() {
+            resolve(parseInt($(this).attr('clusterIndex')), $(this).attr('action'));
+            showReport();
+        });
+    });
+}
+
+// Groups of storage keys shown in the storage usage breakdown; keys go in the first group they match
+var STORAGE_USAGE_GROUPS = [
+    { name: 'pageTree', pattern: /^pageTree/ },
+    { name: 'backups', pattern: /^backupPageTree/ },
+    { name: 'recentlyClosed', pattern: /^recentlyClosedTree$/ },
+    { name: 'ghostTree', pattern: /^ghostTree$/ },
+    { name: 'snapshots', pattern: /^treeSnapshot/ },
+    { name: 'pageSnapshots', pattern: /^pageSnapshot/ },
+    { name: 'activityFeed', pattern: /^activityFeed$/ },
+    { name: 'workspaces', pattern: /^workspaces$/ },
+    { name: 'notepad', pattern: /^notepad/ },
+    { name: 'quarantine', pattern: /^quarantinedData$/ },
+    { name: 'other', pattern: /./ }
+];
+
+// Show how much of chrome.storage.local each kind of stored data takes up, stored and decoded
+async function showStorageUsage() {
+    var usage = await settings.getStorageUsage();
+
+    var groups = STORAGE_USAGE_GROUPS.map(function(group) {
+        return { name: group.name, pattern: group.pattern, keys: 0, storedBytes: 0, dataBytes: 0, codecs: [] };
+    });
+    usage.items.forEach(function(item) {
+        var group = firstElem(groups, function(g) { return g.pattern.test(item.key); });
+        group.keys++;
+        group.storedBytes += item.storedBytes;
+        group.dataBytes += item.dataBytes;
+        if (group.codecs.indexOf(item.codec) == -1) {
+            group.codecs.push(item.codec);
+        }
+    });
+
+    var $table = $('<table/>').append($('<tr/>').append(
+        $('<th/>').text(getMessage('storageUsage_dataColumn')),
+        $('<th/>').text(getMessage('storageUsage_keysColumn')),
+        $('<th/>').text(getMessage('storageUsage_storedColumn')),
+        $('<th/>').text(getMessage('storageUsage_decodedColumn')),
+        $('<th/>').text(getMessage('storageUsage_codecColumn'))));
+
+    groups.forEach(function(group) {
+        if (group.keys == 0) {
+            return;
+        }
+        $table.append($('<tr/>').append(
+            $('<td/>').text(getMessage('storageUsage_group_' + group.name)),
+            $('<td class="number"/>').text(group.keys),
+            $('<td class="number"/>').text(formatStorageBytes(group.storedBytes)),
+            $('<td class="number"/>').text(formatStorageBytes(group.dataBytes)),
+            $('<td/>').text(group.codecs.join(', '))));
+    });
+
+    var states = {
+        usage: {
+            html: '<div id="storageUsageReport"></div>',
+            buttons: [{ title: getMessage('storageUsage_closeButton'), value: true }]
+        }
+    };
+
+    var usagePrompt = $.prompt(states, { prefix: 'cleanblue' });
+    usagePrompt.bind('promptloaded', function() {
+        $('#storageUsageReport').append(
+            $('<div/>').text(getMessage('storageUsage_total', [formatStorageBytes(usage.totalBytes)])),
+            $table);
+    });
+}
+
+function formatStorageBytes(bytes) {
+    if (bytes < 1024) {
+        return bytes + ' B';
+    }
+    if (bytes < 1024 * 1024) {
+        return (bytes / 1024).toFixed(1) + ' KB';
+    }
+    return (bytes / 1024 / 1024).toFixed(2) + ' MB';
+}
+
+// Show whether stored data is encrypted and offer to turn encryption on or off accordingly
+function setStorageEncryptionState() {
+    var cipher = settings.cipher;
+    var status = !cipher.isEnabled() ? 'off' : (cipher.isLocked() ? 'locked' : 'on');
+    $('#storageEncryptionStatus').text(getMessage('encryption_status_' + status));
+    $('#enableEncryptionButton').toggle(!cipher.isEnabled());
+    $('#disableEncryptionButton').toggle(cipher.isEnabled());
+}
+
+// Ask for a new passphrase, twice, then encrypt stored data with it
+function enableStorageEncryption() {
+    var states = {
+        passphrase: {
+            html: getMessage('encryption_enablePrompt') + '<br/>'
+                + '<input type="password" id="encryptionPassphrase" name="passphrase"/><br/>'
+                + getMessage('encryption_confirmPrompt') + '<br/>'
+                + '<input type="password" name="confirmation"/>',
+            buttons: [
+                { title: getMessage('encryption_enableButton'), value: true },
+                { title: getMessage('encryption_cancelButton'), value: false }
+            ],
+            submit: function(e, v, m, f) {
+                if (!v) {
+                    return;
+                }
+                e.preventDefault();
+
+                if (!f.passphrase) {
+                    alert(getMessage('encryption_noPassphrase'));
+                    return;
+                }
+                if (f.passphrase != f.confirmation) {
+                    alert(getMessage('encryption_passphraseMismatch'));
+                    return;
+                }
+
+                settings.enableStorageEncryption(f.passphrase).then(function() {
+                    $.prompt.close();
+                    setStorageEncryptionState();
+                    showStatusMessage(getMessage('encryption_enabled'));
+                }).catch(function(ex) {
+                    $.prompt.close();
+                    setStorageEncryptionState();
+                    showErrorMessage(getMessage('encryption_error', [ex.message]));
+                });
+            }
+        }
+    };
+
+    var encryptionPrompt = $.prompt(states, { prefix: 'cleanblue' });
+    encryptionPrompt.bind('promptloaded', function() {
+        $('#encryptionPassphrase').focus();
+    });
+}
+
+// Ask for the passphrase, then store the encrypted data in the clear again
+function disableStorageEncryption() {
+    var states = {
+        passphrase: {
+            html: getMessage('encryption_disablePrompt') + '<br/>'
+                + '<input type="password" id="encryptionPassphrase" name="passphrase"/>',
+            buttons: [
+                { title: getMessage('encryption_disableButton'), value: true },
+                { title: getMessage('encryption_cancelButton'), value: false }
+            ],
+            submit: function(e, v, m, f) {
+                if (!v) {
+                    return;
+                }
+                e.preventDefault();
+
+                settings.disableStorageEncryption(f.passphrase || '').then(function(disabled) {
+                    if (!disabled) {
+                        alert(getMessage('encryption_wrongPassphrase'));
+                        return;
+                    }
+                    $.prompt.close();
+                    setStorageEncryptionState();
+                    showStatusMessage(getMessage('encryption_disabled'));
+                }).catch(function(ex) {
+                    $.prompt.close();
+                    setStorageEncryptionState();
+                    showErrorMessage(getMessage('encryption_error', [ex.message]));
+                });
+            }
+        }
+    };
+
+    var encryptionPrompt = $.prompt(states, { prefix: 'cleanblue' });
+    encryptionPrompt.bind('promptloaded', function() {
+        $('#encryptionPassphrase').focus();
+    });
+}
@@ -26,14 +26,28 @@ function postInit() {
         .on('click', '#detectMonitorsButton', detectMonitors)
         .on('click', '#submitBugReportButton', submitBugReport)
         .on('click', '#exportButton', exportState)
+        .on('click', '#exportTreeMarkdownButton', function() { exportTree('markdown'); })
+        .on('click', '#exportTreeHtmlButton', function() { exportTree('html'); })
+        .on('click', '#exportTreeOpmlButton', function() { exportTree('opml'); })
         .on('click', '#importButton', importState)
+        .on('click', '#importTabsButton', importTabs)
+        .on('click', '#applyUserCssButton', applyUserCss)
+        .on('click', '#exportThemeButton', exportTheme)
+        .on('click', '#importThemeButton', importTheme)
+        .on('click', '#checkIntegrityButton', showTreeIntegrityCheck)
+        .on('click', '#findDuplicatesButton', showDuplicatePages)
+        .on('click', '#storageUsageButton', showStorageUsage)
+        .on('click', '#enableEncryptionButton', enableStorageEncryption)
+        .on('click', '#disableEncryptionButton', disableStorageEncryption)
         .on('click', '#recoverLastSessionButton', restoreFromPreviousSessionBackup)
         .on('click', '#donateLink', onDonateLinkClick)
         .on('click', '#loggingEnabled', onLoggingEnabledClick)
         .on('click', '#panePickerExpander', showPanePicker);
 
     $('#panePickerContainer').hide();
+    $('#userCssEditor').val(settings.get('userCss'));
     setSubmitBugReportButtonDisabledState();
+    setStorageEncryptionState();
 
     $('#version').text(getMessage('text_Version') + ' ' + getVersion());
     setMonitorCountInfo(settings.get('monitorMetrics').length, false);
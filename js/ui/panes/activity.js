@@ -0,0 +1,74 @@
+"use strict";
+
+///////////////////////////////////////////////////////////
+// Initialization
+///////////////////////////////////////////////////////////
+
+initSidebarPane();
+
+$(document).ready(function() {
+    setI18NText();
+
+    bg.activityFeed.entries.slice().reverse().forEach(onActivityFeedEntryAdded);
+    updateNoEntries();
+
+    $('#clearActivity').click(onClearActivityClick);
+    $('#entries').on('click', '.activityEntryPage', onEntryPageClick);
+
+    bg.sidebarHandler.registerSidebarPane('activity', window);
+});
+
+
+///////////////////////////////////////////////////////////
+// Entries
+///////////////////////////////////////////////////////////
+
+// Called by the background page's ActivityFeed for each entry added while this pane is open
+function onActivityFeedEntryAdded(entry) {
+    var $entry = $('<li class="activityEntry"/>')
+        .append($('<div class="activityEntryTime"/>').text(new Date(entry.at).toString().replace(/ GMT.+/, '')))
+        .append($('<div class="activityEntryText"/>').text(bg.getActivityFeedEntryText(entry)));
+
+    entry.pages.forEach(function(page) {
+        var $page = $('<a class="activityEntryPage"/>')
+            .attr('pageid', page.id)
+            .attr('title', page.url)
+            .text(page.title || page.url);
+        if (page.favicon) {
+            $page.css('background-image', 'url("' + page.favicon.replace(/"/g, '%22') + '")');
+        }
+        $entry.append($page);
+    });
+
+    $('#entries').prepend($entry);
+    updateNoEntries();
+}
+
+function updateNoEntries() {
+    $('#noEntries').toggle($('#entries').children().length == 0);
+}
+
+// Wake the clicked page, or just focus it if it is awake
+function onEntryPageClick(evt) {
+    var $page = $(evt.target);
+    var page = bg.tree.getNode($page.attr('pageid'));
+    if (!page) {
+        $page.addClass('gone');
+        return false;
+    }
+
+    if (page.hibernated) {
+        bg.tree.awakenPages([page.id], true);
+    }
+    else {
+        chrome.tabs.update(page.chromeId, { active: true });
+    }
+    return false;
+}
+
+function onClearActivityClick() {
+    bg.activityFeed.clear();
+    $('#entries').empty();
+    updateNoEntries();
+    return false;
+}
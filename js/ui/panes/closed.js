@@ -100,12 +100,16 @@ function createFancyTree(treeReplaceSelector, filterBoxReplaceSelector, pageTree
         filterPlaceholderText: getMessage('prompt_filterPlaceholderText'),
         filterActiveText: getMessage('prompt_filterActiveText'),
         useAdvancedFiltering: settings.get('useAdvancedTreeFiltering'),
+        filterQueryHandler: getPageTreeFilterQueryHandler(pageTree),
         clickOnHoverDelayMs: clickOnHoverDelayMs,
         clickOnMouseWheel: settings.get('pages_clickOnMouseWheel'),
+        keymap: settings.get('treeKeymap'),
+        ariaLabel: getMessage('sidebarLabel_ClosedPages'),
         logger: bg.log
     });
 
     $('.ftFilterStatus').attr('title', getMessage('pages_omniboxTip'));
+    $('.ftFilterInput').attr('title', getMessage('prompt_filterQueryTip'));
 
     setTimeout(function() { populateFancyTreeFromPageTree(fancyTree, pageTree); }, 0);
 
@@ -12,14 +12,14 @@ $(document).ready(() => {
 async function onReady() {
     setI18NText();
 
-    var notepadData = await settings.loadData('notepadContent', '');
+    var notepadData = await bg.loadVersionedData('notepadContent', '');
 
     if (notepadData === '') {
         // If notepad data was previously stored in localStorage, migrate it now
         var oldData = settings.get('notepadContent', '');
 
         if (oldData !== '') {
-            await settings.saveData('notepadContent', oldData);
+            await bg.saveVersionedData('notepadContent', oldData);
             settings.set('notepadContent', undefined);
             notepadData = oldData;
             console.log('Migrated notepad data to chrome.storage.local');
@@ -29,7 +29,7 @@ async function onReady() {
     $('#notepad')
         .keyup(onNotepadKeyUp)
         .keydown(onNotepadKeyDown)
-        .val(settings.get('notepadContent', ''))
+        .val(notepadData)
         .focus();
 
     var lastSavedDateVal = settings.get('notepadSavedAt');
@@ -57,7 +57,7 @@ function onNotepadKeyDown(evt) {
 }
 
 async function saveNotepad() {
-    await settings.saveData('notepadContent', $('#notepad').val());
+    await bg.saveVersionedData('notepadContent', $('#notepad').val());
 
     var dateVal = Date.now();
     settings.set('notepadSavedAt', dateVal);
@@ -23,6 +23,17 @@ function onBodyKeyDown(evt) {
         }
         return false;
     }
+
+    // Ctrl+Z: undo, Ctrl+Shift+Z: redo; leave text inputs such as the filter box alone
+    if (evt.ctrlKey && evt.keyCode == 90 && !$(evt.target).is('input, textarea')) {
+        if (evt.shiftKey) {
+            bg.tree.journal.redo();
+        }
+        else {
+            bg.tree.journal.undo();
+        }
+        return false;
+    }
 }
 
 function initDebugBar() {
@@ -108,12 +119,24 @@ function createFancyTree(treeReplaceSelector, filterBoxReplaceSelector, pageTree
         filterPlaceholderText: getMessage('prompt_filterPlaceholderText'),
         filterActiveText: getMessage('prompt_filterActiveText'),
         useAdvancedFiltering: settings.get('useAdvancedTreeFiltering'),
+        filterQueryHandler: getPageTreeFilterQueryHandler(pageTree),
+        filterExtraTextHandler: function(filter) { return bg.pageSnapshots.findByText(filter); },
+        filterModelHandler: getPageTreeFilterModelHandler(pageTree),
         clickOnHoverDelayMs: clickOnHoverDelayMs,
         clickOnMouseWheel: settings.get('pages_clickOnMouseWheel'),
+        keymap: settings.get('treeKeymap'),
+        ariaLabel: getMessage('sidebarLabel_Pages'),
+        virtualized: pageTree.filter(function(e) { return true; }).length >= PAGETREE_VIRTUALIZE_MIN_ROWS,
+        keyActions: {
+            hibernate: function($rows) { togglePageRowsHibernated($rows.filter('[rowtype=page]'), 0); },
+            close: onKeyActionClose,
+            setLabel: setRowLabels
+        },
         logger: bg.log
     });
 
     $('.ftFilterStatus').attr('title', getMessage('pages_omniboxTip'));
+    $('.ftFilterInput').attr('title', getMessage('prompt_filterQueryTip'));
 
     setTimeout(function() { populateFancyTreeFromPageTree(fancyTree, pageTree); }, 0);
 
@@ -192,6 +215,9 @@ function addPageTreeNodeToFancyTree(fancyTree, node, parentId, beforeSiblingId)
 // Background page callback proxy listener
 ///////////////////////////////////////////////////////////
 
+// Proxy callbacks waiting to be applied in the next animation frame, while a batch is pending
+var pendingProxyCallbacks = null;
+
 function PageTreeCallbackProxyListener(op, args)
 {
     if (!window) {
@@ -201,6 +227,40 @@ function PageTreeCallbackProxyListener(op, args)
         return;
     }
 
+    if (op == 'batch') {
+        // apply a committed transaction's ops all in one frame
+        if (!pendingProxyCallbacks) {
+            pendingProxyCallbacks = [];
+            requestAnimationFrame(applyPendingProxyCallbacks);
+        }
+        pendingProxyCallbacks = pendingProxyCallbacks.concat(args.ops);
+        return;
+    }
+
+    if (pendingProxyCallbacks) {
+        // keep ops in order behind the pending batch
+        pendingProxyCallbacks.push({ op: op, args: args });
+        return;
+    }
+
+    applyPageTreeCallback(op, args);
+}
+
+function applyPendingProxyCallbacks() {
+    var callbacks = pendingProxyCallbacks;
+    pendingProxyCallbacks = null;
+    callbacks.forEach(function(e) {
+        try {
+            applyPageTreeCallback(e.op, e.args);
+        }
+        catch (ex) {
+            log('Error applying batched op', e.op, e.args, ex);
+        }
+    });
+}
+
+function applyPageTreeCallback(op, args)
+{
     // log(op, args);
     switch (op)
     {
@@ -209,6 +269,9 @@ function PageTreeCallbackProxyListener(op, args)
             break;
         case 'remove':
             ft.removeRow(args.element.id, args.removeChildren);
+            if (args.element instanceof bg.PageNode) {
+                ft.announce(getMessage('pages_ariaPageClosed', [args.element.label || args.element.title || args.element.url]));
+            }
             break;
         case 'move':
             ft.moveRow(args.element.id, args.newParentId, args.beforeSiblingId, args.keepChildren);
@@ -309,7 +372,7 @@ function onRowsMoved(moves) {
 
         if ($row.hasClass('ftCollapsed')) {
             log('check collapse-hidden descendants for win to win moves');
-            var $winMoveTests = $row.add($row.find('.ftRowNode'));
+            var $winMoveTests = $row.add(ft.getDescendantRows($row));
         }
         else {
             var $winMoveTests = $row;
@@ -508,7 +571,7 @@ function allowDropHandler($fromRows, relation, $toRow) {
     }
 
     // do remaining checks also against all non visible children
-    $fromRows = $fromRows.add($fromRows.filter('.ftCollapsed').find('.ftRowNode'));
+    $fromRows = $fromRows.add(ft.getDescendantRows($fromRows.filter('.ftCollapsed')));
 
     // don't allow dropping a non pinned tab to above a pinned one
     var movingNonPinnedTabs = $fromRows.is('[rowtype=page][pinned=false][hibernated=false]');
@@ -549,7 +612,7 @@ function allowDropHandler($fromRows, relation, $toRow) {
                 return false;
             }
 
-            if ($toRow.hasClass('ftCollapsed') && $toRow.find('.ftRowNode[rowtype=page][hibernated=false][pinned=false]').length > 0) {
+            if ($toRow.hasClass('ftCollapsed') && ft.getDescendantRows($toRow).filter('[rowtype=page][hibernated=false][pinned=false]').length > 0) {
                 return false;
             }
         }
@@ -590,7 +653,7 @@ function onContextMenuShow($rows) {
 
     var $firstRow = $rows.first();
     if ($firstRow.attr('rowtype') == 'window') {
-        var $children = $firstRow.find('.ftChildren > .ftRowNode');
+        var $children = ft.getDescendantRows($firstRow);
 
         var hibernatedCount = $children.filter(function(i, e) { return $(e).attr('hibernated') == 'true' }).length;
         var awakeCount = $children.length - hibernatedCount;
@@ -605,6 +668,11 @@ function onContextMenuShow($rows) {
             items.push({ separator: true });
 
         items.push({ $rows: $firstRow, id: 'setLabel', icon: '/images/label.png', label: 'Edit title', callback: onContextMenuItemSetLabel, preserveSelectionAfter: true });
+        if ($children.length > 1)
+            items.push({ $rows: $firstRow, id: 'sortChildren', label: 'Sort tabs by...', items: getSortChildrenContextMenuItems($firstRow) });
+        items = items.concat(getDomainGroupingContextMenuItems($firstRow));
+        items.push({ separator: true });
+        items = items.concat(getExportContextMenuItems($firstRow));
         items.push({ separator: true });
         items.push({ $rows: $firstRow, id: 'closeWindow', icon: '/images/close.png', label: 'Close window', callback: onContextMenuItemCloseWindow });
 
@@ -612,7 +680,7 @@ function onContextMenuShow($rows) {
     }
 
     var $pages = $rows.filter(function(i, e) { return $(e).attr('rowtype') == 'page' });
-    var $descendants = $rows.find('.ftRowNode');
+    var $descendants = ft.getDescendantRows($rows);
     var $branches = $rows.add($descendants);
     var $branchesPages = $branches.filter(function(i, e) { return $(e).attr('rowtype') == 'page' });
 
@@ -628,6 +696,8 @@ function onContextMenuShow($rows) {
     var pinnedCount = $pages.filter(function(i, e) { return $(e).attr('pinned') == 'true'; }).length;
     var unpinnedCount = $pages.length - pinnedCount;
 
+    var snoozedCount = $pages.filter(function(i, e) { var node = bg.tree.getNode(e.id); return node && node.snoozedUntil; }).length;
+
     if (hibernatedCount)
         items.push({ $rows: $pages, id: 'awakenPage', icon: '/images/wake.png', label: 'Wake tab', callback: onContextMenuItemWakePages });
 
@@ -640,6 +710,12 @@ function onContextMenuShow($rows) {
     if (awakeBranchCount && awakeBranchCount != awakeCount)
         items.push({ $rows: $branchesPages, id: 'hibernateBranch', icon: '/images/hibernate_branch.png', label: 'Hibernate branch', callback: onContextMenuItemHibernatePages });
 
+    if ($pages.length > 0)
+        items.push({ $rows: $pages, id: 'snoozePage', icon: '/images/hibernate.png', label: 'Snooze', items: getSnoozeContextMenuItems($pages) });
+
+    if (snoozedCount)
+        items.push({ $rows: $pages, id: 'unsnoozePage', icon: '/images/wake.png', label: 'Unsnooze', callback: onContextMenuItemUnsnooze });
+
     if (awakeCount || hibernatedCount) {
         items.push({ separator: true });
     }
@@ -675,6 +751,11 @@ function onContextMenuShow($rows) {
     items.push({ separator: true });
 
     items.push({ $rows: $rows, id: 'moveToNewFolder', icon: '/images/folder.png', label: 'Put in new folder', callback: onContextMenuItemMoveToNewFolder, preserveSelectionAfter: true });
+    items.push({ $rows: $rows, id: 'selectMatching', label: 'Select rows matching query...', callback: onContextMenuItemSelectMatching, preserveSelectionAfter: true });
+
+    items.push({ separator: true });
+
+    items = items.concat(getExportContextMenuItems($rows));
 
     items.push({ separator: true });
 
@@ -693,11 +774,16 @@ function onContextMenuShow($rows) {
     }
 
     if ($descendants.length > 0) {
-        var $subrows = $descendants.find('.ftRowNode');
+        var $subrows = ft.getDescendantRows($descendants);
         if ($subrows.length > 0) {
             items.push({ $rows: $rows, id: 'flattenBranch', icon: '/images/text_indent_remove.png', label: 'Flatten branch', callback: onContextMenuItemFlattenBranch, preserveSelectionAfter: true });
         }
         items.push({ $rows: $rows, id: 'promoteChildren', icon: '/images/text_indent_promote.png', label: 'Promote children', callback: onContextMenuItemPromoteChildren, preserveSelectionAfter: true });
+        items.push({ $rows: $rows, id: 'sortChildren', label: 'Sort children by...', items: getSortChildrenContextMenuItems($rows) });
+    }
+
+    if ($rows.length == 1 && $firstRow.attr('rowtype') == 'folder') {
+        items = items.concat(getDomainGroupingContextMenuItems($firstRow));
     }
 
     if ($rows.length != $branches.length) {
@@ -707,6 +793,17 @@ function onContextMenuShow($rows) {
     return items;
 }
 
+function onKeyActionClose($rows) {
+    $rows.reverse().each(function(i, e) {
+        var $e = $(e);
+        if ($e.attr('rowtype') == 'window') {
+            closeWindowRow($e);
+            return;
+        }
+        closeRow($e);
+    });
+}
+
 function onContextMenuItemCloseWindow($rows) {
     closeWindowRow($rows.first());
 }
@@ -716,7 +813,7 @@ function onContextMenuItemClosePages($rows) {
 }
 
 function onContextMenuItemCloseBranches($rows) {
-    var $children = $rows.find('.ftRowNode');
+    var $children = ft.getDescendantRows($rows);
     var childrenCount = $children.length;
     var threshold = settings.get('multiSelectActionConfirmThreshold');
 
@@ -745,6 +842,56 @@ function onContextMenuItemWakePages($rows) {
     togglePageRowsHibernated($rows, 1);
 }
 
+// Returns the submenu of Snooze: preset times to snooze $rows until, and Custom... to enter one
+function getSnoozeContextMenuItems($rows) {
+    var presets = [
+        { id: 'later', label: 'Later today' },
+        { id: 'tomorrow', label: 'Tomorrow morning' },
+        { id: 'nextweek', label: 'Next week' }
+    ];
+
+    var items = presets.map(function(preset) {
+        return {
+            $rows: $rows,
+            id: 'snoozePage_' + preset.id,
+            label: preset.label,
+            callback: function($rows) { snoozeRows($rows, preset.id); }
+        };
+    });
+    items.push({ $rows: $rows, id: 'snoozePage_custom', label: 'Custom...', callback: onContextMenuItemSnoozeCustom });
+    return items;
+}
+
+function onContextMenuItemSnoozeCustom($rows) {
+    var timeText = prompt(getMessage('prompt_snooze'), '2h');
+
+    if (timeText === null) {
+        // user cancelled
+        return;
+    }
+
+    snoozeRows($rows, timeText);
+}
+
+// Snooze the pages of $rows until the time timeText describes; see bg.parseSnoozeTime()
+function snoozeRows($rows, timeText) {
+    var wakeAt = bg.parseSnoozeTime(timeText);
+    if (!wakeAt) {
+        alert(getMessage('prompt_snoozeError', [timeText]));
+        return;
+    }
+    bg.snoozeScheduler.snooze(getRowNodes($rows), wakeAt);
+}
+
+function onContextMenuItemUnsnooze($rows) {
+    bg.snoozeScheduler.wake(getRowNodes($rows).filter(function(e) { return e.snoozedUntil; }));
+}
+
+// Returns the tree nodes of $rows which are still in the tree
+function getRowNodes($rows) {
+    return $rows.map(function(i, e) { return bg.tree.getNode(e.id); }).get().filter(function(e) { return e; });
+}
+
 function onContextMenuItemReload($rows) {
     $rows.each(function(i, e) {
         var $e = $(e);
@@ -760,6 +907,33 @@ function onContextMenuItemSetLabel($rows) {
     setRowLabels($rows);
 }
 
+// Replace the selection with the rows matching a query, ready for a bulk action from the context menu
+function onContextMenuItemSelectMatching($rows) {
+    var filter = ft.filterElem.children('.ftFilterInput').val();
+    var queryText = prompt(getMessage('prompt_selectMatchingQuery'), bg.isTreeQuery(filter) ? filter : '');
+
+    if (queryText === null) {
+        // user cancelled
+        return;
+    }
+
+    try {
+        var matches = bg.tree.query(queryText);
+    }
+    catch (ex) {
+        alert(getMessage('prompt_queryError', [ex.message]));
+        return;
+    }
+
+    ft.clearMultiSelection();
+    matches.forEach(function(node) {
+        var elem = document.getElementById(node.id);
+        if (elem) {
+            ft.toggleMultiSelectionSingle($(elem), true);
+        }
+    });
+}
+
 function onContextMenuItemSetHighlight($rows) {
     $rows.each(function(i, e) { setRowHighlight($(e), 1); });
 }
@@ -819,18 +993,55 @@ function onContextMenuItemMoveToNewFolder($rows) {
 }
 
 function onContextMenuItemFlattenBranch($rows) {
-    var $subrows = $rows.find('.ftRowNode');
+    var $subrows = ft.getDescendantRows($rows);
     $rows = $rows.add($subrows);
 
     flattenRows($rows, 'prepend', false);
 }
 
 function onContextMenuItemPromoteChildren($rows) {
-    var $children = $rows.children('.ftChildren').children();
+    var $children = ft.getChildrenContainer($rows).children();
 
     flattenRows($rows.add($children), 'after', true);
 }
 
+// Returns the submenu of Sort children by...: a submenu per bg.PAGETREE_SORT_KEYS key, of the
+// orders to sort the children of $rows in
+function getSortChildrenContextMenuItems($rows) {
+    var keys = [
+        { key: 'title', label: 'Title' },
+        { key: 'domain', label: 'Domain' },
+        { key: 'url', label: 'URL' },
+        { key: 'created', label: 'Time opened' },
+        { key: 'focused', label: 'Time last focused' }
+    ];
+    var orders = [
+        { id: 'ascending', label: 'Ascending', descending: false, recursive: false },
+        { id: 'descending', label: 'Descending', descending: true, recursive: false },
+        { id: 'ascendingAll', label: 'Ascending, all levels below', descending: false, recursive: true },
+        { id: 'descendingAll', label: 'Descending, all levels below', descending: true, recursive: true }
+    ];
+
+    return keys.map(function(key) {
+        var orderItems = orders.map(function(order) {
+            return {
+                $rows: $rows,
+                id: 'sortChildren_' + key.key + '_' + order.id,
+                label: order.label,
+                callback: function($rows) { sortChildRows($rows, key.key, order.descending, order.recursive); },
+                preserveSelectionAfter: true
+            };
+        });
+        return { $rows: $rows, id: 'sortChildren_' + key.key, label: key.label + '...', items: orderItems };
+    });
+}
+
+function sortChildRows($rows, key, descending, recursive) {
+    $rows.each(function(i, e) {
+        bg.tree.sortChildren(e.id, key, descending, recursive);
+    });
+}
+
 function flattenRows($rows, relation, keepChildren) {
     for (var i = $rows.length; i >= 0; i--) {
         var $row = $($rows[i]);
@@ -857,6 +1068,34 @@ function onContextMenuItemPinPages($rows) {
         .each(function(i, e) { setPageRowPinnedState($(e), true); });
 }
 
+function getExportContextMenuItems($rows) {
+    return [
+        { $rows: $rows, id: 'exportMarkdown', icon: '/images/copy_url.png', label: 'Export branch as Markdown', callback: function($rows) { exportRows($rows, 'markdown'); }, preserveSelectionAfter: true },
+        { $rows: $rows, id: 'exportHtml', icon: '/images/copy_url.png', label: 'Export branch as bookmarks', callback: function($rows) { exportRows($rows, 'html'); }, preserveSelectionAfter: true },
+        { $rows: $rows, id: 'exportOpml', icon: '/images/copy_url.png', label: 'Export branch as OPML', callback: function($rows) { exportRows($rows, 'opml'); }, preserveSelectionAfter: true }
+    ];
+}
+
+// Returns Ungroup for a window or folder row which was grouped by domain, or else Group by domain
+// if it has pages below it
+function getDomainGroupingContextMenuItems($row) {
+    var node = bg.tree.getNode($row.attr('id'));
+    if (node.domainGroups) {
+        return [{ $rows: $row, id: 'ungroupByDomain', icon: '/images/text_indent_remove.png', label: 'Ungroup', callback: function($rows) { bg.tree.ungroupByDomain($rows.first().attr('id')); }, preserveSelectionAfter: true }];
+    }
+    if (ft.getDescendantRows($row).filter('[rowtype=page]').length == 0) {
+        return [];
+    }
+    return [{ $rows: $row, id: 'groupByDomain', icon: '/images/folder.png', label: 'Group by domain', callback: function($rows) { bg.tree.groupByDomain($rows.first().attr('id')); }, preserveSelectionAfter: true }];
+}
+
+// Save the branches of $rows as a file in the given bg.PAGETREE_EXPORT_FORMATS format
+function exportRows($rows, format) {
+    var nodes = $rows.map(function(i, e) { return bg.tree.getNode(e.id); }).toArray();
+    var text = bg.exportPageTreeNodes(nodes, format);
+    saveTextAsFile(text, bg.getPageTreeExportFilename(format), bg.PAGETREE_EXPORT_FORMATS[format].mimeType);
+}
+
 
 ///////////////////////////////////////////////////////////
 // Folder rowtype handlers
@@ -881,7 +1120,7 @@ function handleFolderRowAction(action, evt) {
             var rowChildrenContainer = ft.getChildrenContainer(evt.data.row);
             var firstChild = rowChildrenContainer.children().first();
             var hibernate = firstChild.attr('hibernated') == 'true' ? 1 : -1;
-            var targets = rowChildrenContainer.find('.ftRowNode[rowtype=page]');
+            var targets = ft.getDescendantRows(evt.data.row).filter('[rowtype=page]');
             togglePageRowsHibernated(targets, hibernate, false);
             break;
         case 'expand':
@@ -898,7 +1137,7 @@ function handleFolderRowAction(action, evt) {
 
 function onFolderRowCloseButton(evt) {
     var $rows = evt.data.row;
-    var $children = evt.data.row.children('.ftChildren').find('.ftRowNode');
+    var $children = ft.getDescendantRows(evt.data.row);
     var childCount = $children.length;
 
     ft.resetDragDropState(function() {
@@ -1003,7 +1242,7 @@ function onPageRowCloseButton(evt) {
 
     ft.resetDragDropState(function() {
         if ($row.hasClass('ftCollapsed')) {
-            var $children = $row.children('.ftChildren').find('.ftRowNode');
+            var $children = ft.getDescendantRows($row);
             var childCount = $children.length;
 
             if (childCount > 0 && confirm('Also close ' + childCount + ' hidden child row(s)?\nPress Cancel to remove the parent row only.')) {
@@ -1041,11 +1280,11 @@ function onWindowRowClick(evt) {
         return;
     }
 
-    var childCount = treeObj.getChildrenContainer(row).find('.ftRowNode[rowtype=page][hibernated=true][restorable=true]').length;
+    var childCount = treeObj.getDescendantRows(row).filter('[rowtype=page][hibernated=true][restorable=true]').length;
     var justRestorables;
 
     if (childCount == 0) {
-        childCount = treeObj.getChildrenContainer(row).find('.ftRowNode[rowtype=page][hibernated=true]').length;
+        childCount = treeObj.getDescendantRows(row).filter('[rowtype=page][hibernated=true]').length;
         justRestorables = false;
     }
     else {
@@ -1137,7 +1376,7 @@ function closeRow($row) {
         bg.tree.removeNode($row.attr('id'));
         setTimeout(function(e) { chrome.tabs.remove(getChromeId($row)); }, 0);
     }
-    if ($parent.attr('rowtype') == 'window' && $parent.find('.ftRowNode').length == 0) {
+    if ($parent.attr('rowtype') == 'window' && ft.getDescendantRows($parent).length == 0) {
         bg.tree.removeNode($parent.attr('id'), true);
     }
 }
@@ -1166,7 +1405,7 @@ function closeWindowRow(row) {
 
         chrome.windows.get(windowId, function(win) {
             if (win) {
-                row.find('.ftRowNode[rowtype=page][hibernated=false]').each(function(i, e) {
+                ft.getDescendantRows(row).filter('[rowtype=page][hibernated=false]').each(function(i, e) {
                     closeRow($(e));
                 });
                 chrome.windows.remove(windowId);
@@ -0,0 +1,186 @@
+"use strict";
+
+///////////////////////////////////////////////////////////
+// Globals
+///////////////////////////////////////////////////////////
+
+var snapshotTree;   // DataTree of the snapshot currently shown in the (read-only) tree
+
+
+///////////////////////////////////////////////////////////
+// Initialization
+///////////////////////////////////////////////////////////
+
+$(document).ready(function() {
+    setI18NText();
+    initPageTree(new bg.DataTree(), 'snapshots', createFancyTree);
+
+    $('#snapshotPicker').change(function() {
+        showSnapshot($(this).val());
+    });
+    populateSnapshotPicker();
+});
+
+function createFancyTree(treeReplaceSelector, filterBoxReplaceSelector, pageTree) {
+    var rowTypes = {
+        'page': {
+            allowedDropTargets: [],
+            onDoubleClick: onRowDoubleClick,
+            onIconError: onPageRowIconError,
+            onFormatTitle: onPageRowFormatTitle
+        },
+        'folder': {
+            allowedDropTargets: [],
+            onDoubleClick: onRowDoubleClick
+        },
+        'window': {
+            allowedDropTargets: [],
+            onDoubleClick: onRowDoubleClick,
+            onFormatTitle: onWindowRowFormatTitle
+        }
+    };
+    copyObjectSubProps(PageTreeRowTypes, rowTypes, false);
+
+    var fancyTree = new FancyTree($(treeReplaceSelector), $(filterBoxReplaceSelector), {
+        rowTypes: rowTypes,
+        onContextMenuShow: onContextMenuShow,
+        scrollTargetElem: $('#main'),
+        showFilterBox: true,
+        autoSelectChildrenOnDrag: false,
+        filterPlaceholderText: getMessage('prompt_filterPlaceholderText'),
+        filterActiveText: getMessage('prompt_filterActiveText'),
+        useAdvancedFiltering: settings.get('useAdvancedTreeFiltering'),
+        keymap: settings.get('treeKeymap'),
+        ariaLabel: getMessage('sidebarLabel_TreeHistory'),
+        logger: bg.log
+    });
+
+    return fancyTree;
+}
+
+
+///////////////////////////////////////////////////////////
+// Snapshot picking and previewing
+///////////////////////////////////////////////////////////
+
+function populateSnapshotPicker() {
+    var $picker = $('#snapshotPicker').empty().removeAttr('disabled');
+    var snapshots = bg.treeSnapshots.getSnapshots();
+
+    if (snapshots.length == 0) {
+        $picker.append($('<option/>').text(getMessage('snapshots_noSnapshots'))).attr('disabled', true);
+        return;
+    }
+
+    snapshots.forEach(function(snapshot) {
+        var generations = snapshot.generations.map(function(e) { return getMessage('snapshots_generation_' + e); });
+        var text = getMessage('snapshots_pickerEntry', [getSnapshotDateText(snapshot), generations.join(', '), snapshot.pageCount.toString()]);
+        $picker.append($('<option/>').val(snapshot.id).text(text));
+    });
+
+    showSnapshot(snapshots[0].id);
+}
+
+async function showSnapshot(snapshotId) {
+    ft.clear();
+    snapshotTree = await bg.treeSnapshots.loadSnapshotTree(snapshotId);
+
+    if (!snapshotTree) {
+        alert(getMessage('snapshots_snapshotMissing'));
+        populateSnapshotPicker();
+        return;
+    }
+
+    if ($('#snapshotPicker').val() != snapshotId) {
+        // a different snapshot was picked while this one was loading
+        return;
+    }
+
+    snapshotTree.forEach(function(e, i, d, a, p) {
+        addSnapshotNodeToFancyTree(ft, e, p ? p.id : undefined);
+    });
+}
+
+function addSnapshotNodeToFancyTree(fancyTree, node, parentId)
+{
+    var row;
+    if (node instanceof bg.WindowNode) {
+        row = fancyTree.getNewRowElem('window', node.id, '/images/tab-stack-16.png', node.label, node.title,
+            {
+                incognito: false,
+                hibernated: true,
+                type: node.type
+            },
+            node.collapsed);
+    }
+    else if (node instanceof bg.PageNode) {
+        row = fancyTree.getNewRowElem('page', node.id, 'chrome://favicon', node.label, node.title,
+            {
+                url: node.url,
+                status: 'complete',
+                pinned: node.pinned,
+                unread: false,
+                hibernated: true,
+                restorable: false,
+                highlighted: node.highlighted,
+                incognito: false
+            },
+            node.collapsed);
+    }
+    else if (node instanceof bg.FolderNode) {
+        row = fancyTree.getNewRowElem('folder', node.id, '/images/folder.png', node.label, 'Folder', {}, node.collapsed);
+    }
+    else {
+        return;
+    }
+
+    fancyTree.addRow(row, parentId);
+    fancyTree.updateRow(row, { icon: node.favicon });
+}
+
+function getSnapshotDateText(snapshot) {
+    return new Date(snapshot.takenAt).toString().replace(/ GMT.+/, '');
+}
+
+
+///////////////////////////////////////////////////////////
+// Restoring
+///////////////////////////////////////////////////////////
+
+function onRowDoubleClick(evt) {
+    restoreRows(evt.data.row);
+}
+
+function onContextMenuShow($rows) {
+    var items = [];
+
+    items.push({ $rows: $rows, id: 'restoreRows', icon: '/images/wake.png', label: getMessage('snapshots_contextMenu_restore'), callback: restoreRows });
+
+    items.push({ separator: true });
+
+    if ($rows.is('[rowtype=page]'))
+        items.push({ $rows: $rows, id: 'copyUrl', icon: '/images/copy_url.png', label: 'Copy URL', callback: onContextMenuItemCopyURL, preserveSelectionAfter: true });
+
+    return items;
+}
+
+// Copy the snapshot nodes of $rows and their descendants into the page tree as hibernated rows
+function restoreRows($rows) {
+    if (!snapshotTree) {
+        return;
+    }
+
+    var snapshot = bg.treeSnapshots.getSnapshots().filter(function(e) { return e.id == $('#snapshotPicker').val(); })[0];
+    var windowLabel = snapshot ? getMessage('snapshots_restoredWindowLabel', [getSnapshotDateText(snapshot)]) : '';
+    var ids = $rows.map(function(i, e) { return e.id; }).toArray();
+
+    bg.treeSnapshots.restoreNodes(snapshotTree, ids, windowLabel);
+
+    try {
+        // show the restored rows in the pages pane via iframe-parent
+        window.parent.manager.showSidebarPane('pages');
+    }
+    catch (ex) {
+        // pages pane is currently disabled by user
+    }
+}
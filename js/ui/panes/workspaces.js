@@ -0,0 +1,161 @@
+"use strict";
+
+///////////////////////////////////////////////////////////
+// Initialization
+///////////////////////////////////////////////////////////
+
+initSidebarPane();
+
+$(document).ready(function() {
+    setI18NText();
+
+    onWorkspacesChanged();
+
+    $('#saveCurrentWorkspace').click(onSaveCurrentWorkspaceClick);
+    $('#exportWorkspaces').click(onExportWorkspacesClick);
+    $('#importWorkspaces').click(function() { $('#importWorkspacesFile').click(); return false; });
+    $('#importWorkspacesFile').change(onImportWorkspacesFileChange);
+
+    $('#workspaces')
+        .on('click', '.workspaceName, .workspaceSwitch', onSwitchWorkspaceClick)
+        .on('click', '.workspaceRename', onRenameWorkspaceClick)
+        .on('click', '.workspaceExport', onExportWorkspaceClick)
+        .on('click', '.workspaceRemove', onRemoveWorkspaceClick);
+
+    bg.sidebarHandler.registerSidebarPane('workspaces', window);
+});
+
+
+///////////////////////////////////////////////////////////
+// Workspace list
+///////////////////////////////////////////////////////////
+
+// Called by the background page's WorkspaceStore whenever workspaces change
+function onWorkspacesChanged() {
+    var $list = $('#workspaces').empty();
+
+    bg.workspaces.workspaces.forEach(function(workspace) {
+        var active = (workspace.id == bg.workspaces.activeId);
+        var windows = bg.workspaces.getWindows(workspace);
+        var pageCount = windows.reduce(function(count, win) {
+            return count + bg.tree.filter(function(e) { return e instanceof bg.PageNode; }, win.children).length;
+        }, 0);
+
+        var $name = $('<div class="workspaceName"/>').text(workspace.name);
+        if (active) {
+            $name.append($('<span class="workspaceActive"/>').text('(' + getMessage('workspaces_active') + ')'));
+        }
+
+        var $actions = $('<div class="workspaceActions"/>');
+        if (!active) {
+            $actions.append($('<a href="#" class="workspaceSwitch"/>').text(getMessage('workspaces_switch')));
+        }
+        $actions
+            .append($('<a href="#" class="workspaceRename"/>').text(getMessage('workspaces_rename')))
+            .append($('<a href="#" class="workspaceExport"/>').text(getMessage('workspaces_export')))
+            .append($('<a href="#" class="workspaceRemove"/>').text(getMessage('workspaces_remove')));
+
+        $('<li class="workspace"/>')
+            .attr('workspaceid', workspace.id)
+            .toggleClass('active', active)
+            .append($name)
+            .append($('<div class="workspaceCounts"/>').text(getMessage('workspaces_counts',
+                [windows.length.toString(), pageCount.toString()])))
+            .append($('<div class="workspaceWindows"/>').text(windows.map(getWindowDescription).join(', ')))
+            .append($actions)
+            .appendTo($list);
+    });
+
+    $('#noWorkspaces').toggle(bg.workspaces.workspaces.length == 0);
+}
+
+// Returns the window's label, or else the title of its first page
+function getWindowDescription(win) {
+    if (win.label) {
+        return win.label;
+    }
+    var page = bg.tree.filter(function(e) { return e instanceof bg.PageNode; }, win.children)[0];
+    return page ? (page.label || page.title || page.url) : win.title;
+}
+
+function getClickedWorkspaceId(evt) {
+    return $(evt.target).closest('.workspace').attr('workspaceid');
+}
+
+
+///////////////////////////////////////////////////////////
+// Actions
+///////////////////////////////////////////////////////////
+
+function onSaveCurrentWorkspaceClick() {
+    var name = prompt(getMessage('workspaces_namePrompt'),
+        getMessage('workspaces_defaultName') + ' ' + (bg.workspaces.workspaces.length + 1));
+    if (name) {
+        bg.workspaces.createFromAwakeWindows(name);
+    }
+    return false;
+}
+
+function onSwitchWorkspaceClick(evt) {
+    var id = getClickedWorkspaceId(evt);
+    if (id != bg.workspaces.activeId) {
+        bg.workspaces.switchTo(id);
+    }
+    return false;
+}
+
+function onRenameWorkspaceClick(evt) {
+    var workspace = bg.workspaces.get(getClickedWorkspaceId(evt));
+    var name = prompt(getMessage('workspaces_namePrompt'), workspace.name);
+    if (name) {
+        bg.workspaces.rename(workspace.id, name);
+    }
+    return false;
+}
+
+function onRemoveWorkspaceClick(evt) {
+    var workspace = bg.workspaces.get(getClickedWorkspaceId(evt));
+    if (confirm(getMessage('workspaces_removeConfirm', [workspace.name]))) {
+        bg.workspaces.remove(workspace.id);
+    }
+    return false;
+}
+
+
+///////////////////////////////////////////////////////////
+// Export and import
+///////////////////////////////////////////////////////////
+
+function onExportWorkspacesClick() {
+    saveTextAsFile(bg.workspaces.exportJson(), 'sidewise-workspaces.json', 'application/json');
+    return false;
+}
+
+function onExportWorkspaceClick(evt) {
+    var workspace = bg.workspaces.get(getClickedWorkspaceId(evt));
+    var filename = 'sidewise-workspace-' + workspace.name.replace(/[^\w-]+/g, '_') + '.json';
+    saveTextAsFile(bg.workspaces.exportJson([workspace.id]), filename, 'application/json');
+    return false;
+}
+
+function onImportWorkspacesFileChange() {
+    var input = this;
+    var file = input.files[0];
+    if (!file) {
+        return;
+    }
+
+    var reader = new FileReader();
+    reader.onload = function() {
+        // let the same file be picked again
+        input.value = '';
+        try {
+            var count = bg.workspaces.importJson(reader.result);
+            alert(getMessage('workspaces_importSuccess', [count.toString()]));
+        }
+        catch (ex) {
+            alert(getMessage('workspaces_importError', [ex.message]));
+        }
+    };
+    reader.readAsText(file);
+}
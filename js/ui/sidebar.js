@@ -13,9 +13,16 @@ $(document).ready(onReady);
 function onReady() {
     bg = chrome.extension.getBackgroundPage();
     settings = bg.settings;
+    bg.applyTheme(document);
 
     $.fx.off = !settings.get('animationEnabled');
 
+    if (settings.cipher.isLocked()) {
+        // the panes can't show stored data until the passphrase is given
+        showUnlockStorage();
+        return;
+    }
+
     manager = new SidebarNavManager($('ul#sidebarButtons'), $('tr#sidebars'),
         $('table#main'), $('body'), 'td');
     manager.addSidebarPanes(bg.paneCatalog.items);
@@ -55,10 +62,36 @@ function onReady() {
 }
 
 
+// Ask for the passphrase of encrypted storage in place of the panes, reloading once it is unlocked
+function showUnlockStorage() {
+    setI18NText();
+    $('#main').hide();
+    $('#unlockStorageButton').val(getMessage('sidebarUnlock_button'));
+    $('#unlockStorage').show().submit(onUnlockStorageSubmit);
+    $('#unlockStoragePassphrase').focus();
+}
+
+
 //////////////////////////////////////////
 // Event handlers
 //////////////////////////////////////////
 
+function onUnlockStorageSubmit(evt) {
+    evt.preventDefault();
+    $('#unlockStorageButton').attr('disabled', true);
+    $('#unlockStorageError').text('');
+
+    settings.cipher.unlock($('#unlockStoragePassphrase').val()).then(function(unlocked) {
+        if (unlocked) {
+            location.reload();
+            return;
+        }
+        $('#unlockStorageButton').attr('disabled', false);
+        $('#unlockStorageError').text(getMessage('sidebarUnlock_wrongPassphrase'));
+        $('#unlockStoragePassphrase').select();
+    });
+}
+
 function onDocumentKeyDown(evt) {
     if (evt.keyCode == 27 // esc
         || (evt.ctrlKey && evt.keyCode == 70) // ctrl-f
@@ -0,0 +1,225 @@
+"use strict";
+
+///////////////////////////////////////////////////////////
+// Constants
+///////////////////////////////////////////////////////////
+
+// Stored keys which get encrypted when encryption is turned on: the page tree with its change log and
+// checkpoint, backups of it and point-in-time snapshots, hibernated pages' snapshots, the activity feed,
+// workspaces, recently closed history and the notepad
+var STORAGE_CIPHER_ENCRYPTED_KEYS = [
+    /^pageTree/,
+    /^backupPageTree/,
+    /^treeSnapshot_/,
+    /^pageSnapshot/,
+    /^activityFeed$/,
+    /^workspaces$/,
+    /^recentlyClosedTree$/,
+    /^notepadContent$/
+];
+
+// Key of the stored { salt, iterations, verifier } record; present only while encryption is turned on
+var STORAGE_CIPHER_PARAMS_KEY = 'storageEncryption';
+
+var STORAGE_CIPHER_NAME = 'AES-GCM';
+var STORAGE_CIPHER_PBKDF2_ITERATIONS = 600000;
+var STORAGE_CIPHER_SALT_BYTES = 16;
+var STORAGE_CIPHER_IV_BYTES = 12;
+
+// Encrypted as the record's verifier; decrypting it tells us whether a passphrase is right
+var STORAGE_CIPHER_VERIFIER_TEXT = 'sidewise';
+
+
+///////////////////////////////////////////////////////////
+// StorageCipher class
+///////////////////////////////////////////////////////////
+
+/**
+  * @class
+  * Optional passphrase based encryption of stored data, applied by Settings.saveData() and loadData()
+  * to the keys matching STORAGE_CIPHER_ENCRYPTED_KEYS.
+  *
+  * A 256 bit AES-GCM key is derived from the passphrase with PBKDF2. It is only ever held in memory,
+  * so each browser session starts out locked until unlock() is given the passphrase. Encrypted values
+  * are stored as { storageCipher, iv, payload }; values without that header are stored in the clear
+  * and load as they are, so data written before encryption was turned on stays readable.
+  *
+  * @constructor
+  */
+var StorageCipher = function()
+{
+    this.params = undefined;    // the stored { salt, iterations, verifier } while encryption is turned on
+    this.key = undefined;       // CryptoKey derived from the passphrase once unlocked
+    this.unlockWaiters = [];
+};
+
+StorageCipher.prototype = {
+
+    ///////////////////////////////////////////////////////////
+    // State
+    ///////////////////////////////////////////////////////////
+
+    // Read whether encryption is turned on from storage
+    load: async function() {
+        var result = await new Promise(function(resolve) {
+            chrome.storage.local.get(STORAGE_CIPHER_PARAMS_KEY, resolve);
+        });
+        this.params = result[STORAGE_CIPHER_PARAMS_KEY];
+        this.key = undefined;
+    },
+
+    isEnabled: function() {
+        return !!this.params;
+    },
+
+    // True when encryption is turned on but the passphrase has not been given this session
+    isLocked: function() {
+        return this.isEnabled() && !this.key;
+    },
+
+    // True when data stored under key is encrypted while encryption is turned on
+    isEncryptedKey: function(key) {
+        return STORAGE_CIPHER_ENCRYPTED_KEYS.some(function(pattern) { return pattern.test(key); });
+    },
+
+    // Returns a promise which resolves once storage is unlocked, or at once if it isn't locked
+    waitForUnlock: function() {
+        var self = this;
+        if (!this.isLocked()) {
+            return Promise.resolve();
+        }
+        return new Promise(function(resolve) {
+            self.unlockWaiters.push(resolve);
+        });
+    },
+
+    notifyUnlocked: function() {
+        var waiters = this.unlockWaiters;
+        this.unlockWaiters = [];
+        waiters.forEach(function(resolve) { resolve(); });
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Locking and unlocking
+    ///////////////////////////////////////////////////////////
+
+    // Unlock storage with passphrase. Returns false if passphrase is wrong.
+    unlock: async function(passphrase) {
+        if (!this.isEnabled()) {
+            return true;
+        }
+
+        var key = await this.deriveKey(passphrase, this.params.salt, this.params.iterations);
+        try {
+            await this.decryptWith(key, this.params.verifier);
+        }
+        catch (ex) {
+            // AES-GCM fails to authenticate the verifier under a wrong key
+            return false;
+        }
+
+        this.key = key;
+        this.notifyUnlocked();
+        return true;
+    },
+
+    // Derive a new key from passphrase, without turning encryption on yet. Returns { params, key } to
+    // be given to enable(); params is the record to be stored under STORAGE_CIPHER_PARAMS_KEY along
+    // with the re-encrypted data.
+    createKey: async function(passphrase) {
+        var salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(STORAGE_CIPHER_SALT_BYTES)));
+        var key = await this.deriveKey(passphrase, salt, STORAGE_CIPHER_PBKDF2_ITERATIONS);
+
+        return {
+            params: {
+                salt: salt,
+                iterations: STORAGE_CIPHER_PBKDF2_ITERATIONS,
+                verifier: await this.encryptWith(key, STORAGE_CIPHER_VERIFIER_TEXT)
+            },
+            key: key
+        };
+    },
+
+    // Turn on encryption with the { params, key } made by createKey()
+    enable: function(created) {
+        this.params = created.params;
+        this.key = created.key;
+        this.notifyUnlocked();
+    },
+
+    disable: function() {
+        this.params = undefined;
+        this.key = undefined;
+        this.notifyUnlocked();
+    },
+
+    deriveKey: async function(passphrase, salt, iterations) {
+        var baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: base64ToBytes(salt), iterations: iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: STORAGE_CIPHER_NAME, length: 256 },
+            false,
+            ['encrypt', 'decrypt']);
+    },
+
+
+    ///////////////////////////////////////////////////////////
+    // Encrypting and decrypting
+    ///////////////////////////////////////////////////////////
+
+    // Returns value in the form it should be stored under key: encrypted when encryption is turned on and
+    // key is one of the encrypted keys, otherwise value itself. Throws while storage is locked rather than
+    // store such data in the clear.
+    encrypt: async function(key, value) {
+        if (!this.isEnabled() || !this.isEncryptedKey(key) || value === undefined) {
+            return value;
+        }
+        if (!this.key) {
+            throw new Error('Storage is locked, cannot save ' + key);
+        }
+        return await this.encryptWith(this.key, value);
+    },
+
+    // Returns the value held by stored, decrypting it when it is encrypted. Throws while storage is locked.
+    decrypt: async function(key, stored) {
+        if (!isEncryptedStorageValue(stored)) {
+            return stored;
+        }
+        if (!this.key) {
+            throw new Error('Storage is locked, cannot load ' + key);
+        }
+        return await this.decryptWith(this.key, stored);
+    },
+
+    encryptWith: async function(key, value) {
+        var iv = crypto.getRandomValues(new Uint8Array(STORAGE_CIPHER_IV_BYTES));
+        var plaintext = new TextEncoder().encode(JSON.stringify(value));
+        var ciphertext = await crypto.subtle.encrypt({ name: STORAGE_CIPHER_NAME, iv: iv }, key, plaintext);
+        return {
+            storageCipher: STORAGE_CIPHER_NAME,
+            iv: bytesToBase64(iv),
+            payload: bytesToBase64(new Uint8Array(ciphertext))
+        };
+    },
+
+    decryptWith: async function(key, stored) {
+        if (stored.storageCipher != STORAGE_CIPHER_NAME) {
+            throw new Error('Unknown storage cipher ' + stored.storageCipher);
+        }
+        var plaintext = await crypto.subtle.decrypt(
+            { name: STORAGE_CIPHER_NAME, iv: base64ToBytes(stored.iv) }, key, base64ToBytes(stored.payload));
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+};
+
+
+///////////////////////////////////////////////////////////
+// Helpers
+///////////////////////////////////////////////////////////
+
+function isEncryptedStorageValue(stored) {
+    return !!stored && typeof(stored) == 'object' && !Array.isArray(stored)
+        && typeof(stored.storageCipher) == 'string' && typeof(stored.payload) == 'string';
+}
@@ -5,6 +5,13 @@ class Settings {
     constructor() {
         // Used to reduce JSON-parsing cost of setting lookups
         this.cache = {};
+
+        // Encrypts stored tree and notepad data when the user has turned that on
+        this.cipher = new StorageCipher();
+
+        // While set, a promise which saves wait on before writing; see runExclusive()
+        this.writeGate = null;
+        this.pendingWrites = new Set();
     }
 
     // Record a setting value.
@@ -57,34 +64,215 @@ class Settings {
     // Save data to chrome.storage.local. This differs from the set/get methods which rely
     // on localStorage: for larger chunks of data such as tree data we prefer using
     // chrome.storage.local to avoid the possibility of hitting the localStorage 5MB quota.
+    // Large data is stored encoded by a storage codec; see encodeStorageData(). When encryption is turned
+    // on, data of the keys it covers is then encrypted; see StorageCipher.
     async saveData(key, data) {
-        return new Promise(resolve => {
+        return this.runWrite(async () => {
             const payload = {};
-            payload[key] = data;
-            chrome.storage.local.set(payload, function() {
-                resolve();
+            payload[key] = await this.cipher.encrypt(key, await encodeStorageData(data));
+            return new Promise(resolve => {
+                chrome.storage.local.set(payload, function() {
+                    resolve();
+                });
+            });
+        });
+    }
+
+    // Save several { key: data } items to chrome.storage.local in a single write.
+    async saveDataItems(items) {
+        return this.runWrite(async () => {
+            const payload = {};
+            for (const key in items) {
+                payload[key] = await this.cipher.encrypt(key, await encodeStorageData(items[key]));
+            }
+            return new Promise(resolve => {
+                chrome.storage.local.set(payload, function() {
+                    resolve();
+                });
             });
         });
     }
 
-    // Load data from chrome.storage.local.
+    // Run the save write(), first waiting for any runExclusive() under way to finish
+    async runWrite(write) {
+        while (this.writeGate) {
+            await this.writeGate;
+        }
+        const promise = write();
+        this.pendingWrites.add(promise);
+        try {
+            return await promise;
+        }
+        finally {
+            this.pendingWrites.delete(promise);
+        }
+    }
+
+    // Run fn once saves under way have finished, holding back new saves until it is done. Used when
+    // all of the stored data is rewritten, so that no save is lost in between reading and writing it.
+    async runExclusive(fn) {
+        while (this.writeGate) {
+            await this.writeGate;
+        }
+        let open;
+        this.writeGate = new Promise(resolve => { open = resolve; });
+        try {
+            await Promise.all(Array.from(this.pendingWrites, p => p.catch(() => {})));
+            return await fn();
+        }
+        finally {
+            this.writeGate = null;
+            open();
+        }
+    }
+
+    // Load data from chrome.storage.local, decrypting and decoding it if it was stored that way.
     async loadData(key, defaultValue) {
+        const result = await new Promise(resolve => {
+            chrome.storage.local.get(key, resolve);
+        });
+        const decrypted = await this.cipher.decrypt(key, result[key]);
+        return (await decodeStorageData(decrypted)) || defaultValue;
+    }
+
+    // Remove data from chrome.storage.local. key may also be an array of keys.
+    async removeData(key) {
         return new Promise(resolve => {
-            chrome.storage.local.get(key, function(result) {
-                resolve(result[key] || defaultValue);
+            chrome.storage.local.remove(key, function() {
+                resolve();
             });
         });
     }
 
-    // Returns all data stored in chrome.storage.local.
+    // Returns the keys of all data stored in chrome.storage.local.
+    async getDataKeys() {
+        const result = await new Promise(resolve => {
+            chrome.storage.local.get(null, resolve);
+        });
+        return Object.keys(result);
+    }
+
+    // Returns all data stored in chrome.storage.local, decrypted and decoded. While storage is locked,
+    // encrypted data is returned as stored.
     async loadAllData() {
-        return new Promise(resolve => {
-            chrome.storage.local.get(null, function(result) {
-                resolve(result);
+        const result = await new Promise(resolve => {
+            chrome.storage.local.get(null, resolve);
+        });
+        delete result[STORAGE_CIPHER_PARAMS_KEY];
+        for (const key in result) {
+            if (this.cipher.isLocked() && isEncryptedStorageValue(result[key])) {
+                continue;
+            }
+            result[key] = await decodeStorageData(await this.cipher.decrypt(key, result[key]));
+        }
+        return result;
+    }
+
+    // Returns how chrome.storage.local is being used: { totalBytes, items } where items is
+    // [{ key, storedBytes, dataBytes, codec }] for every stored key, largest first. storedBytes
+    // is the size of the item as stored and dataBytes its size once decoded.
+    async getStorageUsage() {
+        const totalBytes = await new Promise(resolve => {
+            chrome.storage.local.getBytesInUse(null, resolve);
+        });
+        const stored = await new Promise(resolve => {
+            chrome.storage.local.get(null, resolve);
+        });
+
+        const items = [];
+        for (const key in stored) {
+            const storedBytes = key.length + JSON.stringify(stored[key]).length;
+            let dataBytes = storedBytes;
+            let codec = getStorageCodecName(stored[key]);
+            try {
+                const decrypted = await this.cipher.decrypt(key, stored[key]);
+                if (decrypted !== stored[key]) {
+                    codec = stored[key].storageCipher + ', ' + getStorageCodecName(decrypted);
+                }
+                dataBytes = key.length + JSON.stringify(await decodeStorageData(decrypted)).length;
+            }
+            catch (ex) {
+                // locked or an unknown codec; all we know is how much room it takes
+                if (isEncryptedStorageValue(stored[key])) {
+                    codec = stored[key].storageCipher;
+                }
+            }
+            items.push({ key: key, storedBytes: storedBytes, dataBytes: dataBytes, codec: codec });
+        }
+        items.sort((a, b) => b.storedBytes - a.storedBytes);
+
+        return { totalBytes: totalBytes, items: items };
+    }
+
+    // Turn on encryption of stored tree and notepad data with passphrase, encrypting what is
+    // already stored. The data and the encryption params are written together in a single write.
+    // The key is derived first, which takes a while; saves are only held back for the rewrite.
+    async enableStorageEncryption(passphrase) {
+        if (this.cipher.isEnabled()) {
+            throw new Error('Storage encryption is already turned on');
+        }
+
+        const created = await this.cipher.createKey(passphrase);
+
+        await this.runExclusive(async () => {
+            const stored = await this.loadEncryptableData();
+            this.cipher.enable(created);
+
+            const payload = {};
+            payload[STORAGE_CIPHER_PARAMS_KEY] = created.params;
+            for (const key in stored) {
+                payload[key] = await this.cipher.encrypt(key, stored[key]);
+            }
+
+            await new Promise(resolve => {
+                chrome.storage.local.set(payload, resolve);
             });
+            console.log(`Turned on storage encryption, encrypted ${Object.keys(stored).length} stored items`);
         });
     }
 
+    // Turn off encryption, storing the encrypted data in the clear again. Returns false if
+    // passphrase is wrong.
+    async disableStorageEncryption(passphrase) {
+        if (!this.cipher.isEnabled()) {
+            return true;
+        }
+        if (!await this.cipher.unlock(passphrase)) {
+            return false;
+        }
+
+        await this.runExclusive(async () => {
+            const stored = await this.loadEncryptableData();
+            const payload = {};
+            for (const key in stored) {
+                payload[key] = await this.cipher.decrypt(key, stored[key]);
+            }
+
+            await new Promise(resolve => {
+                chrome.storage.local.set(payload, resolve);
+            });
+            // once the data is in the clear, an interruption before the params are removed does no harm
+            await this.removeData(STORAGE_CIPHER_PARAMS_KEY);
+            this.cipher.disable();
+            console.log(`Turned off storage encryption, decrypted ${Object.keys(stored).length} stored items`);
+        });
+        return true;
+    }
+
+    // Returns the items of chrome.storage.local which encryption covers, as stored
+    async loadEncryptableData() {
+        const result = await new Promise(resolve => {
+            chrome.storage.local.get(null, resolve);
+        });
+        const items = {};
+        for (const key in result) {
+            if (this.cipher.isEncryptedKey(key)) {
+                items[key] = result[key];
+            }
+        }
+        return items;
+    }
+
     // Output all settings and saved data as a JSON string
     async toJSON() {
         const localStorageJson = mapObjectProps(localStorage, (k, v) => `"${k}": ${v}`).join(',');
@@ -110,7 +298,7 @@ class Settings {
     // Used for Sidewise state recovery functions.
     //
     // @param jsonString A JSON string in the format { "localStorage": { ... }, "chromeStorage": { ... }}
-    importFromJSON(jsonString) {
+    async importFromJSON(jsonString) {
         let data = JSON.parse(jsonString);
 
         const localData = data.localStorage;
@@ -122,9 +310,7 @@ class Settings {
         }
 
         const chromeData = data.chromeStorage;
-        for (var k in chromeData) {
-            this.saveData(k, chromeData[k]);
-        }
+        await Promise.all(Object.keys(chromeData || {}).map(k => this.saveData(k, chromeData[k])));
     }
 
     ///////////////////////////////////////////////////////////
@@ -181,7 +367,23 @@ class Settings {
             multiSelectActionConfirmThreshold: 30,
             showWhatsNewPane: true,
             lastPromoPageShownDate: null,
-            focusSidebarOnHover: false
+            focusSidebarOnHover: false,
+            snapshots_keepHourly: 24,
+            snapshots_keepDaily: 7,
+            snapshots_keepWeekly: 4,
+            autoHibernate_enabled: false,
+            autoHibernate_idleMinutes: 60,
+            autoHibernate_whitelist: '',
+            autoHibernate_domainRules: '',
+            memoryHibernate_enabled: false,
+            memoryHibernate_maxAwakePages: 50,
+            memoryHibernate_maxHeapMB: 512,
+            focusExistingTabInsteadOfDuplicate: false,
+            duplicates_ignoreTrackingParams: true,
+            treeKeymap: '',
+            theme: 'auto',
+            customTheme: null,
+            userCss: ''
         };
 
         for (var setting in defaultSettings) {
@@ -304,6 +506,7 @@ class Settings {
                 }
 
                 domWindow.ft.clickOnHoverDelayMs = clickOnHoverDelayMs;
+                domWindow.ft.setKeymap(this.get('treeKeymap'));
 
                 if (changedSetting == 'pages_trimPageTitlePrefixes' && k == 'pages') {
                     domWindow.ft.formatAllRowTitles.call(domWindow.ft);
@@ -311,6 +514,7 @@ class Settings {
             }
             catch(ex) {}
 
+            bg.applyTheme(domWindow.document);
             domWindow.$.fx.off = !this.get('animationEnabled');
 
             if (!loggingChanged) {
@@ -0,0 +1,217 @@
+"use strict";
+
+// ========================================================
+// Storage codecs for chrome.storage.local.
+//
+// Large values are stored encoded, as a header object of the form
+// { storageCodec, payload } naming the codec which produced payload.
+// Values without such a header, including everything written before
+// codecs were introduced, are plain JSON and load as they are.
+// Settings.saveData() and loadData() encode and decode transparently.
+// ========================================================
+
+///////////////////////////////////////////////////////////
+// Constants
+///////////////////////////////////////////////////////////
+
+// Codecs by the name stored in the header. encode(data) returns the payload string and
+// decode(payload) returns the data; both are async.
+var STORAGE_CODECS = {
+    // Strings which repeat, such as favicon urls, and url prefixes shared by several strings are moved
+    // into a string table; the result is deflated and base64 encoded
+    'stringtable-deflate': {
+        encode: async function(data) {
+            return await deflateToBase64(JSON.stringify(buildStorageStringTable(data)));
+        },
+        decode: async function(payload) {
+            return expandStorageStringTable(JSON.parse(await inflateFromBase64(payload)));
+        }
+    }
+};
+
+var STORAGE_CODEC_DEFAULT = 'stringtable-deflate';
+
+// Values whose JSON is shorter than this are stored as plain JSON; encoding them gains little
+var STORAGE_CODEC_MIN_ENCODE_LENGTH = 4096;
+
+// Strings shorter than this are never put in the string table whole
+var STORAGE_STRING_TABLE_MIN_LENGTH = 8;
+
+// Matches the scheme and host of a url, e.g. https://www.example.com/
+var STORAGE_URL_PREFIX_REGEX = /^[a-z][a-z0-9+.\-]*:\/\/[^\/?#]+\/?/i;
+
+
+///////////////////////////////////////////////////////////
+// Encoding and decoding
+///////////////////////////////////////////////////////////
+
+// Returns data in the form it should be written to chrome.storage.local: data itself when it is small,
+// otherwise a codec header holding the encoded data
+async function encodeStorageData(data) {
+    if (isEncodedStorageData(data)) {
+        // already encoded, e.g. when re-importing raw storage
+        return data;
+    }
+
+    if (typeof(CompressionStream) == 'undefined') {
+        // Chrome versions before 80 can't compress, so store plain JSON there
+        return data;
+    }
+
+    var json = JSON.stringify(data);
+    if (json === undefined || json.length < STORAGE_CODEC_MIN_ENCODE_LENGTH) {
+        return data;
+    }
+
+    return {
+        storageCodec: STORAGE_CODEC_DEFAULT,
+        payload: await STORAGE_CODECS[STORAGE_CODEC_DEFAULT].encode(data)
+    };
+}
+
+// Returns the data held by a value read from chrome.storage.local, decoding it with the codec named
+// in its header when it has one. Throws if the header names a codec we don't know.
+async function decodeStorageData(stored) {
+    if (!isEncodedStorageData(stored)) {
+        return stored;
+    }
+
+    var codec = STORAGE_CODECS[stored.storageCodec];
+    if (!codec) {
+        throw new Error('Unknown storage codec ' + stored.storageCodec);
+    }
+    return await codec.decode(stored.payload);
+}
+
+function isEncodedStorageData(stored) {
+    return !!stored && typeof(stored) == 'object' && !Array.isArray(stored)
+        && typeof(stored.storageCodec) == 'string' && typeof(stored.payload) == 'string';
+}
+
+// Returns the name of the codec stored was encoded with, or 'json' for plain values
+function getStorageCodecName(stored) {
+    return isEncodedStorageData(stored) ? stored.storageCodec : 'json';
+}
+
+
+///////////////////////////////////////////////////////////
+// String table
+///////////////////////////////////////////////////////////
+
+// Returns { t, d } where t is a table of strings and d is data with every string value tagged:
+//   '=text'         the literal string text
+//   '#n'            the string at t[n]
+//   '@n|rest'       the url prefix at t[n] followed by rest
+// Object keys are left as they are.
+function buildStorageStringTable(data) {
+    var counts = Object.create(null);
+    var prefixCounts = Object.create(null);
+
+    walkStorageStrings(data, function(s) {
+        counts[s] = (counts[s] || 0) + 1;
+        return s;
+    });
+
+    for (var s in counts) {
+        var prefix = getStorageUrlPrefix(s);
+        if (prefix) {
+            prefixCounts[prefix] = (prefixCounts[prefix] || 0) + 1;
+        }
+    }
+
+    var table = [];
+    var tableIndexes = Object.create(null);
+    var _tableIndex = function(s) {
+        if (tableIndexes[s] === undefined) {
+            tableIndexes[s] = table.length;
+            table.push(s);
+        }
+        return tableIndexes[s];
+    };
+
+    var tagged = walkStorageStrings(data, function(s) {
+        if (counts[s] > 1 && s.length >= STORAGE_STRING_TABLE_MIN_LENGTH) {
+            return '#' + _tableIndex(s);
+        }
+        var prefix = getStorageUrlPrefix(s);
+        if (prefix && prefixCounts[prefix] > 1) {
+            return '@' + _tableIndex(prefix) + '|' + s.substring(prefix.length);
+        }
+        return '=' + s;
+    });
+
+    return { t: table, d: tagged };
+}
+
+// Reverses buildStorageStringTable()
+function expandStorageStringTable(tabled) {
+    var table = tabled.t;
+    return walkStorageStrings(tabled.d, function(s) {
+        switch (s[0]) {
+            case '=':
+                return s.substring(1);
+            case '#':
+                return table[parseInt(s.substring(1))];
+            case '@':
+                var sep = s.indexOf('|');
+                return table[parseInt(s.substring(1, sep))] + s.substring(sep + 1);
+        }
+        throw new Error('Bad string table entry ' + s);
+    });
+}
+
+// Returns a copy of data with every string value replaced by fn(string)
+function walkStorageStrings(data, fn) {
+    if (typeof(data) == 'string') {
+        return fn(data);
+    }
+    if (Array.isArray(data)) {
+        return data.map(function(e) { return walkStorageStrings(e, fn); });
+    }
+    if (data && typeof(data) == 'object') {
+        var result = {};
+        for (var k in data) {
+            result[k] = walkStorageStrings(data[k], fn);
+        }
+        return result;
+    }
+    return data;
+}
+
+function getStorageUrlPrefix(s) {
+    var m = s.match(STORAGE_URL_PREFIX_REGEX);
+    return m && m[0].length < s.length ? m[0] : undefined;
+}
+
+
+///////////////////////////////////////////////////////////
+// Compression and base64
+///////////////////////////////////////////////////////////
+
+async function deflateToBase64(text) {
+    var stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate'));
+    return bytesToBase64(new Uint8Array(await new Response(stream).arrayBuffer()));
+}
+
+async function inflateFromBase64(base64) {
+    var stream = new Blob([base64ToBytes(base64)]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return await new Response(stream).text();
+}
+
+function bytesToBase64(bytes) {
+    // String.fromCharCode.apply() can only take so many arguments at once
+    var binary = '';
+    for (var i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    var binary = atob(base64);
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
@@ -20,4 +20,15 @@ function copyTextToClipboard(text) {
     copyFrom.select();
     document.execCommand('copy');
     copyFrom.remove();
-}
\ No newline at end of file
+}
+
+// Offer text to the user as a downloaded file named filename
+function saveTextAsFile(text, filename, mimeType) {
+    var blob = new Blob([text], { type: (mimeType || 'text/plain') + ';charset=utf-8' });
+    var url = URL.createObjectURL(blob);
+    var $link = $('<a/>', { href: url, download: filename }).css('display', 'none');
+    $('body').append($link);
+    $link[0].click();
+    $link.remove();
+    setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
+}
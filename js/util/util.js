@@ -146,6 +146,18 @@ function splitUrl(url)
     return undefined;
 }
 
+// True when url's host is domain or a subdomain of it
+function urlMatchesDomain(url, domain)
+{
+    var parts = url && splitUrl(url);
+    if (!parts || !parts.host) {
+        return false;
+    }
+    var host = parts.host.toLowerCase();
+    domain = domain.toLowerCase();
+    return host == domain || host.substring(host.length - domain.length - 1) == '.' + domain;
+}
+
 function dropUrlHash(url)
 {
     return url.replace(/#.*$/, '');
@@ -238,6 +250,12 @@ function getNumericId(id)
     return parseInt(id.slice(1));
 }
 
+// When page was last focused, or created if it has never been focused
+function getLastFocusedTime(page)
+{
+    return page.lastFocused || page.createdOn || 0;
+}
+
 
 ///////////////////////////////////////////////////////////
 // Platform detection